@@ -8,10 +8,13 @@ const cors = require("cors");
 const { NotFoundError } = require("./expressError");
 
 const { authenticateJWT } = require("./middleware/auth");
+const { auditImpersonation, auditStaffMutations } = require("./middleware/audit");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const adminRoutes = require("./routes/admin");
+const searchRoutes = require("./routes/search");
 
 const morgan = require("morgan");
 
@@ -21,11 +24,14 @@ app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
 app.use(authenticateJWT);
+app.use(auditImpersonation);
 
 app.use("/auth", authRoutes);
-app.use("/companies", companiesRoutes);
-app.use("/users", usersRoutes);
-app.use("/jobs",jobsRoutes);
+app.use("/companies", auditStaffMutations("company"), companiesRoutes);
+app.use("/users", auditStaffMutations("user"), usersRoutes);
+app.use("/jobs", auditStaffMutations("job"), jobsRoutes);
+app.use("/admin", adminRoutes);
+app.use("/search", searchRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -9,6 +9,9 @@ const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// Public URL of this API; used to build links in emails
+const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
+
 // UPDATED: server would not start without putting "postgres:///" in front of database names
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
@@ -22,16 +25,114 @@ function getDatabaseUri() {
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+// Access tokens are short-lived; clients use their refresh token to get a new
+// one. Any format jsonwebtoken accepts for expiresIn works, e.g. "15m", "1h".
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+const REFRESH_TOKEN_EXPIRES_DAYS = +process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30;
+
+const PASSWORD_RESET_EXPIRES_MINUTES = +process.env.PASSWORD_RESET_EXPIRES_MINUTES || 60;
+
+const EMAIL_VERIFICATION_EXPIRES_HOURS = +process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || 48;
+
+// When on, users must verify their email before they can apply to jobs
+const REQUIRE_VERIFIED_EMAIL_TO_APPLY = process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY === "true";
+
+// Login throttling: after LOGIN_MAX_FAILURES failed logins for a username (or
+// LOGIN_MAX_FAILURES_PER_IP from one IP) within LOGIN_FAILURE_WINDOW_MINUTES,
+// logins are locked for LOGIN_LOCKOUT_BASE_SECONDS, doubling with each further
+// failure up to LOGIN_LOCKOUT_MAX_SECONDS.
+const LOGIN_MAX_FAILURES = +process.env.LOGIN_MAX_FAILURES || 5;
+const LOGIN_MAX_FAILURES_PER_IP = +process.env.LOGIN_MAX_FAILURES_PER_IP || 20;
+const LOGIN_FAILURE_WINDOW_MINUTES = +process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15;
+const LOGIN_LOCKOUT_BASE_SECONDS = +process.env.LOGIN_LOCKOUT_BASE_SECONDS || 30;
+const LOGIN_LOCKOUT_MAX_SECONDS = +process.env.LOGIN_LOCKOUT_MAX_SECONDS || 3600;
+
+// When on, staff (admins, and other roles with scopes; see helpers/scopes.js)
+// only get their role's rights in their tokens once they have set up
+// two-factor authentication, and can't turn it off
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === "true";
+
+// Name shown for Jobly accounts in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Jobly";
+
+// How long a user has to enter their 2FA code after their password
+const MFA_TOKEN_EXPIRES_IN = process.env.MFA_TOKEN_EXPIRES_IN || "5m";
+
+// How long API keys last when no expiry is given
+const API_KEY_EXPIRES_DAYS = +process.env.API_KEY_EXPIRES_DAYS || 90;
+
+// OpenID Connect login through an external identity provider. Off unless
+// OIDC_ISSUER is set; the provider must redirect back to OIDC_REDIRECT_URI.
+const OIDC_ISSUER = process.env.OIDC_ISSUER || null;
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || "jobly";
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "";
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || `${BASE_URL}/auth/oidc/callback`;
+const OIDC_STATE_EXPIRES_MINUTES = +process.env.OIDC_STATE_EXPIRES_MINUTES || 10;
+
+// Password policy for new passwords (see helpers/passwordPolicy.js). Character
+// classes are lowercase, uppercase, digits and symbols; set
+// PASSWORD_MIN_CHARACTER_CLASSES=0 to not require any mix.
+const PASSWORD_MIN_LENGTH = +process.env.PASSWORD_MIN_LENGTH || 8;
+const PASSWORD_MIN_CHARACTER_CLASSES = +(process.env.PASSWORD_MIN_CHARACTER_CLASSES ?? 2);
+const PASSWORD_CHECK_COMMON = process.env.PASSWORD_CHECK_COMMON !== "false";
+
+// How long after a user asks for their account to be deleted it is
+// anonymised; until then they can change their mind
+const ACCOUNT_DELETION_GRACE_DAYS = +process.env.ACCOUNT_DELETION_GRACE_DAYS || 30;
+
+// Address outgoing mail (password resets, etc.) is sent from
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.local>";
+
 console.log("Jobly Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
+console.log("BASE_URL:".yellow, BASE_URL);
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+console.log("ACCESS_TOKEN_EXPIRES_IN:".yellow, ACCESS_TOKEN_EXPIRES_IN);
+console.log("REFRESH_TOKEN_EXPIRES_DAYS:".yellow, REFRESH_TOKEN_EXPIRES_DAYS);
+console.log("PASSWORD_RESET_EXPIRES_MINUTES:".yellow, PASSWORD_RESET_EXPIRES_MINUTES);
+console.log("MAIL_FROM:".yellow, MAIL_FROM);
+console.log("EMAIL_VERIFICATION_EXPIRES_HOURS:".yellow, EMAIL_VERIFICATION_EXPIRES_HOURS);
+console.log("REQUIRE_VERIFIED_EMAIL_TO_APPLY:".yellow, REQUIRE_VERIFIED_EMAIL_TO_APPLY);
+console.log("LOGIN_MAX_FAILURES:".yellow, LOGIN_MAX_FAILURES);
+console.log("LOGIN_MAX_FAILURES_PER_IP:".yellow, LOGIN_MAX_FAILURES_PER_IP);
+console.log("REQUIRE_ADMIN_2FA:".yellow, REQUIRE_ADMIN_2FA);
+console.log("OIDC_ISSUER:".yellow, OIDC_ISSUER);
+console.log("PASSWORD_MIN_LENGTH:".yellow, PASSWORD_MIN_LENGTH);
+console.log("PASSWORD_MIN_CHARACTER_CLASSES:".yellow, PASSWORD_MIN_CHARACTER_CLASSES);
+console.log("ACCOUNT_DELETION_GRACE_DAYS:".yellow, ACCOUNT_DELETION_GRACE_DAYS);
 console.log("Database:".yellow, getDatabaseUri());
 console.log("---");
 
 module.exports = {
   SECRET_KEY,
   PORT,
+  BASE_URL,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  MAIL_FROM,
+  EMAIL_VERIFICATION_EXPIRES_HOURS,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS,
+  REQUIRE_ADMIN_2FA,
+  TOTP_ISSUER,
+  MFA_TOKEN_EXPIRES_IN,
+  API_KEY_EXPIRES_DAYS,
+  OIDC_ISSUER,
+  OIDC_CLIENT_ID,
+  OIDC_CLIENT_SECRET,
+  OIDC_REDIRECT_URI,
+  OIDC_STATE_EXPIRES_MINUTES,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MIN_CHARACTER_CLASSES,
+  PASSWORD_CHECK_COMMON,
+  ACCOUNT_DELETION_GRACE_DAYS,
   getDatabaseUri,
 };
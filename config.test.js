@@ -10,8 +10,21 @@ describe("config can come from env", function () {
     const config = require("./config");
     expect(config.SECRET_KEY).toEqual("abc");
     expect(config.PORT).toEqual(5000);
+    expect(config.BASE_URL).toEqual("http://localhost:5000");
     expect(config.getDatabaseUri()).toEqual("other");
     expect(config.BCRYPT_WORK_FACTOR).toEqual(12);
+    expect(config.ACCESS_TOKEN_EXPIRES_IN).toEqual("15m");
+    expect(config.REFRESH_TOKEN_EXPIRES_DAYS).toEqual(30);
+    expect(config.PASSWORD_RESET_EXPIRES_MINUTES).toEqual(60);
+    expect(config.REQUIRE_VERIFIED_EMAIL_TO_APPLY).toEqual(false);
+    expect(config.LOGIN_MAX_FAILURES).toEqual(5);
+    expect(config.REQUIRE_ADMIN_2FA).toEqual(false);
+    expect(config.OIDC_ISSUER).toEqual(null);
+    expect(config.OIDC_REDIRECT_URI).toEqual("http://localhost:5000/auth/oidc/callback");
+    expect(config.PASSWORD_MIN_LENGTH).toEqual(8);
+    expect(config.PASSWORD_MIN_CHARACTER_CLASSES).toEqual(2);
+    expect(config.PASSWORD_CHECK_COMMON).toEqual(true);
+    expect(config.ACCOUNT_DELETION_GRACE_DAYS).toEqual(30);
 
     delete process.env.SECRET_KEY;
     delete process.env.PORT;
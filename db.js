@@ -1,23 +1,30 @@
 "use strict";
 /** Database setup for jobly. */
-const { Client } = require("pg");
+const { Client, Pool } = require("pg");
 const { getDatabaseUri } = require("./config");
 
-let db;
+let options;
 
 if (process.env.NODE_ENV === "production") {
-  db = new Client({
+  options = {
     connectionString: getDatabaseUri(),
     ssl: {
       rejectUnauthorized: false
     }
-  });
+  };
 } else {
-  db = new Client({
+  options = {
     connectionString: getDatabaseUri()
-  });
+  };
 }
 
+const db = new Client(options);
+
 db.connect();
 
-module.exports = db;
\ No newline at end of file
+// Transactions each get a connection of their own from this pool (see
+// helpers/transaction.js), so that queries other requests send on db
+// meanwhile aren't part of them.
+db.pool = new Pool({ ...options, allowExitOnIdle: true });
+
+module.exports = db;
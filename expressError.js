@@ -36,18 +36,27 @@ class BadRequestError extends ExpressError {
   }
 }
 
-/** 403 BAD REQUEST error. */
+/** 403 FORBIDDEN error. */
 
 class ForbiddenError extends ExpressError {
-  constructor(message = "Bad Request") {
+  constructor(message = "Forbidden") {
     super(message, 403);
   }
 }
 
+/** 429 TOO MANY REQUESTS error. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests") {
+    super(message, 429);
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  TooManyRequestsError,
 };
\ No newline at end of file
@@ -0,0 +1,66 @@
+const { BadRequestError } = require("../expressError");
+
+/*
+  Lifecycle of a job application. Each key is a state an application can be
+  in, and its value is the list of states it is allowed to move to next.
+
+    interested -> applied -> interviewing -> offered -> accepted
+                                                     -> rejected
+    (any non-final state)                            -> withdrawn
+
+  accepted, rejected and withdrawn are final: nothing moves out of them.
+*/
+
+const APPLICATION_TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+const APPLICATION_STATES = Object.keys(APPLICATION_TRANSITIONS);
+
+/** States a brand new application is allowed to start in. */
+
+const INITIAL_APPLICATION_STATES = ["interested", "applied"];
+
+/** States candidates can move their own applications to: applying, and
+ *  withdrawing. */
+
+const CANDIDATE_STATES = ["applied", "withdrawn"];
+
+/** States only the company (its recruiters) can move applications to: the
+ *  hiring decisions, including recording that an offer was accepted. */
+
+const COMPANY_STATES = ["interviewing", "offered", "accepted", "rejected"];
+
+/*
+  Checks that an application may move from `fromState` to `toState`.
+
+  Returns undefined if the move is legal.
+  Throws BadRequestError if either state is unknown or the move is not allowed.
+*/
+
+function validateTransition(fromState, toState) {
+  if (!APPLICATION_STATES.includes(toState)) {
+    throw new BadRequestError(`Invalid application state: ${toState}`);
+  }
+
+  const allowed = APPLICATION_TRANSITIONS[fromState] || [];
+  if (!allowed.includes(toState)) {
+    throw new BadRequestError(
+        `Cannot move application from ${fromState} to ${toState}`);
+  }
+}
+
+module.exports = {
+  APPLICATION_TRANSITIONS,
+  APPLICATION_STATES,
+  INITIAL_APPLICATION_STATES,
+  CANDIDATE_STATES,
+  COMPANY_STATES,
+  validateTransition,
+};
@@ -0,0 +1,36 @@
+const { BadRequestError } = require("../expressError");
+const {
+  APPLICATION_STATES,
+  validateTransition,
+} = require("./applicationStates");
+
+describe("validateTransition", function () {
+  test("allows moving forward through the lifecycle", function () {
+    expect(() => validateTransition("interested", "applied")).not.toThrow();
+    expect(() => validateTransition("applied", "interviewing")).not.toThrow();
+    expect(() => validateTransition("interviewing", "offered")).not.toThrow();
+    expect(() => validateTransition("offered", "accepted")).not.toThrow();
+  });
+
+  test("allows withdrawing from any non-final state", function () {
+    for (let state of ["interested", "applied", "interviewing", "offered"]) {
+      expect(() => validateTransition(state, "withdrawn")).not.toThrow();
+    }
+  });
+
+  test("rejects skipping states", function () {
+    expect(() => validateTransition("applied", "offered")).toThrow(BadRequestError);
+  });
+
+  test("rejects moving out of a final state", function () {
+    for (let state of ["accepted", "rejected", "withdrawn"]) {
+      for (let next of APPLICATION_STATES) {
+        expect(() => validateTransition(state, next)).toThrow(BadRequestError);
+      }
+    }
+  });
+
+  test("rejects unknown states", function () {
+    expect(() => validateTransition("applied", "hired")).toThrow(BadRequestError);
+  });
+});
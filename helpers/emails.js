@@ -0,0 +1,31 @@
+const { sendMail } = require("./mailer");
+const { BASE_URL } = require("../config");
+
+/** Email a password reset token; reset is { username, email, token } as
+ *  returned by PasswordReset.create. */
+
+async function sendPasswordResetEmail({ username, email, token }) {
+  await sendMail({
+    to: email,
+    subject: "Reset your Jobly password",
+    text: `Hi ${username},\n\n`
+        + `Use this code to reset your Jobly password:\n\n${token}\n\n`
+        + "If you didn't ask to reset your password, you can ignore this email.",
+  });
+}
+
+/** Email a verification link; verification is { username, email, token } as
+ *  returned by EmailVerification.create. */
+
+async function sendVerificationEmail({ username, email, token }) {
+  await sendMail({
+    to: email,
+    subject: "Verify your Jobly email",
+    text: `Hi ${username},\n\n`
+        + "Confirm this is your email address by opening this link:\n\n"
+        + `${BASE_URL}/auth/verify?token=${token}\n\n`
+        + "If you didn't sign up for Jobly, you can ignore this email.",
+  });
+}
+
+module.exports = { sendPasswordResetEmail, sendVerificationEmail };
@@ -0,0 +1,321 @@
+const crypto = require("crypto");
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { SECRET_KEY } = require("../config");
+
+/*
+  Paging and sorting for list endpoints, shared by Company.findAll,
+  Job.findAll and User.findAll.
+
+  A page is chosen by list options { limit, offset, cursor, sort }, all
+  optional (and accepted as query-string strings):
+  - limit: how many rows, 1 to MAX_LIMIT (default DEFAULT_LIMIT)
+  - sort: comma-separated fields to sort by, each ascending or, with a
+    leading -, descending, e.g. "-salary,title". Only the fields a model
+    allows can be used. Without it, each model has its own order (e.g. most
+    relevant first when searching).
+  - cursor: an opaque string from a previous page's next or prev, for the
+    page after or before it. Cursors remember where that page ended (the
+    sort values of its last or first row) rather than a position, so rows
+    added or removed meanwhile don't make pages skip or repeat rows. They're
+    signed, since those values go into the query: a cursor that's been
+    tampered with is refused rather than compared against the columns.
+  - offset: how many rows to skip instead, for jumping to a page; can't be
+    used with cursor.
+
+  Every order ends with a model's unique key (e.g. id), so that rows with
+  the same sort values always come in the same order, and nulls sort last.
+*/
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const LIST_OPTIONS = ["limit", "offset", "cursor", "sort"];
+
+const CURSOR_SECRET_KEY = `${SECRET_KEY}:cursor`;
+
+/** Split a query string's list options from the rest (filters).
+ *
+ * Returns { listOptions, filters }
+ */
+
+function splitListOptions(query) {
+  const listOptions = {};
+  const filters = {};
+  for (let [key, value] of Object.entries(query)) {
+    if (LIST_OPTIONS.includes(key)) listOptions[key] = value;
+    else filters[key] = value;
+  }
+  return { listOptions, filters };
+}
+
+/** Return value as an integer from min to max, or throw BadRequestError. */
+
+function integerOption(name, value, min, max = Infinity) {
+  const n = Number(value);
+  if (value === "" || !Number.isInteger(n) || n < min || n > max) {
+    const range = max === Infinity ? `at least ${min}` : `from ${min} to ${max}`;
+    throw new BadRequestError(`${name} must be an integer ${range}`);
+  }
+  return n;
+}
+
+/** Turn a sort option like "-salary,title" into an order:
+ *  [{ sql, desc }, ...], using the SQL for each field in sortable.
+ *
+ * Throws BadRequestError for fields not in sortable.
+ */
+
+function parseSort(sort, sortable) {
+  const fields = String(sort).split(",").map(field => field.trim());
+  const invalid = fields.filter(field =>
+      !Object.hasOwn(sortable, field.replace(/^-/, "")));
+  if (invalid.length > 0) {
+    throw new BadRequestError(`Invalid sort field(s): ${invalid.join(", ")}`);
+  }
+
+  return fields.map(field => ({
+    sql: sortable[field.replace(/^-/, "")],
+    desc: field.startsWith("-"),
+  }));
+}
+
+/** Return the signature for a cursor's encoded payload. */
+
+function signCursor(payload) {
+  return crypto.createHmac("sha256", CURSOR_SECRET_KEY)
+      .update(payload)
+      .digest("base64url");
+}
+
+/** Encode where a page ends as a signed cursor: rows after (or, with
+ *  before, rows before) the row with the given sort values. */
+
+function encodeCursor(sort, values, before = false) {
+  const cursor = { s: sort, [before ? "b" : "a"]: values };
+  const payload = Buffer.from(JSON.stringify(cursor)).toString("base64url");
+  return `${payload}.${signCursor(payload)}`;
+}
+
+/** Decode a cursor from encodeCursor for a list sorted by sort, into
+ *  { values, before }.
+ *
+ * Throws BadRequestError if it isn't one (or has been tampered with), or was
+ * for a different sort.
+ */
+
+function decodeCursor(cursor, sort, numValues) {
+  const [payload, signature = ""] = String(cursor).split(".");
+  const expected = Buffer.from(signCursor(payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  const values = decoded && (decoded.a || decoded.b);
+  if (!Array.isArray(values) || values.length !== numValues) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  if (decoded.s !== sort) {
+    throw new BadRequestError("Cursor is for a different sort");
+  }
+  return { values, before: Boolean(decoded.b) };
+}
+
+/** Return SQL for ordering by order, or (for paging backwards) the
+ *  reverse of it. */
+
+function orderBySql(order, reverse = false) {
+  return order.map(({ sql, desc }) =>
+      `${sql} ${desc !== reverse ? "DESC" : "ASC"} NULLS ${reverse ? "FIRST" : "LAST"}`)
+      .join(", ");
+}
+
+/** Return SQL matching the rows after (or before) the row with the given
+ *  sort values, in order; the values are pushed onto queryValues.
+ *
+ * A row is after if it's level on the first few sort values and after on
+ * the next, e.g. for order (salary DESC, id) and values (1000, 7):
+ *   salary < 1000 OR salary IS NULL OR (salary = 1000 AND id > 7)
+ */
+
+function keysetSql(order, values, before, queryValues) {
+  const level = [];
+  const alternatives = [];
+
+  order.forEach(({ sql, desc }, i) => {
+    const value = values[i];
+    const expr = `(${sql})`;
+    let beyond;
+
+    if (value === null) {
+      // nulls are last: nothing comes after them, everything else before
+      beyond = before ? `${expr} IS NOT NULL` : "FALSE";
+      alternatives.push([...level, beyond].join(" AND "));
+      level.push(`${expr} IS NULL`);
+    } else {
+      queryValues.push(value);
+      const param = `$${queryValues.length}`;
+      const op = desc !== before ? "<" : ">";
+      beyond = before
+          ? `${expr} ${op} ${param}`
+          : `(${expr} ${op} ${param} OR ${expr} IS NULL)`;
+      alternatives.push([...level, beyond].join(" AND "));
+      level.push(`${expr} = ${param}`);
+    }
+  });
+
+  return "(" + alternatives.map(a => `(${a})`).join(" OR ") + ")";
+}
+
+/** Find a page of a list.
+ *
+ * list describes the query, as
+ *   { columns, from, where, values, columnValues, sortable, order, key }
+ *   where columns is the SQL for the columns to select
+ *   from is "FROM ..." (with any JOINs)
+ *   where is a list of SQL conditions rows must meet (maybe empty)
+ *   values are the parameters used in from, where and order, and
+ *     columnValues any only used in columns (numbered after values)
+ *   sortable maps each field the sort option can use to its SQL
+ *   order is the order without a sort option: [{ sql, desc }, ...]
+ *     (desc defaulting to false)
+ *   key is the SQL for a unique column (e.g. "j.id") to end orders with
+ *
+ * listOptions are { limit, offset, cursor, sort } (see above).
+ *
+ * Returns { rows, total, next, prev }
+ *   where total counts all the rows in the list, and next and prev are the
+ *   list options for the pages after and before this one, or null if there
+ *   aren't any.
+ *
+ * Throws BadRequestError for invalid list options.
+ */
+
+async function findPage(list, listOptions = {}) {
+  const { columns, from, where, values, columnValues = [], sortable, key } = list;
+  const { cursor, offset, sort } = listOptions;
+  const limit = listOptions.limit === undefined
+      ? DEFAULT_LIMIT
+      : integerOption("limit", listOptions.limit, 1, MAX_LIMIT);
+
+  if (cursor !== undefined && offset !== undefined) {
+    throw new BadRequestError("Use either cursor or offset, not both");
+  }
+
+  let order = sort === undefined ? list.order : parseSort(sort, sortable);
+  order = order.map(({ sql, desc }) => ({ sql, desc: Boolean(desc) }));
+  if (!order.some(({ sql }) => sql === key)) order.push({ sql: key, desc: false });
+
+  const whereSql = conditions =>
+      conditions.length > 0 ? "WHERE " + conditions.join(" AND ") : "";
+  const countRes = await db.query(
+      `SELECT COUNT(*)::int AS "total" ${from} ${whereSql(where)}`, values);
+  const total = countRes.rows[0].total;
+
+  const queryValues = [...values, ...columnValues];
+  const conditions = [...where];
+  const sortColumns = order.map(({ sql }, i) => `${sql} AS "_sort${i}"`);
+  const sortValues = row => order.map((_, i) => row[`_sort${i}`]);
+  const sortOption = sort === undefined ? null : String(sort);
+
+  let position = null;
+  if (cursor !== undefined) {
+    position = decodeCursor(cursor, sortOption, order.length);
+    conditions.push(keysetSql(order, position.values, position.before, queryValues));
+  }
+  const backwards = position !== null && position.before;
+
+  let query = `SELECT ${columns}, ${sortColumns.join(", ")}
+               ${from}
+               ${whereSql(conditions)}
+               ORDER BY ${orderBySql(order, backwards)}`;
+
+  const withSort = options => sort === undefined ? options : { ...options, sort };
+
+  if (offset !== undefined) {
+    const skip = integerOption("offset", offset, 0);
+    queryValues.push(limit, skip);
+    query += ` LIMIT $${queryValues.length - 1} OFFSET $${queryValues.length}`;
+    const result = await db.query(query, queryValues);
+
+    return {
+      rows: result.rows.map(stripSortColumns),
+      total,
+      next: skip + limit < total ? withSort({ limit, offset: skip + limit }) : null,
+      prev: skip > 0 ? withSort({ limit, offset: Math.max(0, skip - limit) }) : null,
+    };
+  }
+
+  // one more than asked for, to see if there's another page beyond
+  queryValues.push(limit + 1);
+  query += ` LIMIT $${queryValues.length}`;
+  const result = await db.query(query, queryValues);
+
+  let rows = result.rows.slice(0, limit);
+  const hasMore = result.rows.length > limit;
+  if (backwards) rows.reverse();
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const pageAfter = last && (backwards || hasMore)
+      ? withSort({ limit, cursor: encodeCursor(sortOption, sortValues(last)) })
+      : null;
+  const pageBefore = first && (backwards ? hasMore : position !== null)
+      ? withSort({ limit, cursor: encodeCursor(sortOption, sortValues(first), true) })
+      : null;
+
+  return {
+    rows: rows.map(stripSortColumns),
+    total,
+    next: pageAfter,
+    prev: pageBefore,
+  };
+}
+
+/** Return row without the _sort columns findPage adds. */
+
+function stripSortColumns(row) {
+  const stripped = {};
+  for (let [column, value] of Object.entries(row)) {
+    if (!/^_sort\d+$/.test(column)) stripped[column] = value;
+  }
+  return stripped;
+}
+
+/** Turn the next and prev list options from findPage into links for the
+ *  request: the same URL, with the list options replaced.
+ *
+ * Returns { next, prev }, each a link (e.g. "/jobs?minSalary=1&limit=20&cursor=...")
+ * or null.
+ */
+
+function pageLinks(req, { next, prev }) {
+  const link = listOptions => {
+    if (listOptions === null) return null;
+    const { filters } = splitListOptions(req.query);
+    const params = new URLSearchParams({ ...filters, ...listOptions });
+    const path = req.path === "/" ? "" : req.path;
+    return `${req.baseUrl}${path}?${params}`;
+  };
+
+  return { next: link(next), prev: link(prev) };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  splitListOptions,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  findPage,
+  pageLinks,
+};
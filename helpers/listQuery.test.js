@@ -0,0 +1,87 @@
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const {
+  splitListOptions,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  pageLinks,
+} = require("./listQuery");
+
+// findPage is tested through the models; this just closes its connection
+afterAll(async function () {
+  await db.end();
+});
+
+describe("splitListOptions", function () {
+  test("works", function () {
+    expect(splitListOptions({ title: "eng", limit: "5", sort: "-salary", cursor: "x" }))
+        .toEqual({
+          listOptions: { limit: "5", sort: "-salary", cursor: "x" },
+          filters: { title: "eng" },
+        });
+  });
+});
+
+describe("parseSort", function () {
+  const sortable = { salary: "j.salary", title: "j.title" };
+
+  test("works", function () {
+    expect(parseSort("-salary,title", sortable)).toEqual([
+      { sql: "j.salary", desc: true },
+      { sql: "j.title", desc: false },
+    ]);
+  });
+
+  test("bad request for fields that can't be sorted by", function () {
+    expect(() => parseSort("salary,-password", sortable)).toThrow(BadRequestError);
+    expect(() => parseSort("", sortable)).toThrow(BadRequestError);
+  });
+});
+
+describe("encodeCursor and decodeCursor", function () {
+  test("round trip", function () {
+    const cursor = encodeCursor("-salary", [100000, 7]);
+    expect(decodeCursor(cursor, "-salary", 2)).toEqual({ values: [100000, 7], before: false });
+
+    const back = encodeCursor(null, ["c1"], true);
+    expect(decodeCursor(back, null, 1)).toEqual({ values: ["c1"], before: true });
+  });
+
+  test("bad request for garbage", function () {
+    expect(() => decodeCursor("nope", null, 1)).toThrow(BadRequestError);
+    expect(() => decodeCursor(encodeCursor(null, [1]), null, 2)).toThrow(BadRequestError);
+  });
+
+  test("bad request for a tampered cursor", function () {
+    const [, signature] = encodeCursor("-salary", [100000, 7]).split(".");
+    const payload = Buffer.from(JSON.stringify({ s: "-salary", a: ["abc", 1] }))
+        .toString("base64url");
+    expect(() => decodeCursor(`${payload}.${signature}`, "-salary", 2))
+        .toThrow(BadRequestError);
+    expect(() => decodeCursor(payload, "-salary", 2)).toThrow(BadRequestError);
+  });
+
+  test("bad request for a cursor from a different sort", function () {
+    expect(() => decodeCursor(encodeCursor("title", [1]), "-title", 1))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("pageLinks", function () {
+  const req = { baseUrl: "/jobs", path: "/", query: { title: "eng", limit: "2", offset: "2" } };
+
+  test("works", function () {
+    expect(pageLinks(req, { next: { limit: 2, offset: 4 }, prev: null })).toEqual({
+      next: "/jobs?title=eng&limit=2&offset=4",
+      prev: null,
+    });
+  });
+
+  test("replaces offset with cursor", function () {
+    expect(pageLinks(req, { next: null, prev: { limit: 2, cursor: "abc" } })).toEqual({
+      next: null,
+      prev: "/jobs?title=eng&limit=2&cursor=abc",
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const db = require("../db");
+const { MAIL_FROM } = require("../config");
+
+/*
+  Sends mail through a pluggable transport.
+
+  A transport is any object with an async send(message) method, where message
+  is { from, to, subject, text }. To send through a real mail server, write a
+  transport for it and install it once at startup with setTransport().
+
+  The default transport, outboxTransport, doesn't send anything: it stores each
+  message in the mail_outbox table, so mail works (and can be inspected) in
+  development and tests without an SMTP server.
+*/
+
+const outboxTransport = {
+  async send({ from, to, subject, text }) {
+    await db.query(
+          `INSERT INTO mail_outbox (sender, recipient, subject, body)
+           VALUES ($1, $2, $3, $4)`,
+        [from, to, subject, text]);
+  },
+};
+
+let transport = outboxTransport;
+
+/** Replace the transport used by sendMail. */
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/** Send { to, subject, text } from MAIL_FROM through the current transport. */
+
+async function sendMail({ to, subject, text }) {
+  await transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { sendMail, setTransport, outboxTransport };
@@ -0,0 +1,47 @@
+const db = require("../db");
+const { MAIL_FROM } = require("../config");
+const { sendMail, setTransport, outboxTransport } = require("./mailer");
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  setTransport(outboxTransport);
+  await db.query("ROLLBACK");
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+describe("sendMail", function () {
+  test("works: default transport writes to the outbox", async function () {
+    await sendMail({ to: "u1@email.com", subject: "Hello", text: "Hi there" });
+
+    const result = await db.query(
+        "SELECT sender, recipient, subject, body FROM mail_outbox");
+    expect(result.rows).toEqual([{
+      sender: MAIL_FROM,
+      recipient: "u1@email.com",
+      subject: "Hello",
+      body: "Hi there",
+    }]);
+  });
+
+  test("works: custom transport", async function () {
+    const sent = [];
+    setTransport({ send: async (message) => sent.push(message) });
+
+    await sendMail({ to: "u1@email.com", subject: "Hello", text: "Hi there" });
+
+    expect(sent).toEqual([{
+      from: MAIL_FROM,
+      to: "u1@email.com",
+      subject: "Hello",
+      text: "Hi there",
+    }]);
+    const result = await db.query("SELECT id FROM mail_outbox");
+    expect(result.rows.length).toEqual(0);
+  });
+});
@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { ExpressError, UnauthorizedError } = require("../expressError");
+const {
+  OIDC_ISSUER,
+  OIDC_CLIENT_ID,
+  OIDC_CLIENT_SECRET,
+  OIDC_REDIRECT_URI,
+} = require("../config");
+
+/*
+  OpenID Connect authorization code flow (with PKCE), as a relying party.
+
+  Login sends the user to the provider's authorization endpoint; the provider
+  sends them back to the redirect URI with a code, which is traded in at the
+  token endpoint for an ID token. The ID token is a JWT signed with one of the
+  provider's keys (published at its jwks_uri) that says who the user is.
+
+  Endpoints are found through the provider's discovery document at
+  <issuer>/.well-known/openid-configuration. Settings come from config and can
+  be replaced with configure(), e.g. to point tests at a mock issuer.
+*/
+
+let settings = {
+  issuer: OIDC_ISSUER,
+  clientId: OIDC_CLIENT_ID,
+  clientSecret: OIDC_CLIENT_SECRET,
+  redirectUri: OIDC_REDIRECT_URI,
+};
+
+let discoveryCache = {};
+
+/** Replace some or all of { issuer, clientId, clientSecret, redirectUri }. */
+
+function configure(newSettings) {
+  settings = { ...settings, ...newSettings };
+  discoveryCache = {};
+}
+
+/** Return true if an issuer is set, i.e. OIDC login is turned on. */
+
+function isConfigured() {
+  return !!settings.issuer;
+}
+
+/** Fetch a JSON document from the provider; throws 502 if it can't be had. */
+
+async function fetchJson(url, options) {
+  let resp;
+  try {
+    resp = await fetch(url, options);
+  } catch (err) {
+    throw new ExpressError(`Identity provider unreachable: ${url}`, 502);
+  }
+
+  const body = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    const reason = body.error_description || body.error || resp.status;
+    throw new ExpressError(`Identity provider error: ${reason}`, 502);
+  }
+  return body;
+}
+
+/** Return the provider's discovery document (cached per issuer). */
+
+async function discover() {
+  const issuer = settings.issuer.replace(/\/$/, "");
+  if (!discoveryCache[issuer]) {
+    discoveryCache[issuer] = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  }
+  return discoveryCache[issuer];
+}
+
+/** Return a random url-safe string, for state, nonce and PKCE verifiers. */
+
+function randomString() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** Return the PKCE S256 challenge for a code verifier. */
+
+function pkceChallenge(codeVerifier) {
+  return crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+}
+
+/** Return the URL to send the user to, to log in at the provider. */
+
+async function authorizationUrl({ state, nonce, codeVerifier }) {
+  const { authorization_endpoint } = await discover();
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: settings.clientId,
+    redirect_uri: settings.redirectUri,
+    scope: "openid email profile",
+    state,
+    nonce,
+    code_challenge: pkceChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+  return `${authorization_endpoint}?${params}`;
+}
+
+/** Trade an authorization code in at the token endpoint; returns the raw ID
+ *  token. */
+
+async function exchangeCode(code, codeVerifier) {
+  const { token_endpoint } = await discover();
+  const tokens = await fetchJson(token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: settings.redirectUri,
+      client_id: settings.clientId,
+      client_secret: settings.clientSecret,
+      code_verifier: codeVerifier,
+    }),
+  });
+
+  if (!tokens.id_token) {
+    throw new ExpressError("Identity provider did not return an ID token", 502);
+  }
+  return tokens.id_token;
+}
+
+/*
+  Check an ID token's signature, issuer, audience, expiry and nonce.
+
+  Returns the token's claims, e.g. { iss, sub, email, email_verified, ... }.
+  Throws UnauthorizedError if the token doesn't check out.
+*/
+
+async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new UnauthorizedError("Invalid ID token");
+
+  const { issuer, jwks_uri } = await discover();
+  const { keys = [] } = await fetchJson(jwks_uri);
+  const jwk = keys.find(k => k.kid === decoded.header.kid);
+  if (!jwk) throw new UnauthorizedError("ID token signed with an unknown key");
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: "jwk" }), {
+      algorithms: ["RS256"],
+      issuer,
+      audience: settings.clientId,
+    });
+  } catch (err) {
+    throw new UnauthorizedError(`Invalid ID token: ${err.message}`);
+  }
+
+  if (claims.nonce !== nonce) throw new UnauthorizedError("ID token nonce mismatch");
+  return claims;
+}
+
+module.exports = {
+  configure,
+  isConfigured,
+  randomString,
+  pkceChallenge,
+  authorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+};
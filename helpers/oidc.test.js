@@ -0,0 +1,90 @@
+const { ExpressError, UnauthorizedError } = require("../expressError");
+const oidc = require("./oidc");
+const { createMockIssuer } = require("./oidcMockIssuer");
+
+const CLIENT = { clientId: "jobly", clientSecret: "client-secret" };
+const REDIRECT_URI = "http://localhost:3001/auth/oidc/callback";
+
+let issuer;
+
+beforeAll(async function () {
+  issuer = await createMockIssuer(CLIENT).start();
+  oidc.configure({ issuer: issuer.url, ...CLIENT, redirectUri: REDIRECT_URI });
+});
+
+afterAll(async function () {
+  await issuer.stop();
+});
+
+/** Log in at the mock issuer; returns the code it sends back. */
+
+async function getCode({ state = "st", nonce = "n0nce", codeVerifier = "verifier" } = {}) {
+  const url = await oidc.authorizationUrl({ state, nonce, codeVerifier });
+  const resp = await fetch(url, { redirect: "manual" });
+  return new URL(resp.headers.get("location")).searchParams.get("code");
+}
+
+describe("pkceChallenge", function () {
+  test("matches RFC 7636 example", function () {
+    expect(oidc.pkceChallenge("dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk"))
+        .toEqual("E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM");
+  });
+});
+
+describe("authorizationUrl", function () {
+  test("works", async function () {
+    const url = new URL(await oidc.authorizationUrl(
+        { state: "st", nonce: "n0nce", codeVerifier: "verifier" }));
+    expect(`${url.origin}${url.pathname}`).toEqual(`${issuer.url}/authorize`);
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: "code",
+      client_id: "jobly",
+      redirect_uri: REDIRECT_URI,
+      scope: "openid email profile",
+      state: "st",
+      nonce: "n0nce",
+      code_challenge: oidc.pkceChallenge("verifier"),
+      code_challenge_method: "S256",
+    });
+  });
+});
+
+describe("exchangeCode and verifyIdToken", function () {
+  test("works", async function () {
+    const idToken = await oidc.exchangeCode(await getCode(), "verifier");
+    const claims = await oidc.verifyIdToken(idToken, "n0nce");
+    expect(claims).toEqual(expect.objectContaining({
+      iss: issuer.url,
+      aud: "jobly",
+      sub: "mock-user",
+      email: "mock.user@example.com",
+      nonce: "n0nce",
+    }));
+  });
+
+  test("unauth with wrong nonce", async function () {
+    const idToken = await oidc.exchangeCode(await getCode(), "verifier");
+    await expect(oidc.verifyIdToken(idToken, "other")).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth with a token for another client", async function () {
+    const idToken = await oidc.exchangeCode(await getCode(), "verifier");
+    oidc.configure({ clientId: "other" });
+    try {
+      await expect(oidc.verifyIdToken(idToken, "n0nce")).rejects.toThrow(UnauthorizedError);
+    } finally {
+      oidc.configure({ clientId: "jobly" });
+    }
+  });
+
+  test("provider error with wrong code verifier", async function () {
+    const code = await getCode();
+    await expect(oidc.exchangeCode(code, "wrong")).rejects.toThrow(ExpressError);
+  });
+
+  test("provider error if code is reused", async function () {
+    const code = await getCode();
+    await oidc.exchangeCode(code, "verifier");
+    await expect(oidc.exchangeCode(code, "verifier")).rejects.toThrow(ExpressError);
+  });
+});
@@ -0,0 +1,123 @@
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+/*
+  A minimal OpenID Connect provider, for tests and local development without
+  a real identity provider (or any network access).
+
+  It serves discovery, authorization, token and JWKS endpoints on localhost.
+  There is no login page: the authorization endpoint logs in whoever is in
+  issuer.claims straight away and redirects back with a code.
+
+    const issuer = createMockIssuer({ clientId: "jobly", clientSecret: "s" });
+    await issuer.start();
+    oidc.configure({ issuer: issuer.url, clientId: "jobly", clientSecret: "s" });
+    issuer.claims = { sub: "123", email: "pat@example.com", ... };
+    ...
+    await issuer.stop();
+*/
+
+function createMockIssuer({ clientId, clientSecret }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString("hex");
+
+  // code => { claims, nonce, redirectUri, codeChallenge }
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const issuer = {
+    app,
+    url: null,
+    server: null,
+    claims: {
+      sub: "mock-user",
+      email: "mock.user@example.com",
+      email_verified: true,
+      given_name: "Mock",
+      family_name: "User",
+      preferred_username: "mock.user",
+    },
+
+    /** Listen on a free localhost port; sets issuer.url. */
+    start() {
+      return new Promise(resolve => {
+        issuer.server = app.listen(0, "127.0.0.1", () => {
+          issuer.url = `http://127.0.0.1:${issuer.server.address().port}`;
+          resolve(issuer);
+        });
+      });
+    },
+
+    stop() {
+      // fetch keeps connections alive, which would hold close() open
+      issuer.server.closeAllConnections();
+      return new Promise(resolve => issuer.server.close(resolve));
+    },
+  };
+
+  app.get("/.well-known/openid-configuration", function (req, res) {
+    return res.json({
+      issuer: issuer.url,
+      authorization_endpoint: `${issuer.url}/authorize`,
+      token_endpoint: `${issuer.url}/token`,
+      jwks_uri: `${issuer.url}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+    });
+  });
+
+  app.get("/authorize", function (req, res) {
+    const { client_id, redirect_uri, state, nonce, code_challenge } = req.query;
+    if (client_id !== clientId) {
+      return res.status(400).json({ error: "unauthorized_client" });
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      claims: { ...issuer.claims },
+      nonce,
+      redirectUri: redirect_uri,
+      codeChallenge: code_challenge,
+    });
+
+    const params = new URLSearchParams({ code, state });
+    return res.redirect(`${redirect_uri}?${params}`);
+  });
+
+  app.post("/token", function (req, res) {
+    const { code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+    if (client_id !== clientId || client_secret !== clientSecret) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code);
+    const challenge = crypto.createHash("sha256")
+        .update(code_verifier || "").digest("base64url");
+    if (!grant || grant.redirectUri !== redirect_uri || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer: issuer.url,
+      audience: clientId,
+      expiresIn: "5m",
+    });
+    return res.json({ id_token: idToken, access_token: code, token_type: "Bearer" });
+  });
+
+  app.get("/jwks", function (req, res) {
+    const jwk = publicKey.export({ format: "jwk" });
+    return res.json({ keys: [{ ...jwk, kid, alg: "RS256", use: "sig" }] });
+  });
+
+  return issuer;
+}
+
+module.exports = { createMockIssuer };
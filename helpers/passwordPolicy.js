@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+const { BadRequestError } = require("../expressError");
+const {
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MIN_CHARACTER_CLASSES,
+  PASSWORD_CHECK_COMMON,
+} = require("../config");
+
+/*
+  Rules for new passwords, checked by User.register and User.update.
+
+  There is no upper limit on length beyond bcrypt's: it only looks at the
+  first 72 bytes, so longer passwords would silently lose their tail. Long
+  passphrases are welcome.
+
+  Common and breached passwords come from common-passwords.txt, bundled so the
+  check works offline: one lowercase password per line, # for comments.
+*/
+
+const MAX_PASSWORD_BYTES = 72;
+
+const DEFAULT_POLICY = {
+  minLength: PASSWORD_MIN_LENGTH,
+  minCharacterClasses: PASSWORD_MIN_CHARACTER_CLASSES,
+  checkCommon: PASSWORD_CHECK_COMMON,
+};
+
+const CHARACTER_CLASSES = [
+  /[a-z]/,
+  /[A-Z]/,
+  /[0-9]/,
+  /[^a-zA-Z0-9]/,
+];
+
+let commonPasswords;
+
+/** Return true if password is on the bundled list (ignoring case). */
+
+function isCommonPassword(password) {
+  if (!commonPasswords) {
+    const list = fs.readFileSync(path.join(__dirname, "common-passwords.txt"), "utf8");
+    commonPasswords = new Set(list.split("\n")
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith("#")));
+  }
+  return commonPasswords.has(password.toLowerCase());
+}
+
+/** Return what's wrong with a new password for a user, as a list of
+ *  messages (empty if nothing is).
+ *
+ * user is { username, email }; the password can't be either of those (or
+ * the part of the email before the @).
+ *
+ * policy is { minLength, minCharacterClasses, checkCommon } and defaults to
+ * the PASSWORD_* settings in config. Character classes are lowercase letters,
+ * uppercase letters, digits and everything else.
+ */
+
+function passwordProblems(password, { username, email } = {}, policy = DEFAULT_POLICY) {
+  const { minLength, minCharacterClasses, checkCommon } = { ...DEFAULT_POLICY, ...policy };
+  const problems = [];
+
+  if ([...password].length < minLength) {
+    problems.push(`Password must be at least ${minLength} characters long`);
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    problems.push(`Password must be at most ${MAX_PASSWORD_BYTES} bytes long`);
+  }
+
+  const classes = CHARACTER_CLASSES.filter(re => re.test(password)).length;
+  if (classes < minCharacterClasses) {
+    problems.push(`Password must use at least ${minCharacterClasses} of: ` +
+        "lowercase letters, uppercase letters, digits, symbols");
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = [username, email, email && email.split("@")[0]]
+      .filter(Boolean)
+      .map(s => s.toLowerCase());
+  if (personal.includes(lowered)) {
+    problems.push("Password can't be your username or email");
+  }
+
+  if (checkCommon && isCommonPassword(password)) {
+    problems.push("Password is too common; it appears in lists of breached passwords");
+  }
+
+  return problems;
+}
+
+/** Throw BadRequestError listing what's wrong with a new password, if
+ *  anything; see passwordProblems. */
+
+function checkPassword(password, user, policy) {
+  const problems = passwordProblems(password, user, policy);
+  if (problems.length) throw new BadRequestError(problems);
+}
+
+module.exports = {
+  MAX_PASSWORD_BYTES,
+  isCommonPassword,
+  passwordProblems,
+  checkPassword,
+};
@@ -0,0 +1,88 @@
+const {
+  MAX_PASSWORD_BYTES,
+  isCommonPassword,
+  passwordProblems,
+  checkPassword,
+} = require("./passwordPolicy");
+const { BadRequestError } = require("../expressError");
+
+const user = { username: "pat", email: "pat.smith@example.com" };
+
+describe("isCommonPassword", function () {
+  test("works", function () {
+    expect(isCommonPassword("password1")).toEqual(true);
+    expect(isCommonPassword("Qwerty123")).toEqual(true);
+    expect(isCommonPassword("u1-passphrase")).toEqual(false);
+  });
+
+  test("ignores comments", function () {
+    expect(isCommonPassword("# One lowercase password per line; comparison ignores case. Add more freely."))
+        .toEqual(false);
+  });
+});
+
+describe("passwordProblems", function () {
+  test("works: good password", function () {
+    expect(passwordProblems("horse-battery", user)).toEqual([]);
+  });
+
+  test("works: long passphrase", function () {
+    expect(passwordProblems("correct horse battery staple", user)).toEqual([]);
+  });
+
+  test("too short", function () {
+    expect(passwordProblems("a-b-c", user)).toEqual(
+        ["Password must be at least 8 characters long"]);
+  });
+
+  test("too long for bcrypt", function () {
+    expect(passwordProblems("a-".repeat(MAX_PASSWORD_BYTES), user)).toEqual(
+        ["Password must be at most 72 bytes long"]);
+  });
+
+  test("too few character classes", function () {
+    expect(passwordProblems("horsebattery", user)).toEqual([
+      "Password must use at least 2 of: lowercase letters, uppercase letters, digits, symbols",
+    ]);
+  });
+
+  test("same as username or email", function () {
+    const problem = "Password can't be your username or email";
+    expect(passwordProblems("Pat.Smith@example.com", user)).toEqual([problem]);
+    expect(passwordProblems("Pat.Smith", user)).toEqual([problem]);
+    expect(passwordProblems("PAT", user, { minLength: 1, minCharacterClasses: 0 }))
+        .toEqual([problem]);
+  });
+
+  test("common", function () {
+    expect(passwordProblems("P@ssw0rd1", user)).toEqual(
+        ["Password is too common; it appears in lists of breached passwords"]);
+  });
+
+  test("lists every problem", function () {
+    expect(passwordProblems("password", user)).toHaveLength(2);
+  });
+
+  test("policy can be changed", function () {
+    const policy = { minLength: 4, minCharacterClasses: 0, checkCommon: false };
+    expect(passwordProblems("password", user, policy)).toEqual([]);
+    expect(passwordProblems("abc", user, policy)).toEqual(
+        ["Password must be at least 4 characters long"]);
+  });
+});
+
+describe("checkPassword", function () {
+  test("works", function () {
+    checkPassword("horse-battery", user);
+  });
+
+  test("bad request listing problems", function () {
+    try {
+      checkPassword("pat", user);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toContain("Password can't be your username or email");
+    }
+  });
+});
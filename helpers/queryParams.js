@@ -0,0 +1,122 @@
+const { Validator } = require("jsonschema");
+const { BadRequestError } = require("../expressError");
+const { splitListOptions } = require("./listQuery");
+const listOptionsSchema = require("../schemas/listOptions.json");
+
+/*
+  Parsing query strings with the JSON schemas in schemas/, for GET routes.
+
+  Everything in a query string arrives as a string (or, for repeated or
+  bracketed parameters like a=1&a=2 or a[min]=1, arrays and objects of them),
+  so before validating, values are coerced to the type their schema property
+  asks for:
+  - "integer" and "number": "42" => 42 (anything else is left to fail
+    validation)
+  - "boolean": "true" / "false" => true / false
+  - "array": "a,b" or a=a&a=b => ["a", "b"], each item coerced by "items"
+  - "object": each property coerced by "properties", e.g. for ranges like
+    salary[min]=1&salary[max]=2
+
+  Schemas can also check ranges between properties, with "ranges": a list
+  of [low, high] property pairs, e.g. [["minEmployees", "maxEmployees"]];
+  when both are given, low can't be greater than high.
+*/
+
+const validator = new Validator();
+
+validator.attributes.ranges = function validateRanges(instance, schema) {
+  if (instance === null || typeof instance !== "object") return;
+
+  for (let [low, high] of schema.ranges) {
+    if (instance[low] !== undefined && instance[high] !== undefined &&
+        instance[low] > instance[high]) {
+      return `${low} cannot be greater than ${high}`;
+    }
+  }
+};
+
+/** Return value coerced to the type schema asks for, where it can be. */
+
+function coerceValue(value, schema = {}) {
+  const types = [].concat(schema.type || []);
+
+  if (types.includes("array") && !types.includes("string")) {
+    const items = typeof value === "string" ? value.split(",") : value;
+    if (!Array.isArray(items)) return value;
+    return items.map(item => coerceValue(item, schema.items));
+  }
+
+  if (types.includes("object") && value !== null && typeof value === "object" &&
+      !Array.isArray(value)) {
+    return coerceProperties(value, schema);
+  }
+
+  if (typeof value !== "string") return value;
+
+  if ((types.includes("integer") || types.includes("number")) &&
+      value.trim() !== "" && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+
+  if (types.includes("boolean") && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+
+  return value;
+}
+
+/** Return a copy of object with each of its properties coerced by schema's
+ *  "properties" (others are left as they are). */
+
+function coerceProperties(object, schema) {
+  const properties = schema.properties || {};
+  const coerced = {};
+  for (let [key, value] of Object.entries(object)) {
+    coerced[key] = Object.hasOwn(properties, key)
+        ? coerceValue(value, properties[key])
+        : value;
+  }
+  return coerced;
+}
+
+/** Coerce a query string's values (see above) and validate them with schema.
+ *
+ * Returns the coerced query, leaving the original alone.
+ *
+ * Throws BadRequestError listing what's wrong, if anything.
+ */
+
+function parseQuery(query, schema) {
+  const parsed = coerceProperties(query, schema);
+
+  const result = validator.validate(parsed, schema);
+  if (!result.valid) {
+    throw new BadRequestError(result.errors.map(e => e.stack));
+  }
+
+  return parsed;
+}
+
+/** Parse a list route's query string: its list options (limit, offset,
+ *  cursor and sort; see helpers/listQuery.js) with schemas/listOptions.json,
+ *  and the rest (filters) with filterSchema.
+ *
+ * Returns { listOptions, filters }
+ *
+ * Throws BadRequestError listing what's wrong, if anything.
+ */
+
+function parseListQuery(query, filterSchema) {
+  const { listOptions, filters } = splitListOptions(query);
+
+  return {
+    listOptions: parseQuery(listOptions, listOptionsSchema),
+    filters: parseQuery(filters, filterSchema),
+  };
+}
+
+module.exports = {
+  coerceValue,
+  parseQuery,
+  parseListQuery,
+};
@@ -0,0 +1,116 @@
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { coerceValue, parseQuery, parseListQuery } = require("./queryParams");
+
+// parseListQuery goes through helpers/listQuery.js; close its connection
+afterAll(async function () {
+  await db.end();
+});
+
+const schema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    minSize: { type: "integer", minimum: 0 },
+    maxSize: { type: "integer" },
+    open: { type: "boolean" },
+    tags: { type: "array", items: { type: "string", enum: ["a", "b", "c"] } },
+    ids: { type: "array", items: { type: "integer" } },
+    salary: {
+      type: "object",
+      properties: { min: { type: "number" }, max: { type: "number" } },
+      ranges: [["min", "max"]],
+      additionalProperties: false,
+    },
+  },
+  ranges: [["minSize", "maxSize"]],
+  additionalProperties: false,
+};
+
+describe("coerceValue", function () {
+  test("numbers", function () {
+    expect(coerceValue("42", { type: "integer" })).toEqual(42);
+    expect(coerceValue("1.5", { type: "number" })).toEqual(1.5);
+    expect(coerceValue("abc", { type: "integer" })).toEqual("abc");
+    expect(coerceValue("", { type: "integer" })).toEqual("");
+  });
+
+  test("booleans", function () {
+    expect(coerceValue("true", { type: "boolean" })).toEqual(true);
+    expect(coerceValue("false", { type: "boolean" })).toEqual(false);
+    expect(coerceValue("yes", { type: "boolean" })).toEqual("yes");
+  });
+
+  test("arrays", function () {
+    expect(coerceValue("1,2", { type: "array", items: { type: "integer" } })).toEqual([1, 2]);
+    expect(coerceValue(["a", "b"], { type: "array" })).toEqual(["a", "b"]);
+  });
+
+  test("leaves strings alone", function () {
+    expect(coerceValue("42", { type: "string" })).toEqual("42");
+    expect(coerceValue("42")).toEqual("42");
+  });
+});
+
+describe("parseQuery", function () {
+  test("works", function () {
+    const query = {
+      name: "7",
+      minSize: "1",
+      open: "true",
+      tags: "a,c",
+      ids: ["3", "4"],
+      salary: { min: "10", max: "20.5" },
+    };
+    expect(parseQuery(query, schema)).toEqual({
+      name: "7",
+      minSize: 1,
+      open: true,
+      tags: ["a", "c"],
+      ids: [3, 4],
+      salary: { min: 10, max: 20.5 },
+    });
+    expect(query.minSize).toEqual("1");
+  });
+
+  test("bad request for values of the wrong type", function () {
+    expect(() => parseQuery({ minSize: "abc" }, schema)).toThrow(BadRequestError);
+    expect(() => parseQuery({ open: "yes" }, schema)).toThrow(BadRequestError);
+    expect(() => parseQuery({ ids: "1,x" }, schema)).toThrow(BadRequestError);
+    expect(() => parseQuery({ name: ["a", "b"] }, schema)).toThrow(BadRequestError);
+  });
+
+  test("bad request for values out of range", function () {
+    expect(() => parseQuery({ minSize: "-1" }, schema)).toThrow(BadRequestError);
+    expect(() => parseQuery({ tags: "a,d" }, schema)).toThrow(BadRequestError);
+  });
+
+  test("bad request for unknown parameters", function () {
+    expect(() => parseQuery({ nope: "1" }, schema)).toThrow(BadRequestError);
+  });
+
+  test("ranges", function () {
+    expect(parseQuery({ minSize: "2", maxSize: "2" }, schema))
+        .toEqual({ minSize: 2, maxSize: 2 });
+    expect(() => parseQuery({ minSize: "3", maxSize: "2" }, schema))
+        .toThrow("minSize cannot be greater than maxSize");
+    expect(() => parseQuery({ salary: { min: "3", max: "2" } }, schema))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("parseListQuery", function () {
+  test("works", function () {
+    expect(parseListQuery({ minSize: "1", limit: "5", sort: "-name" }, schema)).toEqual({
+      listOptions: { limit: 5, sort: "-name" },
+      filters: { minSize: 1 },
+    });
+  });
+
+  test("bad request for invalid list options", function () {
+    expect(() => parseListQuery({ limit: "0" }, schema)).toThrow(BadRequestError);
+    expect(() => parseListQuery({ limit: "lots" }, schema)).toThrow(BadRequestError);
+    expect(() => parseListQuery({ offset: "-1" }, schema)).toThrow(BadRequestError);
+    expect(() => parseListQuery({ sort: "name;drop" }, schema)).toThrow(BadRequestError);
+  });
+});
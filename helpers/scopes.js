@@ -0,0 +1,91 @@
+/*
+  Permissions are scopes, each naming an action on a kind of resource. Each
+  user has a role (users.role), which grants a set of scopes; tokens carry
+  the scopes of the user's role, and routes ask for the scopes they need with
+  requireScope (see middleware/auth.js).
+
+  Roles that grant any scopes are staff roles: "admin", with every scope,
+  and narrower ones like "support", which can only look users up.
+
+  Scopes are only needed to act on things that aren't your own: users can
+  always manage their own account, and company members their own company
+  (see ensureCompanyMember), without any.
+*/
+
+const SCOPES = [
+  "users:read",
+  "users:write",
+  "users:delete",
+  "users:impersonate",
+  "companies:write",
+  "companies:delete",
+  "jobs:write",
+  "jobs:delete",
+  "applicants:read",
+  "applicants:write",
+  "api-keys:write",
+  "audit:read",
+  "trash:write",
+];
+
+/** The scopes each role grants. (The roles are also listed in the users
+ *  table's CHECK constraint, in jobly-schema.sql.) */
+
+const ROLE_SCOPES = {
+  user: [],
+  support: ["users:read"],
+  admin: SCOPES,
+};
+
+const ROLES = Object.keys(ROLE_SCOPES);
+
+/** Return the role a user record ({ role, totpEnabled }) acts with: their
+ *  role, or "user" for unknown roles.
+ *
+ * With requireAdmin2fa, staff only get their role once they have two-factor
+ * authentication enabled (user.totpEnabled); until then they're "user".
+ */
+
+function roleFor(user, { requireAdmin2fa = false } = {}) {
+  if (!isStaff(user.role)) return "user";
+  if (requireAdmin2fa && user.totpEnabled !== true) return "user";
+  return user.role;
+}
+
+/** Return the scopes a role grants (none for unknown roles). */
+
+function scopesFor(role) {
+  return Object.hasOwn(ROLE_SCOPES, role) ? ROLE_SCOPES[role] : [];
+}
+
+/** Return true if role is a staff role: one that grants any scopes. */
+
+function isStaff(role) {
+  return scopesFor(role).length > 0;
+}
+
+/** Return true if the res.locals.user has every one of scopes. */
+
+function hasScope(user, ...scopes) {
+  if (!user || !Array.isArray(user.scopes)) return false;
+  return scopes.every(s => user.scopes.includes(s));
+}
+
+/** Return true if the res.locals.user has any scope that lets them change
+ *  things (any but the :read ones). */
+
+function hasWriteScope(user) {
+  if (!user || !Array.isArray(user.scopes)) return false;
+  return user.scopes.some(s => !s.endsWith(":read"));
+}
+
+module.exports = {
+  SCOPES,
+  ROLE_SCOPES,
+  ROLES,
+  roleFor,
+  scopesFor,
+  isStaff,
+  hasScope,
+  hasWriteScope,
+};
@@ -0,0 +1,81 @@
+const {
+  SCOPES,
+  roleFor,
+  scopesFor,
+  isStaff,
+  hasScope,
+  hasWriteScope,
+} = require("./scopes");
+
+describe("roleFor", function () {
+  test("works", function () {
+    expect(roleFor({ username: "u1", role: "admin" })).toEqual("admin");
+    expect(roleFor({ username: "u1", role: "support" })).toEqual("support");
+    expect(roleFor({ username: "u1", role: "user" })).toEqual("user");
+    expect(roleFor({ username: "u1" })).toEqual("user");
+  });
+
+  test("user for unknown roles", function () {
+    expect(roleFor({ username: "u1", role: "superuser" })).toEqual("user");
+    expect(roleFor({ username: "u1", role: "constructor" })).toEqual("user");
+  });
+
+  test("requireAdmin2fa: staff need two-factor authentication", function () {
+    const options = { requireAdmin2fa: true };
+    expect(roleFor({ role: "admin", totpEnabled: false }, options)).toEqual("user");
+    expect(roleFor({ role: "admin", totpEnabled: true }, options)).toEqual("admin");
+    expect(roleFor({ role: "support", totpEnabled: false }, options)).toEqual("user");
+    expect(roleFor({ role: "support", totpEnabled: true }, options)).toEqual("support");
+    expect(roleFor({ role: "user", totpEnabled: true }, options)).toEqual("user");
+  });
+});
+
+describe("scopesFor", function () {
+  test("works", function () {
+    expect(scopesFor("admin")).toEqual(SCOPES);
+    expect(scopesFor("support")).toEqual(["users:read"]);
+    expect(scopesFor("user")).toEqual([]);
+  });
+
+  test("no scopes for unknown roles", function () {
+    expect(scopesFor("superuser")).toEqual([]);
+    expect(scopesFor("constructor")).toEqual([]);
+  });
+});
+
+describe("isStaff", function () {
+  test("works", function () {
+    expect(isStaff("admin")).toEqual(true);
+    expect(isStaff("support")).toEqual(true);
+    expect(isStaff("user")).toEqual(false);
+    expect(isStaff("superuser")).toEqual(false);
+  });
+});
+
+describe("hasScope", function () {
+  const user = { username: "u1", scopes: ["jobs:write", "jobs:delete"] };
+
+  test("works", function () {
+    expect(hasScope(user, "jobs:write")).toEqual(true);
+    expect(hasScope(user, "jobs:write", "jobs:delete")).toEqual(true);
+    expect(hasScope(user, "jobs:write", "users:read")).toEqual(false);
+  });
+
+  test("false if not logged in or no scopes", function () {
+    expect(hasScope(undefined, "jobs:write")).toEqual(false);
+    expect(hasScope({ username: "u1" }, "jobs:write")).toEqual(false);
+  });
+});
+
+describe("hasWriteScope", function () {
+  test("works", function () {
+    expect(hasWriteScope({ username: "u1", scopes: ["users:read", "jobs:write"] })).toEqual(true);
+    expect(hasWriteScope({ username: "u1", scopes: ["users:read", "audit:read"] })).toEqual(false);
+    expect(hasWriteScope({ username: "u1", scopes: [] })).toEqual(false);
+  });
+
+  test("false if not logged in or no scopes", function () {
+    expect(hasWriteScope(undefined)).toEqual(false);
+    expect(hasWriteScope({ username: "u1" })).toEqual(false);
+  });
+});
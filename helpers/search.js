@@ -0,0 +1,66 @@
+/*
+  Full-text search, shared by Company.findAll and Job.findAll.
+
+  Companies and jobs each have a `search` tsvector column, weighted so that
+  matches in names and titles (A) rank above matches in descriptions (B).
+  Search terms use Postgres's web search syntax: words are ANDed together
+  (in any order and any form, so "backend engineer" finds "Engineer,
+  Backend"), "quoted phrases" must appear as written, "or" allows either
+  side and -word excludes a word.
+
+  Matches are highlighted with ts_headline, using private-use characters as
+  markers so the text can be HTML-escaped before they become <mark> tags.
+
+  Names are also matched fuzzily, with pg_trgm's word similarity (the
+  `<%` operator and word_similarity), so that misspellings like "Andersen"
+  still find "Anderson Group".
+*/
+
+const MARK_START = "\uE000";
+const MARK_END = "\uE001";
+
+/** ts_headline options: the whole text, with matches marked (for names and
+ *  titles). */
+
+const HIGHLIGHT_WHOLE = `StartSel=${MARK_START}, StopSel=${MARK_END}, HighlightAll=true`;
+
+/** ts_headline options: up to two short fragments around the matches (for
+ *  descriptions). */
+
+const HIGHLIGHT_SNIPPET = `StartSel=${MARK_START}, StopSel=${MARK_END}, ` +
+    `MaxFragments=2, MaxWords=20, MinWords=5, FragmentDelimiter=" … "`;
+
+/** Return SQL turning the search terms in parameter $idx into a tsquery. */
+
+function tsQuerySql(idx) {
+  return `websearch_to_tsquery('english', $${idx})`;
+}
+
+/** Return a LIKE pattern matching text that starts with prefix (with any
+ *  %, _ or \ in it matched literally). */
+
+function startsWithPattern(prefix) {
+  return prefix.replace(/[\\%_]/g, "\\$&") + "%";
+}
+
+/** Turn ts_headline output into HTML: escaped, with matches in <mark>. */
+
+function highlightToHtml(text) {
+  if (text === null) return null;
+  return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+      .split(MARK_START).join("<mark>")
+      .split(MARK_END).join("</mark>");
+}
+
+module.exports = {
+  HIGHLIGHT_WHOLE,
+  HIGHLIGHT_SNIPPET,
+  tsQuerySql,
+  startsWithPattern,
+  highlightToHtml,
+};
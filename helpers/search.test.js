@@ -0,0 +1,27 @@
+const { highlightToHtml, startsWithPattern } = require("./search");
+
+describe("startsWithPattern", function () {
+  test("works", function () {
+    expect(startsWithPattern("Back")).toEqual("Back%");
+  });
+
+  test("matches wildcards literally", function () {
+    expect(startsWithPattern("50%_off\\")).toEqual("50\\%\\_off\\\\%");
+  });
+});
+
+describe("highlightToHtml", function () {
+  test("turns markers into <mark> tags", function () {
+    expect(highlightToHtml("Senior Backend Engineer"))
+        .toEqual("Senior <mark>Backend</mark> Engineer");
+  });
+
+  test("escapes HTML in the text", function () {
+    expect(highlightToHtml(`<b>"Tom & Jerry's"</b> Co`))
+        .toEqual("&lt;b&gt;&quot;Tom &amp; Jerry&#39;s&quot;&lt;/b&gt; <mark>Co</mark>");
+  });
+
+  test("null stays null", function () {
+    expect(highlightToHtml(null)).toBeNull();
+  });
+});
@@ -1,18 +1,103 @@
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const crypto = require("crypto");
+const { UnauthorizedError } = require("../expressError");
+const { roleFor, scopesFor } = require("./scopes");
+const {
+  SECRET_KEY,
+  ACCESS_TOKEN_EXPIRES_IN,
+  MFA_TOKEN_EXPIRES_IN,
+  REQUIRE_ADMIN_2FA,
+} = require("../config");
 
-/** return signed JWT from user data. */
+// MFA tokens are signed with their own key so they can never pass as access
+// tokens in authenticateJWT.
+const MFA_SECRET_KEY = `${SECRET_KEY}:mfa`;
 
-function createToken(user) {
-  console.assert(user.isAdmin !== undefined,
-      "createToken passed user without isAdmin property");
+/** return signed, short-lived JWT from user data.
+ *
+ * The token carries the user's role and the scopes it grants (see
+ * helpers/scopes.js).
+ *
+ * ver is the user's token version: authenticateJWT rejects the token once the
+ * version in the database moves on (e.g. after a role or password change).
+ *
+ * sid is the id of the session the token belongs to, if any (sessionId); the
+ * token stops working when that session is revoked.
+ *
+ * With impersonator ({ username, tokenVersion } of an admin), the token lets
+ * that admin act as user: it's marked with impersonator: { username, ver },
+ * and stops working if either user's token version moves on.
+ *
+ * With requireAdmin2fa (defaults to REQUIRE_ADMIN_2FA), staff only get
+ * their role once they have two-factor authentication enabled
+ * (user.totpEnabled).
+ */
+
+function createToken(user,
+    { requireAdmin2fa = REQUIRE_ADMIN_2FA, sessionId, impersonator } = {}) {
+  console.assert(user.role !== undefined,
+      "createToken passed user without role property");
+
+  const role = roleFor(user, { requireAdmin2fa });
 
   let payload = {
     username: user.username,
-    isAdmin: user.isAdmin || false,
+    role,
+    scopes: scopesFor(role),
+    ver: user.tokenVersion || 0,
   };
+  if (sessionId !== undefined) payload.sid = sessionId;
+  if (impersonator) {
+    payload.impersonator = {
+      username: impersonator.username,
+      ver: impersonator.tokenVersion || 0,
+    };
+  }
+
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+}
+
+/** return signed JWT proving user got their password right, to be traded in
+ *  with a 2FA code at POST /auth/token/2fa. */
+
+function createMfaToken(user) {
+  const payload = {
+    username: user.username,
+    ver: user.tokenVersion || 0,
+  };
+
+  return jwt.sign(payload, MFA_SECRET_KEY, { expiresIn: MFA_TOKEN_EXPIRES_IN });
+}
+
+/** return payload { username, ver } of an MFA token.
+ *
+ * Throws UnauthorizedError if the token is invalid or expired.
+ */
+
+function verifyMfaToken(token) {
+  try {
+    return jwt.verify(token, MFA_SECRET_KEY);
+  } catch (err) {
+    throw new UnauthorizedError("Invalid or expired MFA token");
+  }
+}
+
+/** return a new random, opaque token (for refresh tokens and the like). */
+
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/** return the hash of an opaque token; only hashes are stored in the db. */
 
-  return jwt.sign(payload, SECRET_KEY);
+function hashOpaqueToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
 }
 
-module.exports = { createToken };
+module.exports = {
+  createToken,
+  createMfaToken,
+  verifyMfaToken,
+  createOpaqueToken,
+  hashOpaqueToken,
+};
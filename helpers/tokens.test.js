@@ -1,36 +1,137 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const {
+  createToken,
+  createMfaToken,
+  verifyMfaToken,
+  createOpaqueToken,
+  hashOpaqueToken,
+} = require("./tokens");
 const { SECRET_KEY } = require("../config");
+const { UnauthorizedError } = require("../expressError");
+const { SCOPES } = require("./scopes");
 
 describe("createToken", function () {
   test("works: not admin", function () {
-    const token = createToken({ username: "test", is_admin: false });
+    const token = createToken({ username: "test", role: "user" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      ver: 0,
       username: "test",
-      isAdmin: false,
+      role: "user",
+      scopes: [],
     });
   });
 
   test("works: admin", function () {
-    const token = createToken({ username: "test", isAdmin: true });
+    const token = createToken({ username: "test", role: "admin" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      ver: 0,
       username: "test",
-      isAdmin: true,
+      role: "admin",
+      scopes: SCOPES,
     });
   });
 
+  test("works: narrower staff role", function () {
+    const token = createToken({ username: "test", role: "support" });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual(expect.objectContaining({
+      role: "support",
+      scopes: ["users:read"],
+    }));
+  });
+
   test("works: default no admin", function () {
     // given the security risk if this didn't work, checking this specifically
     const token = createToken({ username: "test" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      ver: 0,
       username: "test",
-      isAdmin: false,
+      role: "user",
+      scopes: [],
     });
   });
+
+  test("works: includes token version", function () {
+    const token = createToken({ username: "test", role: "user", tokenVersion: 3 });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.ver).toEqual(3);
+  });
+
+  test("works: includes session id only if given", function () {
+    const withSession = createToken({ username: "test", role: "user" }, { sessionId: 7 });
+    expect(jwt.verify(withSession, SECRET_KEY).sid).toEqual(7);
+
+    const withoutSession = createToken({ username: "test", role: "user" });
+    expect(jwt.verify(withoutSession, SECRET_KEY)).not.toHaveProperty("sid");
+  });
+
+  test("works: impersonation", function () {
+    const token = createToken(
+        { username: "test", role: "user", tokenVersion: 1 },
+        { impersonator: { username: "admin", tokenVersion: 2 } });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual(expect.objectContaining({
+      username: "test",
+      role: "user",
+      ver: 1,
+      impersonator: { username: "admin", ver: 2 },
+    }));
+  });
+
+  test("works: expires", function () {
+    const token = createToken({ username: "test", role: "user" });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+
+  test("works: admin 2FA required", function () {
+    const options = { requireAdmin2fa: true };
+    const without2fa = createToken({ username: "test", role: "admin" }, options);
+    expect(jwt.verify(without2fa, SECRET_KEY)).toEqual(
+        expect.objectContaining({ role: "user", scopes: [] }));
+
+    const with2fa = createToken(
+        { username: "test", role: "admin", totpEnabled: true }, options);
+    expect(jwt.verify(with2fa, SECRET_KEY)).toEqual(
+        expect.objectContaining({ role: "admin", scopes: SCOPES }));
+  });
+});
+
+describe("MFA tokens", function () {
+  test("round trip", function () {
+    const token = createMfaToken({ username: "test", tokenVersion: 2 });
+    expect(verifyMfaToken(token)).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      username: "test",
+      ver: 2,
+    });
+  });
+
+  test("are not access tokens, and vice versa", function () {
+    const mfaToken = createMfaToken({ username: "test" });
+    expect(() => jwt.verify(mfaToken, SECRET_KEY)).toThrow();
+
+    const token = createToken({ username: "test", role: "user" });
+    expect(() => verifyMfaToken(token)).toThrow(UnauthorizedError);
+  });
+});
+
+describe("opaque tokens", function () {
+  test("are random and hash consistently", function () {
+    const token = createOpaqueToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(createOpaqueToken()).not.toEqual(token);
+    expect(hashOpaqueToken(token)).toEqual(hashOpaqueToken(token));
+    expect(hashOpaqueToken(token)).not.toEqual(token);
+  });
 });
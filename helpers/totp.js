@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+
+/*
+  Time-based one-time passwords (RFC 6238), as used by authenticator apps.
+
+  Secrets are shared with the app as base32 strings (RFC 4648, no padding),
+  either typed in or scanned from an otpauth:// URI. Codes are 6 digits, use
+  HMAC-SHA1 and change every 30 seconds.
+*/
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/** Encode a buffer as base32, without padding. */
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (let byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+/** Decode a base32 string (case, spaces and padding are ignored). */
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=]/g, "");
+
+  let bits = "";
+  for (let char of clean) {
+    const val = BASE32_ALPHABET.indexOf(char);
+    if (val === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += val.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/** Return a new random base32 secret (160 bits, as RFC 4226 recommends). */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** Return the HOTP code (RFC 4226) for a secret buffer and counter. */
+
+function hotp(key, counter) {
+  const counterBuf = Buffer.alloc(8);
+  counterBuf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(counterBuf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return binary.toString().padStart(DIGITS, "0");
+}
+
+/** Return the time step (30 second window number) for a time in ms. */
+
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD_SECONDS);
+}
+
+/** Return the TOTP code for a base32 secret at a time in ms. */
+
+function totp(secret, time = Date.now()) {
+  return hotp(base32Decode(secret), timeStep(time));
+}
+
+/*
+  Check a code against a base32 secret, allowing for `window` steps of clock
+  drift either side of `time`.
+
+  Returns the time step the code matched, or null if it matched none.
+*/
+
+function verifyTotp(secret, code, { window = 1, time = Date.now() } = {}) {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const key = base32Decode(secret);
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/** Return the otpauth:// URI authenticator apps scan to add an account. */
+
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  timeStep,
+  totp,
+  verifyTotp,
+  otpauthUri,
+};
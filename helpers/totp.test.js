@@ -0,0 +1,67 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  totp,
+  timeStep,
+  verifyTotp,
+  otpauthUri,
+} = require("./totp");
+
+// RFC 6238 appendix B test secret for SHA1: ASCII "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", function () {
+  test("round trips", function () {
+    const buf = Buffer.from("hello jobly");
+    expect(base32Decode(base32Encode(buf))).toEqual(buf);
+  });
+
+  test("matches RFC 4648 example", function () {
+    expect(base32Encode(Buffer.from("foobar"))).toEqual("MZXW6YTBOI");
+    expect(base32Decode("mzxw6ytboi======").toString()).toEqual("foobar");
+  });
+
+  test("rejects invalid characters", function () {
+    expect(() => base32Decode("ABC1")).toThrow();
+  });
+});
+
+describe("totp", function () {
+  test("matches RFC 6238 test vectors (last 6 digits)", function () {
+    expect(totp(RFC_SECRET, 59 * 1000)).toEqual("287082");
+    expect(totp(RFC_SECRET, 1111111109 * 1000)).toEqual("081804");
+    expect(totp(RFC_SECRET, 1234567890 * 1000)).toEqual("005924");
+  });
+
+  test("generated secrets are 32 base32 characters", function () {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe("verifyTotp", function () {
+  const time = 1111111109 * 1000;
+
+  test("works: current step", function () {
+    expect(verifyTotp(RFC_SECRET, "081804", { time })).toEqual(timeStep(time));
+  });
+
+  test("works: one step of drift", function () {
+    const previous = totp(RFC_SECRET, time - 30 * 1000);
+    expect(verifyTotp(RFC_SECRET, previous, { time })).toEqual(timeStep(time) - 1);
+  });
+
+  test("null for wrong, stale or malformed codes", function () {
+    const stale = totp(RFC_SECRET, time - 120 * 1000);
+    expect(verifyTotp(RFC_SECRET, "000000", { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, stale, { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "abc", { time })).toBeNull();
+  });
+});
+
+describe("otpauthUri", function () {
+  test("works", function () {
+    expect(otpauthUri({ secret: "ABC", account: "u1", issuer: "Jobly" })).toEqual(
+        "otpauth://totp/Jobly%3Au1?secret=ABC&issuer=Jobly&algorithm=SHA1&digits=6&period=30");
+  });
+});
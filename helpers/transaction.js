@@ -0,0 +1,69 @@
+const db = require("../db");
+
+/*
+  Running several queries as one transaction.
+
+  The app shares one database client (db) between all requests, so a
+  transaction can't simply BEGIN on it: every other request's queries would
+  run inside it, and be undone if it was rolled back. Instead each
+  transaction gets a client of its own from db.pool, and the queries in it
+  must be sent on that client, which is passed to the function run in it.
+
+  If db already has a transaction open (the one each test runs in), a
+  savepoint on db is used instead, so that what's done can be seen, and is
+  rolled back, with the rest of the test.
+*/
+
+/** PostgreSQL's error code for SAVEPOINT outside a transaction. */
+
+const NO_ACTIVE_TRANSACTION = "25P01";
+
+let savepoints = 0;
+
+/** Run fn (an async function, called with the client to send its queries
+ *  on) in a transaction: committed if it returns, rolled back if it throws.
+ *
+ * Returns what fn returns; throws what it throws.
+ */
+
+async function transaction(fn) {
+  const savepoint = `transaction_${++savepoints}`;
+  try {
+    await db.query(`SAVEPOINT ${savepoint}`);
+  } catch (err) {
+    if (err.code !== NO_ACTIVE_TRANSACTION) throw err;
+    return await pooledTransaction(fn);
+  }
+
+  try {
+    const result = await fn(db);
+    await db.query(`RELEASE SAVEPOINT ${savepoint}`);
+    return result;
+  } catch (err) {
+    await db.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+    throw err;
+  }
+}
+
+/** Run fn in a transaction on a client from db.pool (see transaction). */
+
+async function pooledTransaction(fn) {
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    try {
+      const result = await fn(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    }
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  transaction,
+};
@@ -0,0 +1,75 @@
+const db = require("../db");
+const { transaction } = require("./transaction");
+
+async function outboxCount() {
+  const result = await db.query(
+      "SELECT COUNT(*)::int AS count FROM mail_outbox WHERE sender = 'transaction-test'");
+  return result.rows[0].count;
+}
+
+async function addMail(client = db) {
+  await client.query(
+      `INSERT INTO mail_outbox (sender, recipient, subject, body)
+       VALUES ('transaction-test', 'to@test.com', 'Subject', 'Body')`);
+}
+
+afterEach(async function () {
+  await db.query("DELETE FROM mail_outbox WHERE sender = 'transaction-test'");
+});
+
+afterAll(async function () {
+  await db.pool.end();
+  await db.end();
+});
+
+
+describe("transaction", function () {
+  test("commits and returns what fn returns", async function () {
+    const result = await transaction(async function (client) {
+      await addMail(client);
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await outboxCount()).toEqual(1);
+  });
+
+  test("rolls back and rethrows if fn throws", async function () {
+    await expect(transaction(async function (client) {
+      await addMail(client);
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+    expect(await outboxCount()).toEqual(0);
+  });
+
+  test("leaves out other queries sent meanwhile", async function () {
+    await expect(transaction(async function (client) {
+      await addMail(client);
+      // e.g. another request's
+      await addMail();
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+    expect(await outboxCount()).toEqual(1);
+  });
+
+  test("isn't seen by other queries until committed", async function () {
+    await transaction(async function (client) {
+      await addMail(client);
+      expect(await outboxCount()).toEqual(0);
+    });
+    expect(await outboxCount()).toEqual(1);
+  });
+
+  test("nests in an open transaction, leaving it open", async function () {
+    await db.query("BEGIN");
+    await addMail();
+    await expect(transaction(async function (client) {
+      expect(client).toBe(db);
+      await addMail(client);
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+    await transaction(addMail);
+    expect(await outboxCount()).toEqual(2);
+    await db.query("ROLLBACK");
+    expect(await outboxCount()).toEqual(0);
+  });
+});
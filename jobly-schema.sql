@@ -1,11 +1,22 @@
+-- trigram matching, for typo-tolerant search (see helpers/search.js)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 CREATE TABLE companies (
   handle VARCHAR(25) PRIMARY KEY CHECK (handle = lower(handle)),
   name TEXT UNIQUE NOT NULL,
   num_employees INTEGER CHECK (num_employees >= 0),
   description TEXT NOT NULL,
-  logo_url TEXT
+  logo_url TEXT,
+  deleted_at TIMESTAMP,
+  search TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', description), 'B')
+  ) STORED
 );
 
+CREATE INDEX companies_search_idx ON companies USING GIN (search);
+CREATE INDEX companies_name_trgm_idx ON companies USING GIN (name gin_trgm_ops);
+
 CREATE TABLE users (
   username VARCHAR(25) PRIMARY KEY,
   password TEXT NOT NULL,
@@ -13,7 +24,18 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
-  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+  -- one of the roles in helpers/scopes.js, which says what each can do
+  role TEXT NOT NULL DEFAULT 'user'
+    CHECK (role IN ('user', 'support', 'admin')),
+  is_admin BOOLEAN GENERATED ALWAYS AS (role = 'admin') STORED,
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  token_version INTEGER NOT NULL DEFAULT 0,
+  totp_secret TEXT,
+  totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  totp_last_step BIGINT,
+  deleted_at TIMESTAMP,
+  deletion_scheduled_for TIMESTAMP,
+  anonymised_at TIMESTAMP
 );
 
 CREATE TABLE jobs (
@@ -22,13 +44,172 @@ CREATE TABLE jobs (
   salary INTEGER CHECK (salary >= 0),
   equity NUMERIC CHECK (equity <= 1.0),
   company_handle VARCHAR(25) NOT NULL
-    REFERENCES companies ON DELETE CASCADE
+    REFERENCES companies ON DELETE CASCADE,
+  deleted_at TIMESTAMP,
+  search TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', title), 'A')
+  ) STORED
 );
 
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search);
+CREATE INDEX jobs_title_trgm_idx ON jobs USING GIN (title gin_trgm_ops);
+
 CREATE TABLE applications (
   username VARCHAR(25)
-    REFERENCES users ON DELETE CASCADE,
+    REFERENCES users ON DELETE CASCADE ON UPDATE CASCADE,
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing', 'offered',
+                     'accepted', 'rejected', 'withdrawn')),
+  applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   PRIMARY KEY (username, job_id)
 );
+
+CREATE TABLE application_events (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  actor VARCHAR(25) NOT NULL,
+  old_state TEXT,
+  new_state TEXT NOT NULL,
+  note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE TABLE company_members (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  role TEXT NOT NULL
+    CHECK (role IN ('owner', 'recruiter', 'viewer')),
+  PRIMARY KEY (username, company_handle)
+);
+
+CREATE TABLE sessions (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  user_agent TEXT,
+  ip TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  session_id INTEGER NOT NULL
+    REFERENCES sessions ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE TABLE mail_outbox (
+  id SERIAL PRIMARY KEY,
+  sender TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE login_failures (
+  scope TEXT NOT NULL
+    CHECK (scope IN ('username', 'ip')),
+  key TEXT NOT NULL,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMP,
+  PRIMARY KEY (scope, key)
+);
+
+CREATE TABLE recovery_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT UNIQUE NOT NULL,
+  key_hash TEXT UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE TABLE oidc_states (
+  state_hash TEXT PRIMARY KEY,
+  nonce TEXT NOT NULL,
+  code_verifier TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE user_identities (
+  issuer TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMP,
+  PRIMARY KEY (issuer, subject)
+);
+
+-- actor is who really made the request; on_behalf_of is the user they were
+-- impersonating, if any. changes is { field: { before, after }, ... } for the
+-- entity. No foreign keys: entries outlive what they're about.
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor VARCHAR(25) NOT NULL,
+  on_behalf_of VARCHAR(25),
+  method TEXT NOT NULL,
+  route TEXT NOT NULL,
+  entity_type TEXT,
+  entity_id TEXT,
+  changes JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX audit_log_actor_idx ON audit_log (actor, created_at);
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id, created_at);
@@ -0,0 +1,171 @@
+"use strict";
+
+/** Middleware that writes to the audit log (see models/auditLog.js). */
+
+const AuditLog = require("../models/auditLog");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const User = require("../models/user");
+const { NotFoundError } = require("../expressError");
+const { isIntegerId } = require("./params");
+const { hasWriteScope } = require("../helpers/scopes");
+
+/** How to find each kind of entity: the key it's under in responses, its id
+ *  field, and how to load it (to know what it was before a change). */
+
+const ENTITIES = {
+  company: {
+    key: "company",
+    idField: "handle",
+    async load(handle) {
+      const [{ name, description, numEmployees, logoUrl }] = await Company.get(handle);
+      return { handle, name, description, numEmployees, logoUrl };
+    },
+  },
+  job: {
+    key: "job",
+    idField: "id",
+    async load(id) {
+      // the routes refuse other ids (see ensureIntegerParams)
+      if (!isIntegerId(id)) throw new NotFoundError(`No job found with id: ${id}`);
+      return await Job.get(id);
+    },
+  },
+  user: {
+    key: "user",
+    idField: "username",
+    load: username => User.get(username),
+  },
+};
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+
+/** Return { field: { before, after }, ... } for the fields that differ
+ *  between two versions of an entity (either may be null, for creation or
+ *  deletion).
+ *
+ * Only plain values are compared, not lists or nested objects. When
+ * updating, fields only in before (e.g. ones the update didn't return) are
+ * left out.
+ */
+
+function changesBetween(before, after) {
+  const isPlain = v => v === null || typeof v !== "object" || v instanceof Date;
+  const fields = after ? Object.keys(after) : Object.keys(before || {});
+  const changes = {};
+
+  for (let field of fields) {
+    const was = before ? before[field] : null;
+    const now = after ? after[field] : null;
+    if (!isPlain(was) || !isPlain(now) || was === undefined) continue;
+    if (JSON.stringify(was) !== JSON.stringify(now)) {
+      changes[field] = { before: was, after: now };
+    }
+  }
+
+  return changes;
+}
+
+
+/** Middleware factory: record every successful POST/PATCH/DELETE made
+ * under a router for `entityType` ("company", "job" or "user") by staff:
+ * anyone with a scope that lets them change things (see helpers/scopes.js),
+ * whatever their role. E.g.
+ *
+ *   app.use("/companies", auditStaffMutations("company"), companiesRoutes);
+ *
+ * The entity is the one named by the first part of the path (e.g.
+ * /companies/c1/members => c1), or the one a POST to / created. For changes
+ * to the entity itself (e.g. PATCH /companies/c1), the entry also has what
+ * changed, from the entity before and the updated entity in the response.
+ *
+ * The entry is written once the route responds, after its change is made:
+ * if writing it fails, that's logged, and the response still goes out, as
+ * the change can't be undone.
+ *
+ * Must come after authenticateJWT.
+ */
+
+function auditStaffMutations(entityType) {
+  const entity = ENTITIES[entityType];
+
+  return async function (req, res, next) {
+    const actor = res.locals.user;
+    if (!hasWriteScope(actor) || !MUTATING_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const [id, ...rest] = req.path.split("/").filter(Boolean).map(decodeURIComponent);
+    const isWholeEntity = rest.length === 0;
+
+    let before = null;
+    if (id !== undefined && isWholeEntity) {
+      try {
+        before = await entity.load(id);
+      } catch (err) {
+        // nothing to change; the route will say so
+        return next();
+      }
+    }
+
+    const json = res.json.bind(res);
+    res.json = function (body) {
+      if (res.statusCode >= 300) return json(body);
+
+      const created = id === undefined && body ? body[entity.key] : undefined;
+      let changes = null;
+      if (isWholeEntity) {
+        const after = req.method === "DELETE" ? null : body[entity.key] || null;
+        changes = changesBetween(before, after);
+      }
+
+      AuditLog.record({
+        actor: actor.username,
+        method: req.method,
+        route: req.originalUrl,
+        entityType,
+        entityId: created ? created[entity.idField] : id,
+        changes,
+      }).catch(err => {
+        if (process.env.NODE_ENV !== "test") {
+          console.error(`Recording ${req.method} ${req.originalUrl} in the audit log failed:`, err);
+        }
+      }).then(() => json(body));
+      return res;
+    };
+
+    return next();
+  };
+}
+
+
+/** Middleware: record every request made while impersonating a user, with
+ * the admin as the actor, before it's handled (so refused and failed
+ * requests are recorded too).
+ *
+ * Must come after authenticateJWT.
+ */
+
+async function auditImpersonation(req, res, next) {
+  const user = res.locals.user;
+  if (!user || !user.impersonator) return next();
+
+  try {
+    await AuditLog.record({
+      actor: user.impersonator.username,
+      onBehalfOf: user.username,
+      method: req.method,
+      route: req.originalUrl,
+    });
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  changesBetween,
+  auditStaffMutations,
+  auditImpersonation,
+};
@@ -0,0 +1,127 @@
+"use strict";
+
+const db = require("../db");
+const { changesBetween, auditStaffMutations, auditImpersonation } = require("./audit");
+
+/** A stand-in for a response, whose json() resolves res.sent with the
+ *  body. */
+
+function fakeResponse(user) {
+  const res = { locals: { user }, statusCode: 200 };
+  res.sent = new Promise(resolve => {
+    res.json = function (body) {
+      resolve(body);
+      return res;
+    };
+  });
+  return res;
+}
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+
+describe("changesBetween", function () {
+  test("works: update", function () {
+    const before = { handle: "c1", name: "C1", numEmployees: 1, jobs: [{ id: 1 }] };
+    const after = { handle: "c1", name: "New", numEmployees: 1 };
+    expect(changesBetween(before, after)).toEqual({ name: { before: "C1", after: "New" } });
+  });
+
+  test("works: creation", function () {
+    expect(changesBetween(null, { handle: "c1", numEmployees: null })).toEqual({
+      handle: { before: null, after: "c1" },
+    });
+  });
+
+  test("works: deletion, leaving out lists", function () {
+    expect(changesBetween({ handle: "c1", jobs: [] }, null)).toEqual({
+      handle: { before: "c1", after: null },
+    });
+  });
+
+  test("works: leaves out fields the update didn't return", function () {
+    expect(changesBetween({ username: "u1", emailVerified: true }, { username: "u1", email: "x" }))
+        .toEqual({});
+  });
+});
+
+
+describe("auditStaffMutations", function () {
+  const req = { method: "POST", path: "/c1/members", originalUrl: "/companies/c1/members" };
+
+  test("works: records changes by anyone with write scopes", async function () {
+    expect.assertions(3);
+    const res = fakeResponse({ username: "test", role: "recruiting", scopes: ["jobs:write"] });
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await auditStaffMutations("company")(req, res, next);
+    res.json({ member: { username: "u1" } });
+    expect(await res.sent).toEqual({ member: { username: "u1" } });
+
+    const found = await db.query("SELECT actor, method, route, entity_id FROM audit_log");
+    expect(found.rows).toEqual([
+      { actor: "test", method: "POST", route: "/companies/c1/members", entity_id: "c1" },
+    ]);
+  });
+
+  test("works: ignores changes by those with only read scopes", async function () {
+    expect.assertions(2);
+    const res = fakeResponse({ username: "test", role: "support", scopes: ["users:read"] });
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await auditStaffMutations("company")(req, res, next);
+    res.json({ member: { username: "u1" } });
+    await res.sent;
+
+    const found = await db.query("SELECT * FROM audit_log");
+    expect(found.rows).toEqual([]);
+  });
+});
+
+
+describe("auditImpersonation", function () {
+  test("works: records impersonated requests", async function () {
+    expect.assertions(2);
+    const req = { method: "GET", originalUrl: "/users/test?x=1" };
+    const res = { locals: { user: {
+      username: "test",
+      role: "user",
+      scopes: [],
+      impersonator: { username: "admin", ver: 0 },
+    } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await auditImpersonation(req, res, next);
+
+    const found = await db.query("SELECT actor, on_behalf_of, method, route FROM audit_log");
+    expect(found.rows).toEqual([
+      { actor: "admin", on_behalf_of: "test", method: "GET", route: "/users/test?x=1" },
+    ]);
+  });
+
+  test("works: ignores other requests", async function () {
+    expect.assertions(2);
+    const req = { method: "GET", originalUrl: "/users/test" };
+    const res = { locals: { user: { username: "test", role: "user", scopes: [] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await auditImpersonation(req, res, next);
+
+    const found = await db.query("SELECT * FROM audit_log");
+    expect(found.rows).toEqual([]);
+  });
+});
@@ -3,28 +3,98 @@
 /** Convenience middleware to handle common auth cases in routes. */
 
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { SECRET_KEY, REQUIRE_ADMIN_2FA } = require("../config");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const User = require("../models/user");
+const Session = require("../models/session");
+const CompanyMember = require("../models/companyMember");
+const ApiKey = require("../models/apiKey");
+const { roleFor, scopesFor, hasScope } = require("../helpers/scopes");
 
 
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * on res.locals (this will include the username, role and scopes fields.)
+ *
+ * A token is only valid if it has not expired and its token version still
+ * matches the user's in the database: deleting a user, or changing their
+ * password or isAdmin, revokes every token issued before. Tokens from a
+ * session (sid) are also only valid while that session is; each use counts
+ * as the session being seen. Impersonation tokens also need the
+ * impersonator's token version to match.
+ *
+ * An API key in the X-API-Key header is accepted instead of a token; see
+ * authenticateApiKey.
  *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
+  if (req.headers && req.headers["x-api-key"]) {
+    return authenticateApiKey(req, res, next);
+  }
+
+  let payload;
   try {
     const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
-      const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+    if (!authHeader) return next();
+
+    const token = authHeader.replace(/^[Bb]earer /, "").trim();
+    payload = jwt.verify(token, SECRET_KEY);
+  } catch (err) {
+    return next();
+  }
+
+  try {
+    const tokenVersion = await User.getTokenVersion(payload.username);
+    if (tokenVersion === undefined || tokenVersion !== payload.ver) return next();
+
+    if (payload.sid !== undefined
+        && !await Session.touch(payload.sid, payload.username, req.ip)) {
+      return next();
+    }
+
+    if (payload.impersonator) {
+      const { username, ver } = payload.impersonator;
+      if (await User.getTokenVersion(username) !== ver) return next();
     }
+
+    res.locals.user = payload;
     return next();
   } catch (err) {
+    return next(err);
+  }
+}
+
+/** Authenticate with the API key in the X-API-Key header.
+ *
+ * If the key is valid, stores { username, role, scopes, apiKey } on
+ * res.locals, where apiKey is { id, companyHandle, scopes }. A key only gets
+ * the scopes it was created with that the user's role also grants. Keys
+ * limited to a company never get a staff role, and nor do keys of staff
+ * without two-factor authentication when REQUIRE_ADMIN_2FA is on.
+ *
+ * As with tokens, an invalid key just leaves the request anonymous.
+ */
+
+async function authenticateApiKey(req, res, next) {
+  try {
+    const key = await ApiKey.authenticate(req.headers["x-api-key"]);
+    if (!key) return next();
+
+    const role = key.companyHandle === null
+        ? roleFor(key, { requireAdmin2fa: REQUIRE_ADMIN_2FA })
+        : "user";
+    res.locals.user = {
+      username: key.username,
+      role,
+      scopes: scopesFor(role).filter(s => key.scopes.includes(s)),
+      apiKey: { id: key.id, companyHandle: key.companyHandle, scopes: key.scopes },
+    };
     return next();
+  } catch (err) {
+    return next(err);
   }
 }
 
@@ -43,42 +113,129 @@ function ensureLoggedIn(req, res, next) {
 }
 
 
-/** Middleware to use when checking if user logged in is an admin
- * 
- * If not, raises Unauthorized. 
+/** Middleware factory: the logged in user must have every one of `scopes`
+ * (e.g. requireScope("companies:write")).
+ *
+ * If not, raises Unauthorized.
+ */
+
+function requireScope(...scopes) {
+  return function (req, res, next) {
+    try {
+      if (!hasScope(res.locals.user, ...scopes)) throw new UnauthorizedError();
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Middleware factory: the logged in user must be the user in
+ * req.params.username, or have `scope` to act on other users (e.g.
+ * "users:read"). An admin impersonating a user counts as that user.
+ *
+ * If not either, raises Unauthorized.
+ */
+
+function ensureCorrectUserOrScope(scope) {
+  return function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (user.username === req.params.username || hasScope(user, scope)) {
+        return next();
+      }
+      throw new UnauthorizedError();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Middleware factory: the logged in user must be a member of the company
+ * with at least `role` ("viewer", "recruiter" or "owner"), or have `scope`
+ * to act on any company (e.g. "jobs:write").
+ *
+ * The company is taken from req.params.handle, then res.locals.companyHandle
+ * (set by routes that look it up, e.g. from a job), then
+ * req.body.companyHandle.
+ *
+ * API keys limited to a company only pass for that company.
+ *
+ * If not either, raises Unauthorized.
  */
 
-function ensureAdmin(req, res, next) {
+function ensureCompanyMember(role, scope) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (hasScope(user, scope)) return next();
+
+      const handle = req.params.handle
+          || res.locals.companyHandle
+          || (req.body && req.body.companyHandle);
+      if (!handle) throw new UnauthorizedError();
+
+      const apiKey = user.apiKey;
+      if (apiKey && apiKey.companyHandle && apiKey.companyHandle !== handle) {
+        throw new UnauthorizedError();
+      }
+
+      const isMember = await CompanyMember.hasRole(handle, user.username, role);
+      if (!isMember) throw new UnauthorizedError();
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Middleware for actions not allowed while an admin is impersonating a
+ * user (see POST /users/:username/impersonate): deleting things, changing
+ * the user's account or credentials, applying or moving applications on
+ * their behalf, and, as a member of a company, changing the company, its
+ * members, its jobs or its applicants.
+ *
+ * If impersonating, raises Forbidden.
+ */
+
+function ensureNotImpersonating(req, res, next) {
   try {
-    if (!res.locals.user || res.locals.user.isAdmin !== true)throw new UnauthorizedError();
+    if (res.locals.user && res.locals.user.impersonator) {
+      throw new ForbiddenError("Not allowed while impersonating a user");
+    }
     return next();
   } catch (err) {
-    return next(err)
+    return next(err);
   }
 }
 
-/** Middleware to use when checking if user is the correct user that is allowed to access the route. If not the correct user, admin can still access route. 
- * 
- * If not either, raises Unauthorized. 
-*/
-function ensureCorrectUser(req, res, next) {
+/** Middleware for managing an account or its credentials (the profile,
+ * password, two-factor authentication, sessions, API keys, deletion), which
+ * API keys can't do: they're for letting other systems act for a user, not
+ * for taking over their account.
+ *
+ * If authenticated with an API key, raises Forbidden.
+ */
+
+function ensureNotApiKey(req, res, next) {
   try {
-    if (!res.locals.user) {
-      throw new UnauthorizedError();
-    }
-     else if (res.locals.user.username === req.params.username || res.locals.user.isAdmin === true) {
-      return next()
-    } else {
-      throw new UnauthorizedError();
+    if (res.locals.user && res.locals.user.apiKey) {
+      throw new ForbiddenError("Not allowed with an API key");
     }
+    return next();
   } catch (err) {
-    return next(err)
+    return next(err);
   }
 }
 
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
-  ensureAdmin, 
-  ensureCorrectUser
+  requireScope,
+  ensureCorrectUserOrScope,
+  ensureCompanyMember,
+  ensureNotImpersonating,
+  ensureNotApiKey,
 };
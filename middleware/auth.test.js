@@ -1,22 +1,64 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const db = require("../db");
+const ApiKey = require("../models/apiKey");
+const Session = require("../models/session");
 const {
   authenticateJWT,
   ensureLoggedIn,
-  ensureAdmin, 
-  ensureCorrectUser
+  requireScope,
+  ensureCorrectUserOrScope,
+  ensureCompanyMember,
+  ensureNotImpersonating,
+  ensureNotApiKey,
 } = require("./auth");
 
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const testJwt = jwt.sign({ username: "test", role: "user", scopes: [], ver: 0 }, SECRET_KEY);
+const badJwt = jwt.sign({ username: "test", role: "user", scopes: [], ver: 0 }, "wrong");
+const staleJwt = jwt.sign(
+    { username: "test", role: "admin", scopes: ["users:read"], ver: -1 }, SECRET_KEY);
+const expiredJwt = jwt.sign(
+    { username: "test", role: "user", scopes: [], ver: 0 }, SECRET_KEY, { expiresIn: -10 });
+const noUserJwt = jwt.sign({ username: "nope", role: "user", scopes: [], ver: 0 }, SECRET_KEY);
+const impersonationJwt = jwt.sign({
+  username: "test", role: "user", scopes: [], ver: 0, impersonator: { username: "test", ver: 0 },
+}, SECRET_KEY);
+const staleImpersonationJwt = jwt.sign({
+  username: "test", role: "user", scopes: [], ver: 0, impersonator: { username: "test", ver: 1 },
+}, SECRET_KEY);
+
+let apiKey;
+let sessionJwt;
+let revokedSessionJwt;
+
+beforeAll(async function () {
+  await db.query("DELETE FROM users WHERE username = 'test'");
+  await db.query(
+      `INSERT INTO users (username, password, first_name, last_name, email)
+       VALUES ('test', 'password', 'Test', 'User', 'test@test.com')`);
+  ({ key: apiKey } = await ApiKey.create("test", { name: "ats", scopes: ["users:read"] }));
+
+  const session = await Session.create("test");
+  sessionJwt = jwt.sign(
+      { username: "test", role: "user", scopes: [], ver: 0, sid: session.id }, SECRET_KEY);
+  const revokedSession = await Session.create("test");
+  await Session.revoke("test", revokedSession.id);
+  revokedSessionJwt = jwt.sign(
+      { username: "test", role: "user", scopes: [], ver: 0, sid: revokedSession.id }, SECRET_KEY);
+});
+
+afterAll(async function () {
+  await db.query("DELETE FROM users WHERE username = 'test'");
+  await db.end();
+});
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
      //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -25,35 +67,143 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
         username: "test",
-        isAdmin: false,
+        role: "user",
+        scopes: [],
+        ver: 0,
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: expired token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: stale token version", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${staleJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: user no longer exists", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${noUserJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token from a session", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${sessionJwt}` }, ip: "10.0.0.1" };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals.user).toEqual(expect.objectContaining({ username: "test", sid: expect.any(Number) }));
+  });
+
+  test("works: token from a revoked session", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${revokedSessionJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: impersonation token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${impersonationJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals.user.impersonator).toEqual({ username: "test", ver: 0 });
+  });
+
+  test("works: stale impersonator token version", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${staleImpersonationJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: via API key, only with scopes the role grants", async function () {
+    expect.assertions(2);
+    const req = { headers: { "x-api-key": apiKey } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({
+      user: {
+        username: "test",
+        role: "user",
+        scopes: [],
+        apiKey: { id: expect.any(Number), companyHandle: null, scopes: ["users:read"] },
+      },
+    });
+  });
+
+  test("works: invalid API key", async function () {
+    expect.assertions(2);
+    const req = { headers: { "x-api-key": "jobly_nope_nope" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 });
@@ -81,59 +231,210 @@ describe("ensureLoggedIn", function () {
   });
 });
 
-describe("ensureAdmin", function () {
+describe("requireScope", function () {
   test("works", function () {
     expect.assertions(1);
     const req = {};
-    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const res = { locals: { user: {
+      username: "test",
+      scopes: ["jobs:write", "jobs:delete"],
+    } } };
     const next = function (err) {
       expect(err).toBeFalsy();
-    }; 
-    
-    ensureAdmin(req, res, next);
+    };
+
+    requireScope("jobs:write", "jobs:delete")(req, res, next);
   });
 
-  test("unauth if no login or admin", function () {
+  test("unauth if missing any scope", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", scopes: ["jobs:write"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    requireScope("jobs:write", "jobs:delete")(req, res, next);
+  });
+
+  test("unauth if no login", function () {
     expect.assertions(1);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     };
-    ensureAdmin(req, res, next);
+    requireScope("jobs:write")(req, res, next);
   });
 });
 
-describe("ensureCorrectUser", function () {
+describe("ensureCorrectUserOrScope", function () {
   test("works with correct user", function () {
     expect.assertions(1);
     const req = { params: { username: "test" } };
-    const res = { locals: { user: { username: "test", isAdmin: false} } };
+    const res = { locals: { user: { username: "test", scopes: [] } } };
     const next = function (err) {
       expect(err).toBeFalsy();
-    }; 
-    
-    ensureCorrectUser(req, res, next);
+    };
+
+    ensureCorrectUserOrScope("users:read")(req, res, next);
   });
 
-  test("works with admin user", function () {
+  test("works with scope", function () {
     expect.assertions(1);
     const req = { params: { username: "test" } };
-    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const res = { locals: { user: { username: "other", scopes: ["users:read"] } } };
     const next = function (err) {
       expect(err).toBeFalsy();
-    }; 
-    
-    ensureCorrectUser(req, res, next);
+    };
+
+    ensureCorrectUserOrScope("users:read")(req, res, next);
   });
 
-  test("unauth if no login, correct user, or admin", function () {
+  test("unauth if other user without scope", function () {
     expect.assertions(1);
-    const req = {};
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "other", scopes: ["users:read"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUserOrScope("users:write")(req, res, next);
+  });
+
+  test("unauth if no login", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     };
-    ensureAdmin(req, res, next);
+    ensureCorrectUserOrScope("users:read")(req, res, next);
+  });
+});
+
+describe("ensureCompanyMember", function () {
+  test("works with scope", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "test", scopes: ["companies:write"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    await ensureCompanyMember("owner", "companies:write")(req, res, next);
+  });
+
+  test("unauth if not a member of the company", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "test", scopes: [] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+
+    await ensureCompanyMember("viewer", "companies:write")(req, res, next);
+  });
+
+  test("unauth if no company given", async function () {
+    expect.assertions(1);
+    const req = { params: {}, body: {} };
+    const res = { locals: { user: { username: "test", scopes: [] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+
+    await ensureCompanyMember("viewer", "companies:write")(req, res, next);
+  });
+
+  test("unauth if no login", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+
+    await ensureCompanyMember("viewer", "companies:write")(req, res, next);
+  });
+
+  test("unauth with API key for another company", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: {
+      username: "test",
+      role: "user",
+      scopes: [],
+      apiKey: { id: 1, companyHandle: "c2", scopes: [] },
+    } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+
+    await ensureCompanyMember("viewer", "companies:write")(req, res, next);
+  });
+});
+
+
+describe("ensureNotImpersonating", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", role: "user", scopes: [] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureNotImpersonating(req, res, next);
+  });
+
+  test("works: anon", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureNotImpersonating(req, res, next);
+  });
+
+  test("forbidden if impersonating", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: {
+      username: "test",
+      role: "user",
+      scopes: [],
+      impersonator: { username: "admin", ver: 0 },
+    } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensureNotImpersonating(req, res, next);
+  });
+});
+
+
+describe("ensureNotApiKey", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", role: "user", scopes: [] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureNotApiKey(req, res, next);
+  });
+
+  test("forbidden with an API key", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: {
+      username: "test",
+      role: "user",
+      scopes: [],
+      apiKey: { id: 1, companyHandle: "c1", scopes: [] },
+    } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensureNotApiKey(req, res, next);
   });
 });
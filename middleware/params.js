@@ -0,0 +1,39 @@
+"use strict";
+
+/** Middleware for checking route parameters. */
+
+const { BadRequestError } = require("../expressError");
+
+/** Largest id a SERIAL column can hold. */
+
+const MAX_ID = 2147483647;
+
+/** Return true if value (a route parameter) is a whole-number id. */
+
+function isIntegerId(value) {
+  return /^\d+$/.test(value) && Number(value) <= MAX_ID;
+}
+
+/** Middleware factory: check that each of the named route parameters (e.g.
+ *  "id" in /jobs/:id) is a whole-number id, before it gets near the
+ *  database.
+ *
+ * If not, raises BadRequestError.
+ */
+
+function ensureIntegerParams(...names) {
+  return function (req, res, next) {
+    const invalid = names.filter(name => !isIntegerId(req.params[name]));
+    if (invalid.length > 0) {
+      return next(new BadRequestError(
+          invalid.map(name => `${name} must be an integer id`)));
+    }
+    return next();
+  };
+}
+
+
+module.exports = {
+  isIntegerId,
+  ensureIntegerParams,
+};
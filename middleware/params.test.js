@@ -0,0 +1,47 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { isIntegerId, ensureIntegerParams } = require("./params");
+
+
+describe("isIntegerId", function () {
+  test("works", function () {
+    expect(isIntegerId("42")).toEqual(true);
+    expect(isIntegerId("2147483647")).toEqual(true);
+    expect(isIntegerId("2147483648")).toEqual(false);
+    expect(isIntegerId("abc")).toEqual(false);
+  });
+});
+
+describe("ensureIntegerParams", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test", id: "42" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureIntegerParams("id")(req, {}, next);
+  });
+
+  test("bad request if not an integer", function () {
+    const ids = ["abc", "1.5", "-1", "1e3", "", "99999999999"];
+    expect.assertions(ids.length);
+    for (let id of ids) {
+      const req = { params: { id } };
+      const next = function (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      };
+      ensureIntegerParams("id")(req, {}, next);
+    }
+  });
+
+  test("checks every named parameter", function () {
+    expect.assertions(2);
+    const req = { params: { id: "1", jobId: "abc" } };
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual(["jobId must be an integer id"]);
+    };
+    ensureIntegerParams("id", "jobId")(req, {}, next);
+  });
+});
@@ -49,6 +49,7 @@ async function commonAfterEach() {
 }
 
 async function commonAfterAll() {
+  await db.pool.end();
   await db.end();
 }
 
@@ -0,0 +1,160 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { hashOpaqueToken } = require("../helpers/tokens");
+const { SCOPES } = require("../helpers/scopes");
+const { API_KEY_EXPIRES_DAYS } = require("../config");
+
+/** Every key starts with this, so leaked keys are easy to spot. */
+
+const API_KEY_PREFIX = "jobly";
+
+/** Columns shown for a key; the key itself is never shown after creation. */
+
+const API_KEY_COLUMNS = `id,
+                        username,
+                        company_handle AS "companyHandle",
+                        name,
+                        prefix,
+                        scopes,
+                        created_at AS "createdAt",
+                        expires_at AS "expiresAt",
+                        last_used_at AS "lastUsedAt"`;
+
+/** Related functions for API keys.
+ *
+ * An API key lets a service act as a user without their password, e.g. an
+ * applicant tracking system. Keys look like "jobly_<prefix>_<secret>": the
+ * prefix is stored as is so keys can be told apart in listings, but only a
+ * hash of the whole key is stored.
+ *
+ * A key only gets the scopes it was created with (see helpers/scopes.js), and
+ * then only those the user's role grants. A key can also be limited to one
+ * company (companyHandle), in which case it never gets the admin role and
+ * can't be used on other companies' routes.
+ */
+
+class ApiKey {
+  /** Create a key for a user.
+   *
+   * data should be { name, companyHandle, scopes, expiresInDays }
+   *   companyHandle is optional; scopes defaults to none;
+   *   expiresInDays defaults to API_KEY_EXPIRES_DAYS.
+   *
+   * Returns { id, username, companyHandle, name, prefix, scopes, createdAt,
+   *           expiresAt, lastUsedAt, key }
+   *   where key is the raw key, shown only this once.
+   *
+   * Throws NotFoundError if user or company not found.
+   * Throws BadRequestError if a scope is unknown.
+   **/
+
+  static async create(username,
+      { name, companyHandle = null, scopes = [], expiresInDays = API_KEY_EXPIRES_DAYS }) {
+    for (let scope of scopes) {
+      if (!SCOPES.includes(scope)) {
+        throw new BadRequestError(`Invalid API key scope: ${scope}`);
+      }
+    }
+
+    const userRes = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    if (companyHandle !== null) {
+      const companyRes = await db.query(
+            `SELECT handle
+             FROM companies
+             WHERE handle = $1 AND deleted_at IS NULL`,
+          [companyHandle]);
+
+      if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${companyHandle}`);
+    }
+
+    const prefix = crypto.randomBytes(4).toString("hex");
+    const secret = crypto.randomBytes(32).toString("hex");
+    const key = `${API_KEY_PREFIX}_${prefix}_${secret}`;
+
+    const result = await db.query(
+          `INSERT INTO api_keys (username, company_handle, name, prefix,
+                                 key_hash, scopes, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7))
+           RETURNING ${API_KEY_COLUMNS}`,
+        [username, companyHandle, name, prefix, hashOpaqueToken(key),
+          scopes, expiresInDays]);
+
+    return { ...result.rows[0], key };
+  }
+
+  /** Given a username, return their unrevoked keys, newest first (including
+   *  expired ones, so they can be seen and cleaned up).
+   *
+   * Returns [{ id, username, companyHandle, name, prefix, scopes, createdAt,
+   *            expiresAt, lastUsedAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT ${API_KEY_COLUMNS}
+           FROM api_keys
+           WHERE username = $1 AND revoked_at IS NULL
+           ORDER BY created_at DESC, id DESC`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Look up a raw key, recording that it was used.
+   *
+   * Returns { id, username, role, totpEnabled, companyHandle, scopes }
+   *   where role and totpEnabled are the user's, current as of now,
+   *   or undefined if the key is unknown, expired or revoked, or its user
+   *   is deleted.
+   **/
+
+  static async authenticate(key) {
+    const result = await db.query(
+          `UPDATE api_keys AS k
+           SET last_used_at = NOW()
+           FROM users AS u
+           WHERE k.key_hash = $1
+             AND k.revoked_at IS NULL
+             AND k.expires_at > NOW()
+             AND u.username = k.username
+             AND u.deleted_at IS NULL
+           RETURNING k.id,
+                     k.username,
+                     u.role,
+                     u.totp_enabled AS "totpEnabled",
+                     k.company_handle AS "companyHandle",
+                     k.scopes`,
+        [hashOpaqueToken(key)]);
+
+    return result.rows[0];
+  }
+
+  /** Revoke one of a user's keys; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such (unrevoked) key.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+          `UPDATE api_keys
+           SET revoked_at = NOW()
+           WHERE username = $1 AND id = $2 AND revoked_at IS NULL
+           RETURNING id`,
+        [username, id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+  }
+}
+
+
+module.exports = ApiKey;
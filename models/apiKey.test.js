@@ -0,0 +1,172 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const ApiKey = require("./apiKey.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "ats" });
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      username: "u1",
+      companyHandle: null,
+      name: "ats",
+      prefix: expect.stringMatching(/^[0-9a-f]{8}$/),
+      scopes: [],
+      createdAt: expect.any(Date),
+      expiresAt: expect.any(Date),
+      lastUsedAt: null,
+      key: expect.stringMatching(/^jobly_[0-9a-f]{8}_[0-9a-f]{64}$/),
+    });
+    expect(apiKey.key.startsWith(`jobly_${apiKey.prefix}_`)).toEqual(true);
+
+    const found = await db.query("SELECT key_hash FROM api_keys WHERE id = $1", [apiKey.id]);
+    expect(found.rows[0].key_hash).not.toEqual(apiKey.key);
+  });
+
+  test("works: company, scopes and expiry", async function () {
+    const apiKey = await ApiKey.create("u1", {
+      name: "ats",
+      companyHandle: "c1",
+      scopes: ["jobs:write", "jobs:delete"],
+      expiresInDays: 1,
+    });
+    expect(apiKey.companyHandle).toEqual("c1");
+    expect(apiKey.scopes).toEqual(["jobs:write", "jobs:delete"]);
+    expect(apiKey.expiresAt - apiKey.createdAt).toEqual(24 * 60 * 60 * 1000);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await ApiKey.create("nope", { name: "ats" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await ApiKey.create("u1", { name: "ats", companyHandle: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown scope", async function () {
+    try {
+      await ApiKey.create("u1", { name: "ats", scopes: ["everything"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const first = await ApiKey.create("u1", { name: "first" });
+    const second = await ApiKey.create("u1", { name: "second" });
+    await ApiKey.create("u2", { name: "other" });
+
+    const apiKeys = await ApiKey.findAll("u1");
+    expect(apiKeys.map(k => k.id)).toEqual([second.id, first.id]);
+    expect(apiKeys[0].key).toBeUndefined();
+  });
+
+  test("leaves out revoked keys", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "ats" });
+    await ApiKey.revoke("u1", apiKey.id);
+    expect(await ApiKey.findAll("u1")).toEqual([]);
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works, and records last use", async function () {
+    const { id, key } = await ApiKey.create("u1", { name: "ats" });
+    expect(await ApiKey.authenticate(key)).toEqual({
+      id,
+      username: "u1",
+      role: "user",
+      totpEnabled: false,
+      companyHandle: null,
+      scopes: [],
+    });
+
+    const [apiKey] = await ApiKey.findAll("u1");
+    expect(apiKey.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("returns current role", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ats" });
+    await User.update("u1", { role: "admin" });
+    expect((await ApiKey.authenticate(key)).role).toEqual("admin");
+  });
+
+  test("undefined if the user is deleted", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ats" });
+    await db.query(`UPDATE users SET deleted_at = NOW() WHERE username = 'u1'`);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+
+  test("undefined if unknown", async function () {
+    expect(await ApiKey.authenticate("jobly_nope_nope")).toBeUndefined();
+  });
+
+  test("undefined if expired", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ats" });
+    await db.query("UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 minute'");
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+
+  test("undefined if revoked", async function () {
+    const { id, key } = await ApiKey.create("u1", { name: "ats" });
+    await ApiKey.revoke("u1", id);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("not found if another user's key", async function () {
+    const { id } = await ApiKey.create("u1", { name: "ats" });
+    try {
+      await ApiKey.revoke("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if already revoked", async function () {
+    const { id } = await ApiKey.create("u1", { name: "ats" });
+    await ApiKey.revoke("u1", id);
+    try {
+      await ApiKey.revoke("u1", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
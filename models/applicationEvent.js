@@ -0,0 +1,77 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for application events: the audit trail of every state
+ *  change an application goes through. */
+
+class ApplicationEvent {
+  /** Record a state change on an application.
+   *
+   * data should be { username, jobId, actor, oldState, newState, note }
+   *   where oldState is null for a brand new application
+   *   and actor is the username of whoever made the change.
+   *
+   * The query is sent on client (db by default), so that the change and its
+   * record can be made in one transaction (see helpers/transaction.js).
+   *
+   * Returns { id, username, jobId, actor, oldState, newState, note, createdAt }
+   **/
+
+  static async create(
+      { username, jobId, actor, oldState = null, newState, note = null }, client = db) {
+    const result = await client.query(
+          `INSERT INTO application_events
+           (username, job_id, actor, old_state, new_state, note)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id,
+                     username,
+                     job_id AS "jobId",
+                     actor,
+                     old_state AS "oldState",
+                     new_state AS "newState",
+                     note,
+                     created_at AS "createdAt"`,
+        [username, jobId, actor, oldState, newState, note]);
+
+    return result.rows[0];
+  }
+
+  /** Given a username and job id, return the application's history, oldest
+   *  first.
+   *
+   * Returns [{ id, actor, oldState, newState, note, createdAt }, ...]
+   *
+   * Throws NotFoundError if the user has not applied to the job.
+   **/
+
+  static async findForApplication(username, jobId) {
+    const applicationRes = await db.query(
+          `SELECT job_id
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+
+    if (!applicationRes.rows[0]) {
+      throw new NotFoundError(`No application: ${username}, job ${jobId}`);
+    }
+
+    const result = await db.query(
+          `SELECT id,
+                  actor,
+                  old_state AS "oldState",
+                  new_state AS "newState",
+                  note,
+                  created_at AS "createdAt"
+           FROM application_events
+           WHERE username = $1 AND job_id = $2
+           ORDER BY created_at, id`,
+        [username, jobId]);
+
+    return result.rows;
+  }
+}
+
+
+module.exports = ApplicationEvent;
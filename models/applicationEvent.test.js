@@ -0,0 +1,105 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const ApplicationEvent = require("./applicationEvent.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobId;
+
+beforeEach(async function () {
+  const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test'`);
+  jobId = jobRes.rows[0].id;
+});
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    await db.query(
+      `INSERT INTO applications (username, job_id) VALUES ('u1', $1)`, [jobId]);
+
+    const event = await ApplicationEvent.create({
+      username: "u1",
+      jobId,
+      actor: "u2",
+      oldState: "applied",
+      newState: "interviewing",
+      note: "phone screen booked",
+    });
+    expect(event).toEqual({
+      id: expect.any(Number),
+      username: "u1",
+      jobId,
+      actor: "u2",
+      oldState: "applied",
+      newState: "interviewing",
+      note: "phone screen booked",
+      createdAt: expect.any(Date),
+    });
+  });
+});
+
+/************************************** findForApplication */
+
+describe("findForApplication", function () {
+  test("works: records transitions made through User", async function () {
+    await User.createApplication("u1", jobId, { state: "interested" });
+    await User.updateApplicationState("u1", jobId, "applied", {
+      actor: "u2",
+      note: "sent cover letter",
+    });
+
+    const history = await ApplicationEvent.findForApplication("u1", jobId);
+    expect(history).toEqual([
+      {
+        id: expect.any(Number),
+        actor: "u1",
+        oldState: null,
+        newState: "interested",
+        note: null,
+        createdAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        actor: "u2",
+        oldState: "interested",
+        newState: "applied",
+        note: "sent cover letter",
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("rejected transitions are not recorded", async function () {
+    await User.createApplication("u1", jobId);
+    try {
+      await User.updateApplicationState("u1", jobId, "accepted");
+    } catch (err) {
+      // expected: applied -> accepted is not allowed
+    }
+
+    const history = await ApplicationEvent.findForApplication("u1", jobId);
+    expect(history.length).toEqual(1);
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await ApplicationEvent.findForApplication("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
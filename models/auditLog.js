@@ -0,0 +1,154 @@
+"use strict";
+
+const db = require("../db");
+const { findPage } = require("../helpers/listQuery");
+
+/** Related functions for the audit log: a record of who did what.
+ *
+ * Entries are never removed, and stay when the users or things in them are
+ * deleted. The only change made to them is when a user is anonymised (see
+ * User.anonymise): their username is replaced by the tombstone's.
+ */
+
+const ENTRY_COLUMNS = `id,
+                       actor,
+                       on_behalf_of AS "onBehalfOf",
+                       method,
+                       route,
+                       entity_type AS "entityType",
+                       entity_id AS "entityId",
+                       changes,
+                       created_at AS "createdAt"`;
+
+/** What GET /admin/audit can sort by, and the SQL for each. */
+
+const AUDIT_SORTABLE = {
+  actor: "actor",
+  entityType: "entity_type",
+};
+
+class AuditLog {
+  /** Record an entry.
+   *
+   * data is { actor, onBehalfOf, method, route, entityType, entityId, changes }
+   *   where actor is who really made the request, onBehalfOf the user they
+   *   were impersonating, if any, and changes is
+   *   { field: { before, after }, ... } for the entity (entityType, entityId)
+   *   the request was about, if known.
+   *
+   * Returns { id, actor, onBehalfOf, method, route, entityType, entityId,
+   *           changes, createdAt }
+   **/
+
+  static async record({
+    actor,
+    onBehalfOf = null,
+    method,
+    route,
+    entityType = null,
+    entityId = null,
+    changes = null,
+  }) {
+    const result = await db.query(
+          `INSERT INTO audit_log
+           (actor, on_behalf_of, method, route, entity_type, entity_id, changes)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING ${ENTRY_COLUMNS}`,
+        [
+          actor,
+          onBehalfOf,
+          method,
+          route,
+          entityType,
+          entityId === null ? null : String(entityId),
+          changes === null ? null : JSON.stringify(changes),
+        ]);
+
+    return result.rows[0];
+  }
+
+  /** Find entries, a page at a time, newest first.
+   *
+   * searchFilters (all optional):
+   * - actor
+   * - entityType (e.g. "company")
+   * - entityId
+   * - from, to (dates; entries at or after from, and before to)
+   *
+   * listOptions choose the page and its sort (by actor or entityType); see
+   * helpers/listQuery.js. Entries are numbered as they're recorded, so
+   * newest first is by id, which (unlike createdAt, whose microseconds
+   * don't survive a cursor) pages exactly.
+   *
+   * Returns { entries: [{ id, actor, onBehalfOf, method, route, entityType,
+   *                       entityId, changes, createdAt }, ...],
+   *           total, next, prev }
+   *   where total counts all the entries found, and next and prev are the
+   *   list options for the pages either side
+   **/
+
+  static async findAll({ actor, entityType, entityId, from, to } = {}, listOptions = {}) {
+    let expressions = [];
+    let queryValues = [];
+
+    if (actor !== undefined) {
+      queryValues.push(actor);
+      expressions.push(`actor = $${queryValues.length}`);
+    }
+
+    if (entityType !== undefined) {
+      queryValues.push(entityType);
+      expressions.push(`entity_type = $${queryValues.length}`);
+    }
+
+    if (entityId !== undefined) {
+      queryValues.push(String(entityId));
+      expressions.push(`entity_id = $${queryValues.length}`);
+    }
+
+    if (from !== undefined) {
+      queryValues.push(from);
+      expressions.push(`created_at >= $${queryValues.length}::timestamptz`);
+    }
+
+    if (to !== undefined) {
+      queryValues.push(to);
+      expressions.push(`created_at < $${queryValues.length}::timestamptz`);
+    }
+
+    const { rows, ...pageInfo } = await findPage({
+      columns: ENTRY_COLUMNS,
+      from: "FROM audit_log",
+      where: expressions,
+      values: queryValues,
+      sortable: AUDIT_SORTABLE,
+      order: [{ sql: "id", desc: true }],
+      key: "id",
+    }, listOptions);
+
+    return { entries: rows, ...pageInfo };
+  }
+
+  /** Find the entries involving a user, oldest first: what they did, what
+   *  was done on their behalf, and what was done to their account.
+   *
+   * Returns [{ id, actor, onBehalfOf, method, route, entityType, entityId,
+   *            changes, createdAt }, ...]
+   **/
+
+  static async findForUser(username) {
+    const result = await db.query(
+          `SELECT ${ENTRY_COLUMNS}
+           FROM audit_log
+           WHERE actor = $1
+              OR on_behalf_of = $1
+              OR (entity_type = 'user' AND entity_id = $1)
+           ORDER BY created_at, id`,
+        [username]);
+
+    return result.rows;
+  }
+}
+
+
+module.exports = AuditLog;
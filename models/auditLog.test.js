@@ -0,0 +1,159 @@
+"use strict";
+
+const db = require("../db.js");
+const AuditLog = require("./auditLog.js");
+const { DEFAULT_LIMIT } = require("../helpers/listQuery");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe("record", function () {
+  test("works", async function () {
+    const entry = await AuditLog.record({
+      actor: "u1",
+      onBehalfOf: "u2",
+      method: "GET",
+      route: "/users/u2",
+    });
+    expect(entry).toEqual({
+      id: expect.any(Number),
+      actor: "u1",
+      onBehalfOf: "u2",
+      method: "GET",
+      route: "/users/u2",
+      entityType: null,
+      entityId: null,
+      changes: null,
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works: entity and changes", async function () {
+    const entry = await AuditLog.record({
+      actor: "u1",
+      method: "PATCH",
+      route: "/jobs/7",
+      entityType: "job",
+      entityId: 7,
+      changes: { salary: { before: 100, after: 200 } },
+    });
+    expect(entry).toEqual(expect.objectContaining({
+      entityType: "job",
+      entityId: "7",
+      changes: { salary: { before: 100, after: 200 } },
+    }));
+  });
+
+  test("works: no one impersonated", async function () {
+    const entry = await AuditLog.record({ actor: "u1", method: "POST", route: "/companies" });
+    expect(entry.onBehalfOf).toEqual(null);
+  });
+
+  test("entries outlive their users", async function () {
+    await AuditLog.record({ actor: "u1", method: "POST", route: "/companies" });
+    await db.query("DELETE FROM users WHERE username = 'u1'");
+    const found = await db.query("SELECT actor FROM audit_log");
+    expect(found.rows).toEqual([{ actor: "u1" }]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await db.query(
+        `INSERT INTO audit_log (actor, method, route, entity_type, entity_id, created_at)
+         VALUES ('u1', 'PATCH', '/companies/c1', 'company', 'c1', '2024-01-01 12:00'),
+                ('u2', 'PATCH', '/companies/c2', 'company', 'c2', '2024-02-01 12:00'),
+                ('u1', 'DELETE', '/jobs/1', 'job', '1', '2024-03-01 12:00')`);
+  });
+
+  test("works: newest first", async function () {
+    const { entries, total } = await AuditLog.findAll();
+    expect(total).toEqual(3);
+    expect(entries.map(e => e.route)).toEqual(["/jobs/1", "/companies/c2", "/companies/c1"]);
+  });
+
+  test("works: by actor", async function () {
+    const { entries } = await AuditLog.findAll({ actor: "u1" });
+    expect(entries.map(e => e.route)).toEqual(["/jobs/1", "/companies/c1"]);
+  });
+
+  test("works: by entity", async function () {
+    expect((await AuditLog.findAll({ entityType: "company" })).total).toEqual(2);
+    const { entries } = await AuditLog.findAll({ entityType: "company", entityId: "c2" });
+    expect(entries.map(e => e.route)).toEqual(["/companies/c2"]);
+  });
+
+  test("works: by time range", async function () {
+    const { entries } = await AuditLog.findAll({
+      from: "2024-01-15T00:00:00Z",
+      to: "2024-03-15T00:00:00Z",
+    });
+    expect(entries.map(e => e.route)).toEqual(["/jobs/1", "/companies/c2"]);
+    expect((await AuditLog.findAll({ to: "2024-01-15T00:00:00Z" })).entries).toHaveLength(1);
+  });
+
+  test("works: pages", async function () {
+    let page = await AuditLog.findAll({}, { limit: 2 });
+    expect(page.entries.map(e => e.route)).toEqual(["/jobs/1", "/companies/c2"]);
+    expect(page.total).toEqual(3);
+    expect(page.prev).toBeNull();
+
+    page = await AuditLog.findAll({}, page.next);
+    expect(page.entries.map(e => e.route)).toEqual(["/companies/c1"]);
+    expect(page.next).toBeNull();
+  });
+
+  test("works: sort", async function () {
+    const { entries } = await AuditLog.findAll({}, { sort: "actor,-entityType" });
+    expect(entries.map(e => e.route)).toEqual(["/jobs/1", "/companies/c1", "/companies/c2"]);
+  });
+
+  test("pages by default", async function () {
+    await db.query(
+        `INSERT INTO audit_log (actor, method, route)
+         SELECT 'u1', 'GET', '/users/u1' FROM generate_series(1, $1)`, [DEFAULT_LIMIT]);
+    const page = await AuditLog.findAll();
+    expect(page.entries).toHaveLength(DEFAULT_LIMIT);
+    expect(page.total).toEqual(DEFAULT_LIMIT + 3);
+    expect(page.next).not.toBeNull();
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  beforeEach(async function () {
+    await db.query(
+        `INSERT INTO audit_log
+         (actor, on_behalf_of, method, route, entity_type, entity_id, created_at)
+         VALUES ('u1', NULL, 'PATCH', '/companies/c1', 'company', 'c1', '2024-01-01 12:00'),
+                ('admin', 'u1', 'GET', '/users/u1', NULL, NULL, '2024-02-01 12:00'),
+                ('admin', NULL, 'PATCH', '/users/u1', 'user', 'u1', '2024-03-01 12:00'),
+                ('u2', NULL, 'PATCH', '/users/u2', 'user', 'u2', '2024-04-01 12:00')`);
+  });
+
+  test("works: by, on behalf of and about the user, oldest first", async function () {
+    const entries = await AuditLog.findForUser("u1");
+    expect(entries.map(e => [e.actor, e.route])).toEqual([
+      ["u1", "/companies/c1"],
+      ["admin", "/users/u1"],
+      ["admin", "/users/u1"],
+    ]);
+  });
+
+  test("works: none", async function () {
+    expect(await AuditLog.findForUser("nope")).toEqual([]);
+  });
+});
@@ -3,8 +3,28 @@
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  HIGHLIGHT_WHOLE,
+  HIGHLIGHT_SNIPPET,
+  tsQuerySql,
+  highlightToHtml,
+} = require("../helpers/search");
+const { findPage } = require("../helpers/listQuery");
+const User = require("./user");
 
-/** Related functions for companies. */
+/** What GET /companies can sort by, and the SQL for each. */
+
+const COMPANY_SORTABLE = {
+  handle: "handle",
+  name: "name",
+  numEmployees: "num_employees",
+};
+
+/** Related functions for companies.
+ *
+ * Removing a company only marks it deleted (deleted_at), hiding it and its
+ * jobs everywhere until it's restored or purged.
+ */
 
 class Company {
   /** Create a company (from data), update db, return new company data.
@@ -44,18 +64,33 @@ class Company {
     return company;
   }
 
-  /** Find all companies.
+  /** Find all companies, a page at a time.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * Returns { companies: [{ handle, name, description, numEmployees, logoUrl }, ...],
+   *           total, next, prev }
    * 
    * Result is based on parameters in searchFilters. 
    * Function will add search parameters to query if any are passed in and return results from db
    * Throws BadRequestError if invalid query is passed through
    * Throws BadRequestError if minEmployees > maxEmployees
+   *
+   * searchFilters.name finds names containing it (ignoring case), or close
+   * to it (see helpers/search.js); partial matches come first, then the
+   * closest.
+   *
+   * searchFilters.q is a full-text search of names and descriptions (see
+   * helpers/search.js): results are ordered by relevance instead of name, and
+   * each has highlight: { name, description }, HTML with the matches in
+   * <mark> (description cut down to the parts around them).
+   *
+   * listOptions choose the page and its sort (by handle, name or
+   * numEmployees); total counts all the companies found, and next and prev
+   * are the list options for the pages either side (see
+   * helpers/listQuery.js).
    * */
 
-  static async findAll(searchFilters = {}) {
-    const allowedFilters = ['name', 'minEmployees', 'maxEmployees'];
+  static async findAll(searchFilters = {}, listOptions = {}) {
+    const allowedFilters = ['q', 'name', 'minEmployees', 'maxEmployees'];
 
     // Check if any other filter is present
     const invalidFilters = Object.keys(searchFilters).filter(key => !allowedFilters.includes(key));
@@ -64,28 +99,44 @@ class Company {
       throw new BadRequestError(`Invalid filter(s): ${invalidFilters.join(', ')}`);
     }
 
-    let { name, minEmployees, maxEmployees } = searchFilters
+    let { q, name, minEmployees, maxEmployees } = searchFilters
 
     if (minEmployees > maxEmployees) {
       throw new BadRequestError("minEmployees cannot be greater than maxEmployees")
     }
 
-    // Query right now only handles selection of all companies
-    let query = `SELECT handle,
-                        name,
-                        description,
-                        num_employees AS "numEmployees",
-                        logo_url AS "logoUrl"
-                 FROM companies`;
+    let columns = `handle,
+                   name,
+                   description,
+                   num_employees AS "numEmployees",
+                   logo_url AS "logoUrl"`;
     // Holds all filter expressions for query
-    let expressions = [];
+    let expressions = ["deleted_at IS NULL"];
     
     // Holds filter parameters to insert into query
     let queryArray = [];
+    let order = [{ sql: "name" }];
+
+    if (q !== undefined) {
+      queryArray.push(q);
+      const tsQuery = tsQuerySql(1);
+      expressions.push(`search @@ ${tsQuery}`);
+      order = [{ sql: `ts_rank(search, ${tsQuery})`, desc: true }, { sql: "name" }];
+    }
   
     if (name !== undefined) {
-      queryArray.push(`%${name}%`)
-      expressions.push(`name ILIKE $${queryArray.length}`)
+      queryArray.push(`%${name}%`, name)
+      const patternIdx = queryArray.length - 1;
+      const nameIdx = queryArray.length;
+      // partial matches, plus close ones in case of typos
+      expressions.push(`(name ILIKE $${patternIdx} OR $${nameIdx} <% name)`)
+      if (q === undefined) {
+        order = [
+          { sql: `name ILIKE $${patternIdx}`, desc: true },
+          { sql: `word_similarity($${nameIdx}, name)`, desc: true },
+          { sql: "name" },
+        ];
+      }
     }
 
     if (minEmployees !== undefined) {
@@ -97,14 +148,39 @@ class Company {
       queryArray.push(maxEmployees) 
       expressions.push(`num_employees <= $${queryArray.length}`)
     }
-    
-    if (expressions.length > 0) {
-      query += " WHERE " + expressions.join(" AND ");
+
+    // highlights come after the filters, as they're only used in columns
+    let columnValues = [];
+    if (q !== undefined) {
+      columnValues.push(HIGHLIGHT_WHOLE, HIGHLIGHT_SNIPPET);
+      const tsQuery = tsQuerySql(1);
+      const wholeIdx = queryArray.length + 1;
+      const snippetIdx = queryArray.length + 2;
+      columns += `,
+                   ts_headline('english', name, ${tsQuery}, $${wholeIdx}) AS "nameHighlight",
+                   ts_headline('english', description, ${tsQuery}, $${snippetIdx}) AS "descriptionHighlight"`;
     }
-    
-    query += " ORDER BY name";
-    const companiesRes = await db.query(query, queryArray);
-    return companiesRes.rows;
+
+    const { rows, ...pageInfo } = await findPage({
+      columns,
+      from: "FROM companies",
+      where: expressions,
+      values: queryArray,
+      columnValues,
+      sortable: COMPANY_SORTABLE,
+      order,
+      key: "handle",
+    }, listOptions);
+    if (q === undefined) return { companies: rows, ...pageInfo };
+
+    const companies = rows.map(({ nameHighlight, descriptionHighlight, ...company }) => ({
+      ...company,
+      highlight: {
+        name: highlightToHtml(nameHighlight),
+        description: highlightToHtml(descriptionHighlight),
+      },
+    }));
+    return { companies, ...pageInfo };
   }
 
   /** Given a company handle, return data about company.
@@ -127,8 +203,9 @@ class Company {
                   j.salary, 
                   j.equity
            FROM companies AS "c"
-           LEFT JOIN jobs AS "j" ON c.handle = j.company_handle
-           WHERE handle = $1`,
+           LEFT JOIN jobs AS "j"
+             ON c.handle = j.company_handle AND j.deleted_at IS NULL
+           WHERE handle = $1 AND c.deleted_at IS NULL`,
         [handle]);
 
     const company = companyRes.rows;
@@ -161,7 +238,7 @@ class Company {
 
     const querySql = `UPDATE companies 
                       SET ${setCols} 
-                      WHERE handle = ${handleVarIdx} 
+                      WHERE handle = ${handleVarIdx} AND deleted_at IS NULL
                       RETURNING handle, 
                                 name, 
                                 description, 
@@ -175,21 +252,134 @@ class Company {
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Delete given company; returns undefined.
+   *
+   * The company is only marked deleted, so it can be restored; its jobs and
+   * their applications are kept, hidden along with it.
    *
    * Throws NotFoundError if company not found.
    **/
 
   static async remove(handle) {
+    const result = await db.query(
+          `UPDATE companies
+           SET deleted_at = NOW()
+           WHERE handle = $1 AND deleted_at IS NULL
+           RETURNING handle`,
+        [handle]);
+    const company = result.rows[0];
+
+    if (!company) throw new NotFoundError(`No company: ${handle}`);
+  }
+
+  /** Restore a deleted company, with its jobs; returns undefined.
+   *
+   * Throws NotFoundError if there is no such deleted company.
+   **/
+
+  static async restore(handle) {
+    const result = await db.query(
+          `UPDATE companies
+           SET deleted_at = NULL
+           WHERE handle = $1 AND deleted_at IS NOT NULL
+           RETURNING handle`,
+        [handle]);
+    const company = result.rows[0];
+
+    if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
+  }
+
+  /** Delete a deleted company from the database for good, with all its jobs
+   *  and their applications; returns undefined.
+   *
+   * Throws NotFoundError if there is no such deleted company.
+   **/
+
+  static async purge(handle) {
     const result = await db.query(
           `DELETE
            FROM companies
-           WHERE handle = $1
+           WHERE handle = $1 AND deleted_at IS NOT NULL
            RETURNING handle`,
         [handle]);
     const company = result.rows[0];
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+    if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
+  }
+
+  /** Given a company handle and job id, return the people who applied.
+   *
+   * filters can include { state, limit, offset }
+   *   state only returns applications currently in that state
+   *   limit and offset page through results (defaults: 50 and 0)
+   *
+   * Returns [{ username, firstName, lastName, email, state, appliedAt }, ...]
+   *   ordered by appliedAt, oldest first, leaving out deleted users (but
+   *   not anonymised ones, whose applications are kept for the record)
+   *
+   * Throws NotFoundError if the company has no such job.
+   **/
+
+  static async getApplicants(handle, jobId, { state, limit = 50, offset = 0 } = {}) {
+    await Company._checkJob(handle, jobId);
+
+    let query = `SELECT u.username,
+                        u.first_name AS "firstName",
+                        u.last_name AS "lastName",
+                        u.email,
+                        a.state,
+                        a.applied_at AS "appliedAt"
+                 FROM applications AS a
+                 JOIN users AS u ON u.username = a.username
+                 WHERE a.job_id = $1
+                   AND (u.deleted_at IS NULL OR u.anonymised_at IS NOT NULL)`;
+    let queryArray = [jobId];
+
+    if (state !== undefined) {
+      queryArray.push(state);
+      query += ` AND a.state = $${queryArray.length}`;
+    }
+
+    queryArray.push(limit, offset);
+    query += ` ORDER BY a.applied_at, u.username
+               LIMIT $${queryArray.length - 1} OFFSET $${queryArray.length}`;
+
+    const applicantsRes = await db.query(query, queryArray);
+    return applicantsRes.rows;
+  }
+
+  /** Move an application to one of the company's jobs to a new state, as
+   *  User.updateApplicationState does (which see), for the company's side of
+   *  hiring.
+   *
+   * Returns { username, jobId, state }
+   *
+   * Throws NotFoundError if the company has no such job, or the user no
+   * application to it; BadRequestError if the move isn't allowed.
+   **/
+
+  static async updateApplicantState(handle, jobId, username, state, { actor, note } = {}) {
+    await Company._checkJob(handle, jobId);
+    return await User.updateApplicationState(username, jobId, state, { actor, note });
+  }
+
+  /** Throw NotFoundError unless the company (not deleted) has the job (not
+   *  deleted). */
+
+  static async _checkJob(handle, jobId) {
+    const jobRes = await db.query(
+          `SELECT j.id
+           FROM jobs AS j
+           JOIN companies AS c ON c.handle = j.company_handle
+           WHERE j.id = $1
+             AND j.company_handle = $2
+             AND j.deleted_at IS NULL
+             AND c.deleted_at IS NULL`,
+        [jobId, handle]);
+
+    if (!jobRes.rows[0]) {
+      throw new NotFoundError(`No job ${jobId} at company: ${handle}`);
+    }
   }
 }
 
@@ -3,6 +3,7 @@
 const db = require("../db.js");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const Company = require("./company.js");
+const Job = require("./job.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -60,7 +61,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
+    let { companies } = await Company.findAll();
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -88,7 +89,7 @@ describe("findAll", function () {
 
   // Newly added filtering tests
   test("works: filter of just name", async () => {
-    let companies = await Company.findAll({ name: "c1"})
+    let { companies } = await Company.findAll({ name: "c1"})
 
     expect(companies).toEqual([
       {
@@ -102,7 +103,7 @@ describe("findAll", function () {
   })
 
   test("works: filter of just minEmployees", async () => {
-    let companies = await Company.findAll({ minEmployees: 2})
+    let { companies } = await Company.findAll({ minEmployees: 2})
 
     expect(companies).toEqual([
       {
@@ -123,7 +124,7 @@ describe("findAll", function () {
   })
 
   test("works: filter of just maxEmployees", async () => {
-    let companies = await Company.findAll({ maxEmployees: 2})
+    let { companies } = await Company.findAll({ maxEmployees: 2})
 
     expect(companies).toEqual([
       {
@@ -144,7 +145,7 @@ describe("findAll", function () {
   })
 
   test("works: filter of name and minEmployees", async () => {
-    let companies = await Company.findAll({ name: "c", minEmployees: 2})
+    let { companies } = await Company.findAll({ name: "c", minEmployees: 2})
 
     expect(companies).toEqual([
       {
@@ -165,7 +166,7 @@ describe("findAll", function () {
   }) 
   
   test("works: filter of name and maxEmployees", async () => {
-    let companies = await Company.findAll({ name: "c", maxEmployees: 2})
+    let { companies } = await Company.findAll({ name: "c", maxEmployees: 2})
 
     expect(companies).toEqual([
       {
@@ -186,7 +187,7 @@ describe("findAll", function () {
   }) 
 
   test("works: minEmployees and maxEmployees", async () => {
-    let companies = await Company.findAll({ minEmployees: 1, maxEmployees: 2})
+    let { companies } = await Company.findAll({ minEmployees: 1, maxEmployees: 2})
 
     expect(companies).toEqual([
       {
@@ -207,7 +208,7 @@ describe("findAll", function () {
   })
 
   test("works: filter of name, minEmployees, and maxEmployees", async () => {
-    let companies = await Company.findAll({ name: "c", minEmployees: 1, maxEmployees: 2})
+    let { companies } = await Company.findAll({ name: "c", minEmployees: 1, maxEmployees: 2})
 
     expect(companies).toEqual([
       {
@@ -227,8 +228,15 @@ describe("findAll", function () {
     ])
   })
 
+  test("works: name tolerates typos, partial matches first", async function () {
+    await db.query(`UPDATE companies SET name = 'Anderson Group' WHERE handle = 'c1'`);
+    await db.query(`UPDATE companies SET name = 'Andersen' WHERE handle = 'c2'`);
+    let { companies } = await Company.findAll({ name: "andersen" });
+    expect(companies.map(c => c.name)).toEqual(["Andersen", "Anderson Group"]);
+  });
+
   test("returns empty array of value that cannot be found", async function () {
-    let companies = await Company.findAll({ name: "invalid" });
+    let { companies } = await Company.findAll({ name: "invalid" });
     expect(companies).toEqual([]);
   });
 
@@ -244,6 +252,76 @@ describe("findAll", function () {
     }).rejects.toThrow(BadRequestError);      
   })
 });
+
+/************************************** findAll: paging and sorting */
+
+describe("findAll pages", function () {
+  test("works: sort and limit", async function () {
+    let page = await Company.findAll({}, { sort: "-numEmployees", limit: 2 });
+    expect(page.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(page.total).toEqual(3);
+
+    page = await Company.findAll({}, page.next);
+    expect(page.companies.map(c => c.handle)).toEqual(["c1"]);
+    expect(page.next).toBeNull();
+  });
+
+  test("works: cursors with name order", async function () {
+    let page = await Company.findAll({ name: "c" }, { limit: 2 });
+    expect(page.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+
+    page = await Company.findAll({ name: "c" }, page.next);
+    expect(page.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(page.total).toEqual(3);
+  });
+
+  test("bad request with invalid sort", async function () {
+    await expect(Company.findAll({}, { sort: "description" })).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** findAll: full-text search */
+
+describe("findAll with q", function () {
+  beforeEach(async function () {
+    await db.query(`UPDATE companies
+                    SET description = 'We build backend systems for banks'
+                    WHERE handle = 'c2'`);
+    await db.query(`UPDATE companies
+                    SET name = 'Backend Labs', description = 'Consulting'
+                    WHERE handle = 'c3'`);
+  });
+
+  test("works: ranks name matches first, with highlights", async function () {
+    let { companies } = await Company.findAll({ q: "backend" });
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(companies[0].highlight).toEqual({
+      name: "<mark>Backend</mark> Labs",
+      description: "Consulting",
+    });
+    expect(companies[1].highlight.description).toContain("<mark>backend</mark> systems");
+  });
+
+  test("works: any word order and form", async function () {
+    let { companies } = await Company.findAll({ q: "system builds" });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: with other filters", async function () {
+    let { companies } = await Company.findAll({ q: "backend", maxEmployees: 2 });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: no matches", async function () {
+    expect((await Company.findAll({ q: "frontend" })).companies).toEqual([]);
+  });
+
+  test("leaves out deleted companies", async function () {
+    await Company.remove("c3");
+    let { companies } = await Company.findAll({ q: "backend" });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+});
 /////// End of newly added tests
 
 /************************************** get */
@@ -264,6 +342,13 @@ describe("get", function () {
     });
   });
 
+  test("leaves out deleted jobs", async function () {
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE title = 'test'`);
+    let company = await Company.get("c1");
+    expect(company.length).toEqual(1);
+    expect(company[0].id).toBeNull();
+  });
+
   test("not found if no such company", async function () {
     try {
       let result = await Company.get("nope");
@@ -352,11 +437,24 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: marks deleted, keeping jobs", async function () {
     await Company.remove("c1");
     const res = await db.query(
-        "SELECT handle FROM companies WHERE handle='c1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM companies WHERE handle='c1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+    const jobsRes = await db.query(
+        "SELECT id FROM jobs WHERE company_handle='c1'");
+    expect(jobsRes.rows.length).toEqual(1);
+  });
+
+  test("hides the company and its jobs", async function () {
+    await Company.remove("c1");
+    const { companies } = await Company.findAll();
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+    await expect(Company.get("c1")).rejects.toThrow(NotFoundError);
+    await expect(Company.update("c1", { name: "New" })).rejects.toThrow(NotFoundError);
+    const { jobs } = await Job.findAll();
+    expect(jobs.map(j => j.companyHandle)).not.toContain("c1");
   });
 
   test("not found if no such company", async function () {
@@ -367,4 +465,173 @@ describe("remove", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    await expect(Company.remove("c1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works, with its jobs", async function () {
+    await Company.remove("c1");
+    await Company.restore("c1");
+    const company = await Company.get("c1");
+    expect(company[0].handle).toEqual("c1");
+    expect(company[0].title).toEqual("test");
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(Company.restore("c1")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(Company.restore("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works, with its jobs", async function () {
+    await Company.remove("c1");
+    await Company.purge("c1");
+    const res = await db.query(
+        "SELECT handle FROM companies WHERE handle='c1'");
+    expect(res.rows.length).toEqual(0);
+    const jobsRes = await db.query(
+        "SELECT id FROM jobs WHERE company_handle='c1'");
+    expect(jobsRes.rows.length).toEqual(0);
+  });
+
+  test("not found if not deleted first", async function () {
+    await expect(Company.purge("c1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** getApplicants */
+
+describe("getApplicants", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test'`);
+    jobId = jobRes.rows[0].id;
+    await db.query(
+      `INSERT INTO applications (username, job_id, state, applied_at)
+       VALUES ('u1', $1, 'applied', '2024-01-01'),
+              ('u2', $1, 'interviewing', '2024-01-02')`, [jobId]);
+  });
+
+  test("works", async function () {
+    const applicants = await Company.getApplicants("c1", jobId);
+    expect(applicants).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        state: "applied",
+        appliedAt: new Date("2024-01-01T00:00:00"),
+      },
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        state: "interviewing",
+        appliedAt: new Date("2024-01-02T00:00:00"),
+      },
+    ]);
+  });
+
+  test("works: filter by state", async function () {
+    const applicants = await Company.getApplicants("c1", jobId, { state: "interviewing" });
+    expect(applicants.map(a => a.username)).toEqual(["u2"]);
+  });
+
+  test("works: limit and offset", async function () {
+    const applicants = await Company.getApplicants("c1", jobId, { limit: 1, offset: 1 });
+    expect(applicants.map(a => a.username)).toEqual(["u2"]);
+  });
+
+  test("leaves out deleted users", async function () {
+    await db.query(`UPDATE users SET deleted_at = NOW() WHERE username = 'u1'`);
+    const applicants = await Company.getApplicants("c1", jobId);
+    expect(applicants.map(a => a.username)).toEqual(["u2"]);
+  });
+
+  test("not found if job is deleted", async function () {
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [jobId]);
+    await expect(Company.getApplicants("c1", jobId)).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if job is not at the company", async function () {
+    try {
+      await Company.getApplicants("c2", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** updateApplicantState */
+
+describe("updateApplicantState", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test'`);
+    jobId = jobRes.rows[0].id;
+    await db.query(
+      `INSERT INTO applications (username, job_id, state)
+       VALUES ('u1', $1, 'applied')`, [jobId]);
+  });
+
+  test("works", async function () {
+    const application = await Company.updateApplicantState(
+        "c1", jobId, "u1", "interviewing", { actor: "u2", note: "call back" });
+    expect(application).toEqual({ username: "u1", jobId, state: "interviewing" });
+
+    const events = await db.query(
+      `SELECT actor, old_state, new_state, note
+       FROM application_events
+       WHERE username = 'u1' AND job_id = $1`, [jobId]);
+    expect(events.rows).toEqual([{
+      actor: "u2", old_state: "applied", new_state: "interviewing", note: "call back",
+    }]);
+  });
+
+  test("bad request on illegal transition", async function () {
+    try {
+      await Company.updateApplicantState("c1", jobId, "u1", "accepted");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if job is not at the company", async function () {
+    try {
+      await Company.updateApplicantState("c2", jobId, "u1", "interviewing");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+    const res = await db.query(
+      `SELECT state FROM applications WHERE username = 'u1' AND job_id = $1`, [jobId]);
+    expect(res.rows[0].state).toEqual("applied");
+  });
+
+  test("not found if not applied", async function () {
+    try {
+      await Company.updateApplicantState("c1", jobId, "u2", "interviewing");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
@@ -0,0 +1,118 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+/** Roles a user can hold at a company, least to most powerful. Each role can
+ *  do everything the roles before it can. */
+
+const COMPANY_ROLES = ["viewer", "recruiter", "owner"];
+
+/** Related functions for company members: users who act on behalf of a
+ *  company without being global admins. */
+
+class CompanyMember {
+  /** Add a user to a company with `role`, or change the role of an existing
+   *  member.
+   *
+   * Returns { username, companyHandle, role }
+   *
+   * Throws BadRequestError if role is unknown.
+   * Throws NotFoundError if user or company not found.
+   **/
+
+  static async add(handle, username, role) {
+    if (!COMPANY_ROLES.includes(role)) {
+      throw new BadRequestError(`Invalid company role: ${role}`);
+    }
+
+    const companyRes = await db.query(
+          `SELECT handle
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`,
+        [handle]);
+
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const userRes = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `INSERT INTO company_members (username, company_handle, role)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (username, company_handle)
+             DO UPDATE SET role = EXCLUDED.role
+           RETURNING username, company_handle AS "companyHandle", role`,
+        [username, handle, role]);
+
+    return result.rows[0];
+  }
+
+  /** Given a company handle, return its members.
+   *
+   * Returns [{ username, firstName, lastName, email, role }, ...]
+   **/
+
+  static async findAll(handle) {
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  m.role
+           FROM company_members AS m
+           JOIN users AS u ON u.username = m.username
+           WHERE m.company_handle = $1 AND u.deleted_at IS NULL
+           ORDER BY m.username`,
+        [handle]);
+
+    return result.rows;
+  }
+
+  /** Given a company handle and username, return whether the user is a member
+   *  of the company with at least `role`.
+   *
+   * e.g. an owner has the "recruiter" role, but a viewer does not.
+   *
+   * Returns true/false
+   **/
+
+  static async hasRole(handle, username, role) {
+    const result = await db.query(
+          `SELECT role
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2`,
+        [handle, username]);
+    const member = result.rows[0];
+
+    if (!member) return false;
+
+    return COMPANY_ROLES.indexOf(member.role) >= COMPANY_ROLES.indexOf(role);
+  }
+
+  /** Remove a user from a company; returns undefined.
+   *
+   * Throws NotFoundError if the user is not a member.
+   **/
+
+  static async remove(handle, username) {
+    const result = await db.query(
+          `DELETE
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+        [handle, username]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No member ${username} at company: ${handle}`);
+    }
+  }
+}
+
+
+module.exports = CompanyMember;
@@ -0,0 +1,123 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const CompanyMember = require("./companyMember.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const member = await CompanyMember.add("c1", "u1", "recruiter");
+    expect(member).toEqual({ username: "u1", companyHandle: "c1", role: "recruiter" });
+  });
+
+  test("works: changes role of existing member", async function () {
+    await CompanyMember.add("c1", "u1", "viewer");
+    const member = await CompanyMember.add("c1", "u1", "owner");
+    expect(member).toEqual({ username: "u1", companyHandle: "c1", role: "owner" });
+  });
+
+  test("bad request on unknown role", async function () {
+    try {
+      await CompanyMember.add("c1", "u1", "ceo");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.add("nope", "u1", "viewer");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyMember.add("c1", "nope", "viewer");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u2", "viewer");
+    await CompanyMember.add("c1", "u1", "owner");
+    await CompanyMember.add("c2", "u1", "recruiter");
+
+    const members = await CompanyMember.findAll("c1");
+    expect(members).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        role: "owner",
+      },
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        role: "viewer",
+      },
+    ]);
+  });
+});
+
+/************************************** hasRole */
+
+describe("hasRole", function () {
+  test("works: higher roles include lower ones", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+
+    expect(await CompanyMember.hasRole("c1", "u1", "viewer")).toEqual(true);
+    expect(await CompanyMember.hasRole("c1", "u1", "recruiter")).toEqual(true);
+    expect(await CompanyMember.hasRole("c1", "u1", "owner")).toEqual(false);
+  });
+
+  test("false for non-members", async function () {
+    await CompanyMember.add("c1", "u1", "owner");
+
+    expect(await CompanyMember.hasRole("c2", "u1", "viewer")).toEqual(false);
+    expect(await CompanyMember.hasRole("c1", "u2", "viewer")).toEqual(false);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1", "viewer");
+    await CompanyMember.remove("c1", "u1");
+    expect(await CompanyMember.findAll("c1")).toEqual([]);
+  });
+
+  test("not found if not a member", async function () {
+    try {
+      await CompanyMember.remove("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
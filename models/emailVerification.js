@@ -0,0 +1,91 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { EMAIL_VERIFICATION_EXPIRES_HOURS } = require("../config");
+
+/** Related functions for email verification tokens.
+ *
+ * A verification token is emailed to the user's address and proves they can
+ * read mail sent there. Each token is tied to the address it was sent to, so
+ * it stops working if the user changes their email. Only a hash of each token
+ * is stored.
+ */
+
+class EmailVerification {
+  /** Create a verification token for a user's current email. Any earlier,
+   *  unused tokens for the user stop working.
+   *
+   * Returns { username, email, token }
+   *   where token is the raw token to send to the user.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async create(username) {
+    const userRes = await db.query(
+          `SELECT username, email
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+          `UPDATE email_verification_tokens
+           SET used_at = NOW()
+           WHERE username = $1 AND used_at IS NULL`,
+        [username]);
+
+    const token = createOpaqueToken();
+    await db.query(
+          `INSERT INTO email_verification_tokens
+           (username, email, token_hash, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+        [username, user.email, hashOpaqueToken(token), EMAIL_VERIFICATION_EXPIRES_HOURS]);
+
+    return { ...user, token };
+  }
+
+  /** Use up a verification token, marking the user's email as verified.
+   *
+   * Returns the username the token was issued for.
+   *
+   * Throws BadRequestError if the token is unknown, expired, already used, or
+   * was sent to an address the user no longer has.
+   **/
+
+  static async consume(token) {
+    const result = await db.query(
+          `UPDATE email_verification_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username, email`,
+        [hashOpaqueToken(token)]);
+    const verification = result.rows[0];
+
+    if (!verification) {
+      throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    const userRes = await db.query(
+          `UPDATE users
+           SET email_verified = TRUE
+           WHERE username = $1 AND email = $2
+           RETURNING username`,
+        [verification.username, verification.email]);
+
+    if (!userRes.rows[0]) {
+      throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    return verification.username;
+  }
+}
+
+
+module.exports = EmailVerification;
@@ -0,0 +1,88 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const verification = await EmailVerification.create("u1");
+    expect(verification).toEqual({
+      username: "u1",
+      email: "u1@email.com",
+      token: expect.any(String),
+    });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.create("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** consume */
+
+describe("consume", function () {
+  test("works: marks email verified", async function () {
+    const { token } = await EmailVerification.create("u1");
+    expect(await EmailVerification.consume(token)).toEqual("u1");
+
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(true);
+  });
+
+  test("bad request if already used", async function () {
+    const { token } = await EmailVerification.create("u1");
+    await EmailVerification.consume(token);
+    try {
+      await EmailVerification.consume(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const { token } = await EmailVerification.create("u1");
+    await db.query(
+        "UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await EmailVerification.consume(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if email changed since token was sent", async function () {
+    const { token } = await EmailVerification.create("u1");
+    await User.update("u1", { email: "changed@email.com" });
+    try {
+      await EmailVerification.consume(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(false);
+  });
+});
@@ -8,8 +8,73 @@ const {
     UnauthorizedError,
   } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
-
-/** Related functions for jobs. */
+const { findPage } = require("../helpers/listQuery");
+const {
+    HIGHLIGHT_WHOLE,
+    tsQuerySql,
+    highlightToHtml,
+} = require("../helpers/search");
+
+/** A job's full-text search document for ranking: its title, then its
+ *  company's name. (Matching uses the jobs' and companies' own search
+ *  columns, which are indexed; this can't be.) */
+
+const JOB_SEARCH_SQL = "(j.search || setweight(to_tsvector('english', c.name), 'B'))";
+
+/** What GET /jobs can sort by, and the SQL for each. */
+
+const JOB_SORTABLE = {
+    id: "j.id",
+    title: "j.title",
+    salary: "j.salary",
+    equity: "j.equity",
+    companyHandle: "j.company_handle",
+};
+
+/** Width of the salary buckets counted by Job.facets. */
+
+const SALARY_BUCKET_SIZE = 25000;
+
+/** How many companies Job.facets counts jobs for (the ones with most). */
+
+const TOP_COMPANIES_FACET_SIZE = 10;
+
+/** What Job.facets can count jobs by: for each facet, the SQL to group the
+ *  matching jobs ("j", with their company "c") by, and how to turn each
+ *  group's row into a bucket. Add a facet here for each new way to narrow
+ *  down jobs (e.g. location). */
+
+const FACETS = {
+    salary: {
+        columns: `j.salary / ${SALARY_BUCKET_SIZE} * ${SALARY_BUCKET_SIZE} AS "min"`,
+        groupBy: `"min"`,
+        orderBy: `"min" NULLS LAST`,
+        toBucket: ({ min, count }) => ({
+            min,
+            max: min === null ? null : min + SALARY_BUCKET_SIZE,
+            count,
+        }),
+    },
+    hasEquity: {
+        columns: `COALESCE(j.equity > 0, FALSE) AS "value"`,
+        groupBy: `"value"`,
+        orderBy: `"value" DESC`,
+        toBucket: ({ value, count }) => ({ value, count }),
+    },
+    companies: {
+        columns: `c.handle, c.name`,
+        groupBy: `c.handle, c.name`,
+        orderBy: `"count" DESC, c.name`,
+        limit: TOP_COMPANIES_FACET_SIZE,
+        toBucket: ({ handle, name, count }) => ({ handle, name, count }),
+    },
+};
+
+/** Related functions for jobs.
+ *
+ * Removing a job only marks it deleted (deleted_at). Jobs of a deleted
+ * company are hidden too, and come back when it's restored.
+ */
 
 class Job {
     /** Create a job (from data), update db, return new job data.
@@ -18,10 +83,20 @@ class Job {
      * 
      * Returns { id, title, salary, equity, companyHandle }
      * 
-     * Throws BadRequestError if job already in database.
+     * Throws BadRequestError if job already in database, or the company
+     * doesn't exist (or is deleted).
      */
 
     static async create({ title, salary, equity, companyHandle }) {
+        const companyRes = await db.query(
+            `SELECT handle
+            FROM companies
+            WHERE handle = $1 AND deleted_at IS NULL`,
+            [companyHandle]
+        )
+
+        if (!companyRes.rows[0]) throw new BadRequestError(`No company: ${companyHandle}`)
+
         const result = await db.query(
             `INSERT INTO jobs
             (title, salary, equity, company_handle)
@@ -39,17 +114,116 @@ class Job {
         return job;
     }
 
-    /** Find all jobs.
+    /** Find all jobs, a page at a time.
    *
-   * Returns [{ title, salary, equity, companyHandle }, ...]
+   * Returns { jobs: [{ id, title, salary, equity, companyHandle }, ...],
+   *           total, next, prev }
    * 
    * Result is based on parameters in searchFilters. 
    * Function will add search parameters to query if any are passed in and return results from db
    * Throws BadRequestError if invalid query is passed through
+   *
+   * searchFilters.q is a full-text search of titles and of companies' names
+   * and descriptions (see helpers/search.js): results are ordered by
+   * relevance instead of id, and each has highlight: { title }, HTML with
+   * the matches in <mark>.
+   *
+   * listOptions choose the page and its sort (by id, title, salary, equity
+   * or companyHandle); total counts all the jobs found, and next and prev
+   * are the list options for the pages either side (see helpers/listQuery.js).
    * */
 
-    static async findAll(searchFilters = {}) {
-        const allowedFilters = ['title', 'minSalary', 'hasEquity']
+    static async findAll(searchFilters = {}, listOptions = {}) {
+        const { q, from, where, values } = Job._filterSql(searchFilters)
+
+        let columns = `j.id,
+                       j.title,
+                       j.salary,
+                       j.equity,
+                       j.company_handle AS "companyHandle"`;
+        let columnValues = [];
+        let order = [];
+
+        if (q !== undefined) {
+            columnValues.push(HIGHLIGHT_WHOLE)
+            const tsQuery = tsQuerySql(1)
+            columns += `,
+                       ts_headline('english', j.title, ${tsQuery}, $${values.length + 1}) AS "titleHighlight"`
+            order = [{ sql: `ts_rank(${JOB_SEARCH_SQL}, ${tsQuery})`, desc: true }]
+        }
+
+        const page = await findPage({
+            columns,
+            from,
+            where,
+            values,
+            columnValues,
+            sortable: JOB_SORTABLE,
+            order,
+            key: "j.id",
+        }, listOptions);
+
+        const { rows, ...pageInfo } = page;
+        if (q === undefined) return { jobs: rows, ...pageInfo };
+
+        const jobs = rows.map(({ titleHighlight, ...job }) => ({
+            ...job,
+            highlight: { title: highlightToHtml(titleHighlight) },
+        }));
+        return { jobs, ...pageInfo };
+    }
+
+    /** Count the jobs findAll(searchFilters) would find, broken down by each
+     *  of the facets in names (default: all of them; see FACETS).
+     *
+     * Returns e.g. { salary: [{ min, max, count }, ...],
+     *                hasEquity: [{ value, count }, ...],
+     *                companies: [{ handle, name, count }, ...] }
+     *   where salary buckets go from min up to (not including) max, with
+     *   min and max null for jobs with no salary, and companies are the
+     *   TOP_COMPANIES_FACET_SIZE with the most jobs.
+     *
+     * Throws BadRequestError for invalid filters or unknown facets.
+     **/
+
+    static async facets(searchFilters = {}, names = Object.keys(FACETS)) {
+        const unknown = names.filter(name => !Object.hasOwn(FACETS, name))
+        if (unknown.length > 0) {
+            throw new BadRequestError(`Invalid facet(s): ${unknown.join(', ')}`)
+        }
+
+        const { from, where, values } = Job._filterSql(searchFilters)
+        const whereSql = "WHERE " + where.join(" AND ")
+        const facets = {}
+
+        for (let name of names) {
+            const { columns, groupBy, orderBy, limit, toBucket } = FACETS[name]
+            const result = await db.query(
+                `SELECT ${columns}, COUNT(*)::int AS "count"
+                ${from} ${whereSql}
+                GROUP BY ${groupBy}
+                ORDER BY ${orderBy}
+                ${limit ? `LIMIT ${limit}` : ""}`,
+                values)
+            facets[name] = result.rows.map(toBucket)
+        }
+
+        return facets
+    }
+
+    /** Turn searchFilters into the FROM and WHERE of a query over the
+     *  matching jobs (as "j", joined to their company as "c").
+     *
+     * Returns { q, from, where, values }
+     *   where where is a list of conditions, and values are the query's
+     *   parameters, starting with q if given (so its tsquery is
+     *   tsQuerySql(1)).
+     *
+     * Throws BadRequestError if invalid query is passed through
+     */
+
+    static _filterSql(searchFilters) {
+        const allowedFilters = ['q', 'title', 'minSalary', 'hasEquity']
 
         // Check if any other filter is present 
         const invalidFilters = Object.keys(searchFilters).filter(key => !allowedFilters.includes(key));
@@ -58,21 +232,19 @@ class Job {
             throw new BadRequestError(`Invalid filter(s): ${invalidFilters.join(', ')}`);
         }
 
-        let { title, minSalary, hasEquity } = searchFilters
+        let { q, title, minSalary, hasEquity } = searchFilters
 
-        // Query right now only handles selection of all companies
-        let query = `SELECT id,
-                            title,
-                            salary,
-                            equity,
-                            company_handle AS "companyHandle"
-                    FROM jobs`;
         // Holds all filter expressions for query
-        let expressions = [];
+        let expressions = ["j.deleted_at IS NULL", "c.deleted_at IS NULL"];
 
         // // Holds filter parameters to insert into query
         let queryArray = [];
 
+        if (q !== undefined) {
+            queryArray.push(q)
+            expressions.push(`(j.search @@ ${tsQuerySql(1)} OR c.search @@ ${tsQuerySql(1)})`)
+        }
+
         if (title !== undefined) {
             queryArray.push(`%${title}%`)
             expressions.push(`title ILIKE $${queryArray.length}`)
@@ -84,17 +256,16 @@ class Job {
         }
 
         
-        if (hasEquity === 'true') {
+        if (hasEquity === true) {
             expressions.push(`equity > 0`)
         }
 
-        if (expressions.length > 0) {
-            query += " WHERE " + expressions.join(" AND ");
+        return {
+            q,
+            from: "FROM jobs AS j JOIN companies AS c ON c.handle = j.company_handle",
+            where: expressions,
+            values: queryArray,
         }
-
-        query += " ORDER BY id";
-        const jobsRes = await db.query(query, queryArray);
-        return jobsRes.rows;
     }
 
     /** Given a job id, return data about job.
@@ -106,13 +277,14 @@ class Job {
 
     static async get(id) {
         const jobRes = await db.query(
-            `SELECT id, 
-                    title,
-                    salary,
-                    equity,
-                    company_handle AS "companyHandle"
-            FROM jobs 
-            WHERE id = $1`,
+            `SELECT j.id, 
+                    j.title,
+                    j.salary,
+                    j.equity,
+                    j.company_handle AS "companyHandle"
+            FROM jobs AS j
+            JOIN companies AS c ON c.handle = j.company_handle
+            WHERE j.id = $1 AND j.deleted_at IS NULL AND c.deleted_at IS NULL`,
             [id]);
         
         const job = jobRes.rows[0]
@@ -145,6 +317,9 @@ class Job {
         const querySql = `UPDATE jobs 
                           SET ${setCols}
                           WHERE id = ${handleVarIdx}
+                            AND deleted_at IS NULL
+                            AND company_handle IN
+                              (SELECT handle FROM companies WHERE deleted_at IS NULL)
                           RETURNING id,
                                     title, 
                                     salary, 
@@ -160,22 +335,71 @@ class Job {
         return job
     }
 
-    /** Delete given job from database; returns undefined.
-   *
-   * Throws NotFoundError if job not found.
-   **/
-
-  static async remove(id) {
-    const result = await db.query(
-          `DELETE
-           FROM jobs
-           WHERE id = $1
-           RETURNING id`,
-        [id]);
-    const job = result.rows[0];
-
-    if (!job) throw new NotFoundError(`No job found with id: ${id}`)
-  }
+    /** Delete given job; returns undefined.
+     *
+     * The job is only marked deleted, so it can be restored; its applications
+     * are kept, hidden along with it.
+     *
+     * Throws NotFoundError if job not found.
+     **/
+
+    static async remove(id) {
+        const result = await db.query(
+            `UPDATE jobs
+             SET deleted_at = NOW()
+             WHERE id = $1
+               AND deleted_at IS NULL
+               AND company_handle IN
+                 (SELECT handle FROM companies WHERE deleted_at IS NULL)
+             RETURNING id`,
+            [id]);
+        const job = result.rows[0];
+
+        if (!job) throw new NotFoundError(`No job found with id: ${id}`)
+    }
+
+    /** Restore a deleted job; returns undefined.
+     *
+     * Throws NotFoundError if there is no such deleted job, or BadRequestError
+     * if its company is deleted (restore that first).
+     **/
+
+    static async restore(id) {
+        const jobRes = await db.query(
+            `SELECT j.id, c.deleted_at IS NOT NULL AS "companyDeleted"
+             FROM jobs AS j
+             JOIN companies AS c ON c.handle = j.company_handle
+             WHERE j.id = $1 AND j.deleted_at IS NOT NULL`,
+            [id]);
+        const job = jobRes.rows[0];
+
+        if (!job) throw new NotFoundError(`No deleted job with id: ${id}`)
+        if (job.companyDeleted) {
+            throw new BadRequestError(`Company of job ${id} is deleted; restore it first`)
+        }
+
+        await db.query(
+            `UPDATE jobs SET deleted_at = NULL WHERE id = $1`,
+            [id]);
+    }
+
+    /** Delete a deleted job from the database for good, with its
+     *  applications; returns undefined.
+     *
+     * Throws NotFoundError if there is no such deleted job.
+     **/
+
+    static async purge(id) {
+        const result = await db.query(
+            `DELETE
+             FROM jobs
+             WHERE id = $1 AND deleted_at IS NOT NULL
+             RETURNING id`,
+            [id]);
+        const job = result.rows[0];
+
+        if (!job) throw new NotFoundError(`No deleted job with id: ${id}`)
+    }
 }
 
 module.exports = Job;
\ No newline at end of file
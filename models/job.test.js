@@ -15,6 +15,13 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** Return the id of the test job with this title. */
+
+async function idOf(title) {
+  const result = await db.query(`SELECT id FROM jobs WHERE title = $1`, [title]);
+  return result.rows[0].id;
+}
+
 /************************************** create */
 
 describe("create", function () {
@@ -58,7 +65,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let jobs = await Job.findAll();
+    let { jobs } = await Job.findAll();
     expect(jobs).toEqual([
       {
         id: expect.any(Number),
@@ -85,7 +92,7 @@ describe("findAll", function () {
   });
 
   test("works: filter of just title", async () => {
-    let jobs = await Job.findAll({ title: "test2"})
+    let { jobs } = await Job.findAll({ title: "test2"})
 
     expect(jobs).toEqual([
         {
@@ -99,7 +106,7 @@ describe("findAll", function () {
   })
 
   test("works: filter of just minSalary", async () => {
-    let jobs = await Job.findAll({ minSalary: 100000})
+    let { jobs } = await Job.findAll({ minSalary: 100000})
 
     expect(jobs).toEqual([
       {
@@ -120,7 +127,7 @@ describe("findAll", function () {
   })
 
   test("works: filter of just hasEquity", async () => {
-    let jobs = await Job.findAll({ hasEquity: 'true'})
+    let { jobs } = await Job.findAll({ hasEquity: true})
 
     expect(jobs).toEqual([
       {
@@ -141,7 +148,7 @@ describe("findAll", function () {
   })
 
   test("works: filter of title and minSalary", async () => {
-    let jobs = await Job.findAll({ title: "test", minSalary: 100000})
+    let { jobs } = await Job.findAll({ title: "test", minSalary: 100000})
 
     expect(jobs).toEqual([
         {
@@ -162,7 +169,7 @@ describe("findAll", function () {
   }) 
   
   test("works: filter of title and hasEquity", async () => {
-    let jobs = await Job.findAll({ title: "test", hasEquity: 'true'})
+    let { jobs } = await Job.findAll({ title: "test", hasEquity: true})
 
     expect(jobs).toEqual([
         {
@@ -183,7 +190,7 @@ describe("findAll", function () {
   }) 
 
   test("works: minSalary and hasEquity", async () => {
-    let jobs = await Job.findAll({ minSalary: 115000, hasEquity: 'true'})
+    let { jobs } = await Job.findAll({ minSalary: 115000, hasEquity: true})
 
     expect(jobs).toEqual([
         {
@@ -197,7 +204,7 @@ describe("findAll", function () {
   })
 
   test("works: filter of title, minSalary, and hasEquity", async () => {
-    let jobs = await Job.findAll({ title: "test", minSalary: 100000, hasEquity: 'true'})
+    let { jobs } = await Job.findAll({ title: "test", minSalary: 100000, hasEquity: true})
 
     expect(jobs).toEqual([
         {
@@ -211,7 +218,7 @@ describe("findAll", function () {
   })
 
   test("returns empty array of value that cannot be found", async function () {
-    let jobs = await Job.findAll({ title: "invalid" });
+    let { jobs } = await Job.findAll({ title: "invalid" });
     expect(jobs).toEqual([]);
   });
 
@@ -222,6 +229,218 @@ describe("findAll", function () {
   })
 });
 
+// /************************************** findAll: full-text search */
+
+describe("findAll with q", function () {
+  beforeEach(async function () {
+    await db.query(`UPDATE jobs SET title = 'Engineer, Backend' WHERE title = 'test'`);
+    await db.query(`UPDATE jobs SET title = 'Backend Intern, R&D' WHERE title = 'test2'`);
+  });
+
+  test("works: words in any order, with highlights", async function () {
+    let { jobs } = await Job.findAll({ q: "backend engineer" });
+    expect(jobs).toEqual([{
+      id: expect.any(Number),
+      title: "Engineer, Backend",
+      salary: 75000,
+      equity: "0.87",
+      companyHandle: "c1",
+      highlight: { title: "<mark>Engineer</mark>, <mark>Backend</mark>" },
+    }]);
+  });
+
+  test("works: escapes titles", async function () {
+    let { jobs } = await Job.findAll({ q: "intern" });
+    expect(jobs.map(j => j.highlight.title)).toEqual(["Backend <mark>Intern</mark>, R&amp;D"]);
+  });
+
+  test("works: matches company names, ranked below titles", async function () {
+    await db.query(`UPDATE companies SET name = 'Backend Co' WHERE handle = 'c2'`);
+    let { jobs } = await Job.findAll({ q: "backend" });
+    expect(jobs.map(j => j.title).sort())
+        .toEqual(["Backend Intern, R&D", "Engineer, Backend", "test3"]);
+    expect(jobs[2].title).toEqual("test3");
+  });
+
+  test("works: matches company descriptions", async function () {
+    await db.query(`UPDATE companies SET description = 'Backend work' WHERE handle = 'c2'`);
+    let { jobs } = await Job.findAll({ q: "backend" });
+    expect(jobs.map(j => j.title).sort())
+        .toEqual(["Backend Intern, R&D", "Engineer, Backend", "test3"]);
+  });
+
+  test("works: with other filters", async function () {
+    let { jobs } = await Job.findAll({ q: "backend", minSalary: 80000 });
+    expect(jobs.map(j => j.title)).toEqual(["Backend Intern, R&D"]);
+  });
+});
+
+// /************************************** findAll: paging and sorting */
+
+describe("findAll pages", function () {
+  test("works: total, and no other pages", async function () {
+    let page = await Job.findAll();
+    expect(page.total).toEqual(3);
+    expect(page.next).toBeNull();
+    expect(page.prev).toBeNull();
+  });
+
+  test("works: sort", async function () {
+    let { jobs } = await Job.findAll({}, { sort: "-salary" });
+    expect(jobs.map(j => j.title)).toEqual(["test3", "test2", "test"]);
+
+    ({ jobs } = await Job.findAll({}, { sort: "companyHandle,-title" }));
+    expect(jobs.map(j => j.title)).toEqual(["test", "test3", "test2"]);
+  });
+
+  test("works: sort puts nulls last", async function () {
+    await db.query(`UPDATE jobs SET salary = NULL WHERE title = 'test3'`);
+    let { jobs } = await Job.findAll({}, { sort: "-salary" });
+    expect(jobs.map(j => j.title)).toEqual(["test2", "test", "test3"]);
+  });
+
+  test("works: cursors, forwards and back", async function () {
+    await db.query(`UPDATE jobs SET salary = NULL WHERE title = 'test2'`);
+    const sort = "salary";
+
+    let page = await Job.findAll({}, { limit: "2", sort });
+    expect(page.jobs.map(j => j.title)).toEqual(["test", "test3"]);
+    expect(page.total).toEqual(3);
+    expect(page.prev).toBeNull();
+    expect(page.next).toEqual({ limit: 2, cursor: expect.any(String), sort });
+
+    page = await Job.findAll({}, page.next);
+    expect(page.jobs.map(j => j.title)).toEqual(["test2"]);
+    expect(page.next).toBeNull();
+    expect(page.prev).toEqual({ limit: 2, cursor: expect.any(String), sort });
+
+    page = await Job.findAll({}, page.prev);
+    expect(page.jobs.map(j => j.title)).toEqual(["test", "test3"]);
+    expect(page.prev).toBeNull();
+    expect(page.next).toEqual({ limit: 2, cursor: expect.any(String), sort });
+  });
+
+  test("works: cursors don't skip rows added meanwhile", async function () {
+    let page = await Job.findAll({}, { limit: 1, sort: "-salary" });
+    expect(page.jobs.map(j => j.title)).toEqual(["test3"]);
+
+    await db.query(`INSERT INTO jobs (title, salary, equity, company_handle)
+                    VALUES ('new', 200000, '0', 'c1'), ('mid', 110000, '0', 'c1')`);
+    page = await Job.findAll({}, page.next);
+    expect(page.jobs.map(j => j.title)).toEqual(["mid"]);
+    expect(page.total).toEqual(5);
+  });
+
+  test("works: cursors with relevance order", async function () {
+    await db.query(`UPDATE jobs SET title = 'Engineer Engineer' WHERE title = 'test'`);
+    await db.query(`UPDATE jobs SET title = 'Engineer' WHERE title = 'test3'`);
+    let page = await Job.findAll({ q: "engineer" }, { limit: 1 });
+    expect(page.jobs.map(j => j.title)).toEqual(["Engineer Engineer"]);
+    expect(page.jobs[0].highlight).toEqual({ title: "<mark>Engineer</mark> <mark>Engineer</mark>" });
+
+    page = await Job.findAll({ q: "engineer" }, page.next);
+    expect(page.jobs.map(j => j.title)).toEqual(["Engineer"]);
+    expect(page.next).toBeNull();
+  });
+
+  test("works: offset", async function () {
+    let page = await Job.findAll({}, { limit: 1, offset: "1" });
+    expect(page.jobs.map(j => j.title)).toEqual(["test2"]);
+    expect(page.next).toEqual({ limit: 1, offset: 2 });
+    expect(page.prev).toEqual({ limit: 1, offset: 0 });
+  });
+
+  test("works: with filters", async function () {
+    let page = await Job.findAll({ minSalary: 100000 }, { limit: 1, sort: "-salary" });
+    expect(page.jobs.map(j => j.title)).toEqual(["test3"]);
+    expect(page.total).toEqual(2);
+  });
+
+  test("bad request with invalid list options", async function () {
+    await expect(Job.findAll({}, { sort: "password" })).rejects.toThrow(BadRequestError);
+    await expect(Job.findAll({}, { limit: "0" })).rejects.toThrow(BadRequestError);
+    await expect(Job.findAll({}, { limit: "101" })).rejects.toThrow(BadRequestError);
+    await expect(Job.findAll({}, { offset: "-1" })).rejects.toThrow(BadRequestError);
+    await expect(Job.findAll({}, { cursor: "nope" })).rejects.toThrow(BadRequestError);
+    await expect(Job.findAll({}, { cursor: "nope", offset: 1 })).rejects.toThrow(BadRequestError);
+  });
+});
+
+// /************************************** facets */
+
+describe("facets", function () {
+  test("works: all facets", async function () {
+    let facets = await Job.facets();
+    expect(facets).toEqual({
+      salary: [
+        { min: 75000, max: 100000, count: 1 },
+        { min: 100000, max: 125000, count: 2 },
+      ],
+      hasEquity: [
+        { value: true, count: 2 },
+        { value: false, count: 1 },
+      ],
+      companies: [
+        { handle: "c2", name: "C2", count: 2 },
+        { handle: "c1", name: "C1", count: 1 },
+      ],
+    });
+  });
+
+  test("works: over the filtered jobs", async function () {
+    let facets = await Job.facets({ hasEquity: true }, ["salary", "companies"]);
+    expect(facets).toEqual({
+      salary: [
+        { min: 75000, max: 100000, count: 1 },
+        { min: 100000, max: 125000, count: 1 },
+      ],
+      companies: [
+        { handle: "c1", name: "C1", count: 1 },
+        { handle: "c2", name: "C2", count: 1 },
+      ],
+    });
+  });
+
+  test("works: with q", async function () {
+    let facets = await Job.facets({ q: "test3" }, ["companies"]);
+    expect(facets).toEqual({ companies: [{ handle: "c2", name: "C2", count: 1 }] });
+  });
+
+  test("works: jobs without a salary or equity", async function () {
+    await db.query(`UPDATE jobs SET salary = NULL, equity = NULL WHERE title = 'test'`);
+    let facets = await Job.facets({}, ["salary", "hasEquity"]);
+    expect(facets).toEqual({
+      salary: [
+        { min: 100000, max: 125000, count: 2 },
+        { min: null, max: null, count: 1 },
+      ],
+      hasEquity: [
+        { value: true, count: 1 },
+        { value: false, count: 2 },
+      ],
+    });
+  });
+
+  test("works: leaves out deleted jobs", async function () {
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE title = 'test3'`);
+    let facets = await Job.facets({}, ["companies"]);
+    expect(facets).toEqual({
+      companies: [
+        { handle: "c1", name: "C1", count: 1 },
+        { handle: "c2", name: "C2", count: 1 },
+      ],
+    });
+  });
+
+  test("bad request with unknown facet", async function () {
+    await expect(Job.facets({}, ["salary", "nope"])).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with invalid filter", async function () {
+    await expect(Job.facets({ nope: "x" })).rejects.toThrow(BadRequestError);
+  });
+});
+
 // /************************************** get */
 
 describe("get", function () {
@@ -333,8 +552,11 @@ describe("remove", function () {
 
     await Job.remove(resultQuery.id);
     const res = await db.query(
-        "SELECT id FROM jobs WHERE id=$1", [resultQuery.id]);
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM jobs WHERE id=$1", [resultQuery.id]);
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+    await expect(Job.get(resultQuery.id)).rejects.toThrow(NotFoundError);
+    const { jobs } = await Job.findAll();
+    expect(jobs.map(j => j.id)).not.toContain(resultQuery.id);
   });
 
   test("not found if no such job", async function () {
@@ -345,4 +567,70 @@ describe("remove", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("not found if already deleted", async function () {
+    const jobId = await idOf("test");
+    await Job.remove(jobId);
+    await expect(Job.remove(jobId)).rejects.toThrow(NotFoundError);
+  });
+});
+
+// /************************************** jobs of deleted companies */
+
+describe("jobs of deleted companies", function () {
+  test("are hidden", async function () {
+    const jobId = await idOf("test");
+    await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'`);
+    await expect(Job.get(jobId)).rejects.toThrow(NotFoundError);
+    await expect(Job.update(jobId, { salary: 1 })).rejects.toThrow(NotFoundError);
+    const { jobs } = await Job.findAll();
+    expect(jobs.map(j => j.id)).not.toContain(jobId);
+  });
+
+  test("can't be created", async function () {
+    await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'`);
+    await expect(Job.create({ title: "new", salary: 1, equity: 0, companyHandle: "c1" }))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+// /************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    const jobId = await idOf("test");
+    await Job.remove(jobId);
+    await Job.restore(jobId);
+    const job = await Job.get(jobId);
+    expect(job.title).toEqual("test");
+  });
+
+  test("not found if not deleted", async function () {
+    const jobId = await idOf("test");
+    await expect(Job.restore(jobId)).rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request if its company is deleted", async function () {
+    const jobId = await idOf("test");
+    await Job.remove(jobId);
+    await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'`);
+    await expect(Job.restore(jobId)).rejects.toThrow(BadRequestError);
+  });
+});
+
+// /************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    const jobId = await idOf("test");
+    await Job.remove(jobId);
+    await Job.purge(jobId);
+    const res = await db.query("SELECT id FROM jobs WHERE id=$1", [jobId]);
+    expect(res.rows.length).toEqual(0);
+  });
+
+  test("not found if not deleted first", async function () {
+    const jobId = await idOf("test");
+    await expect(Job.purge(jobId)).rejects.toThrow(NotFoundError);
+  });
 });
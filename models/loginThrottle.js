@@ -0,0 +1,136 @@
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS,
+} = require("../config");
+
+/** Related functions for login throttling.
+ *
+ * Failed logins are counted per username and per IP in login_failures, so
+ * the limits hold across every app instance sharing the database. Once a
+ * count reaches its limit, logins for that username (or from that IP) are
+ * locked, for twice as long with each further failure.
+ */
+
+class LoginThrottle {
+  /** How long to lock logins after `failedCount` failures, given the limit
+   *  `maxFailures`.
+   *
+   * Returns number of seconds; 0 if under the limit.
+   **/
+
+  static lockoutSeconds(failedCount, maxFailures) {
+    if (failedCount < maxFailures) return 0;
+
+    const seconds = LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (failedCount - maxFailures);
+    return Math.min(seconds, LOGIN_LOCKOUT_MAX_SECONDS);
+  }
+
+  /** Check whether a login for username from ip may be attempted; returns
+   *  undefined if so.
+   *
+   * Throws TooManyRequestsError if the username or ip is locked.
+   **/
+
+  static async check({ username, ip }) {
+    const result = await db.query(
+          `SELECT CEIL(EXTRACT(EPOCH FROM MAX(locked_until) - NOW()))::INTEGER
+                    AS "secondsLeft"
+           FROM login_failures
+           WHERE ((scope = 'username' AND key = $1) OR (scope = 'ip' AND key = $2))
+             AND locked_until > NOW()`,
+        [username, ip]);
+    const { secondsLeft } = result.rows[0];
+
+    if (secondsLeft) {
+      throw new TooManyRequestsError(
+          `Too many failed logins; try again in ${secondsLeft} seconds`);
+    }
+  }
+
+  /** Record a failed login for username from ip, locking either if it has
+   *  reached its limit; returns undefined.
+   *
+   * Counts start over once a username or ip has gone
+   * LOGIN_FAILURE_WINDOW_MINUTES without failing or being locked.
+   **/
+
+  static async recordFailure({ username, ip }) {
+    await LoginThrottle._recordFailure("username", username, LOGIN_MAX_FAILURES);
+    await LoginThrottle._recordFailure("ip", ip, LOGIN_MAX_FAILURES_PER_IP);
+  }
+
+  static async _recordFailure(scope, key, maxFailures) {
+    const result = await db.query(
+          `INSERT INTO login_failures (scope, key, failed_count)
+           VALUES ($1, $2, 1)
+           ON CONFLICT (scope, key) DO UPDATE
+             SET failed_count = CASE
+                   WHEN GREATEST(login_failures.last_failed_at,
+                                 login_failures.locked_until)
+                        < NOW() - make_interval(mins => $3)
+                     THEN 1
+                   ELSE login_failures.failed_count + 1
+                 END,
+                 last_failed_at = NOW()
+           RETURNING failed_count AS "failedCount"`,
+        [scope, key, LOGIN_FAILURE_WINDOW_MINUTES]);
+
+    const seconds = LoginThrottle.lockoutSeconds(result.rows[0].failedCount, maxFailures);
+    if (seconds) {
+      await db.query(
+            `UPDATE login_failures
+             SET locked_until = NOW() + make_interval(secs => $3)
+             WHERE scope = $1 AND key = $2`,
+          [scope, key, seconds]);
+    }
+  }
+
+  /** Clear failed logins for a username after a successful login; returns
+   *  undefined.
+   *
+   * Failures from the ip are kept: one good login shouldn't let an attacker
+   * keep guessing at other accounts.
+   **/
+
+  static async recordSuccess({ username }) {
+    await db.query(
+          `DELETE
+           FROM login_failures
+           WHERE scope = 'username' AND key = $1`,
+        [username]);
+  }
+
+  /** Given a username, return its lock state.
+   *
+   * Returns { failedAttempts, lockedUntil, locked }
+   *   where lockedUntil is null if the username was never locked.
+   **/
+
+  static async getLockState(username) {
+    const result = await db.query(
+          `SELECT failed_count AS "failedAttempts",
+                  locked_until AS "lockedUntil",
+                  COALESCE(locked_until > NOW(), FALSE) AS "locked"
+           FROM login_failures
+           WHERE scope = 'username' AND key = $1`,
+        [username]);
+
+    return result.rows[0] || { failedAttempts: 0, lockedUntil: null, locked: false };
+  }
+
+  /** Unlock a username and clear its failed logins; returns undefined. */
+
+  static async unlock(username) {
+    await LoginThrottle.recordSuccess({ username });
+  }
+}
+
+
+module.exports = LoginThrottle;
@@ -0,0 +1,129 @@
+"use strict";
+
+const { TooManyRequestsError } = require("../expressError");
+const db = require("../db.js");
+const LoginThrottle = require("./loginThrottle.js");
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS,
+} = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function failTimes(n, { username = "u1", ip = "1.1.1.1" } = {}) {
+  for (let i = 0; i < n; i++) {
+    await LoginThrottle.recordFailure({ username, ip });
+  }
+}
+
+/************************************** lockoutSeconds */
+
+describe("lockoutSeconds", function () {
+  test("works: doubles past the limit, up to the max", function () {
+    expect(LoginThrottle.lockoutSeconds(4, 5)).toEqual(0);
+    expect(LoginThrottle.lockoutSeconds(5, 5)).toEqual(LOGIN_LOCKOUT_BASE_SECONDS);
+    expect(LoginThrottle.lockoutSeconds(6, 5)).toEqual(LOGIN_LOCKOUT_BASE_SECONDS * 2);
+    expect(LoginThrottle.lockoutSeconds(100, 5)).toEqual(LOGIN_LOCKOUT_MAX_SECONDS);
+  });
+});
+
+/************************************** check / recordFailure */
+
+describe("check", function () {
+  test("works: under the limit", async function () {
+    await failTimes(LOGIN_MAX_FAILURES - 1);
+    await LoginThrottle.check({ username: "u1", ip: "1.1.1.1" });
+  });
+
+  test("locks username at the limit, from any ip", async function () {
+    await failTimes(LOGIN_MAX_FAILURES);
+    try {
+      await LoginThrottle.check({ username: "u1", ip: "2.2.2.2" });
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+    }
+    await LoginThrottle.check({ username: "u2", ip: "2.2.2.2" });
+  });
+
+  test("locks ip at its limit, for any username", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES_PER_IP; i++) {
+      await LoginThrottle.recordFailure({ username: `guess${i}`, ip: "1.1.1.1" });
+    }
+    try {
+      await LoginThrottle.check({ username: "u2", ip: "1.1.1.1" });
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+    }
+  });
+
+  test("works: lock expires", async function () {
+    await failTimes(LOGIN_MAX_FAILURES);
+    await db.query("UPDATE login_failures SET locked_until = NOW() - INTERVAL '1 second'");
+    await LoginThrottle.check({ username: "u1", ip: "1.1.1.1" });
+  });
+
+  test("counts start over after a quiet window", async function () {
+    await failTimes(LOGIN_MAX_FAILURES - 1);
+    await db.query("UPDATE login_failures SET last_failed_at = NOW() - INTERVAL '1 day'");
+    await failTimes(1);
+    const state = await LoginThrottle.getLockState("u1");
+    expect(state.failedAttempts).toEqual(1);
+  });
+});
+
+/************************************** recordSuccess */
+
+describe("recordSuccess", function () {
+  test("clears username failures but not ip failures", async function () {
+    await failTimes(2);
+    await LoginThrottle.recordSuccess({ username: "u1" });
+
+    expect((await LoginThrottle.getLockState("u1")).failedAttempts).toEqual(0);
+    const ipRes = await db.query(
+        "SELECT failed_count FROM login_failures WHERE scope = 'ip'");
+    expect(ipRes.rows).toEqual([{ failed_count: 2 }]);
+  });
+});
+
+/************************************** getLockState / unlock */
+
+describe("getLockState", function () {
+  test("works: never failed", async function () {
+    expect(await LoginThrottle.getLockState("u1")).toEqual({
+      failedAttempts: 0,
+      lockedUntil: null,
+      locked: false,
+    });
+  });
+
+  test("works: locked", async function () {
+    await failTimes(LOGIN_MAX_FAILURES);
+    expect(await LoginThrottle.getLockState("u1")).toEqual({
+      failedAttempts: LOGIN_MAX_FAILURES,
+      lockedUntil: expect.any(Date),
+      locked: true,
+    });
+  });
+});
+
+describe("unlock", function () {
+  test("works", async function () {
+    await failTimes(LOGIN_MAX_FAILURES);
+    await LoginThrottle.unlock("u1");
+    await LoginThrottle.check({ username: "u1", ip: "2.2.2.2" });
+    expect((await LoginThrottle.getLockState("u1")).locked).toEqual(false);
+  });
+});
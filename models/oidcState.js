@@ -0,0 +1,65 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { hashOpaqueToken } = require("../helpers/tokens");
+const { randomString } = require("../helpers/oidc");
+const { OIDC_STATE_EXPIRES_MINUTES } = require("../config");
+
+/** Related functions for OpenID Connect login states.
+ *
+ * Each login started at GET /auth/oidc/login gets a state, sent through the
+ * identity provider and back to the callback, plus the nonce and PKCE code
+ * verifier that go with it. A state can be used once, before it expires. Only
+ * a hash of each state is stored (the browser that started the login gets
+ * one too, in a cookie; see GET /auth/oidc/callback).
+ */
+
+class OidcState {
+  /** Start a login.
+   *
+   * Returns { state, nonce, codeVerifier }
+   **/
+
+  static async create() {
+    const state = randomString();
+    const nonce = randomString();
+    const codeVerifier = randomString();
+
+    // abandoned logins are never consumed, so clear them out here
+    await db.query(`DELETE FROM oidc_states WHERE expires_at <= NOW()`);
+    await db.query(
+          `INSERT INTO oidc_states (state_hash, nonce, code_verifier, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+        [hashOpaqueToken(state), nonce, codeVerifier, OIDC_STATE_EXPIRES_MINUTES]);
+
+    return { state, nonce, codeVerifier };
+  }
+
+  /** Use up a state.
+   *
+   * Returns { nonce, codeVerifier }
+   *
+   * Throws BadRequestError if the state is unknown, expired or already used.
+   **/
+
+  static async consume(state) {
+    const result = await db.query(
+          `DELETE FROM oidc_states
+           WHERE state_hash = $1
+           RETURNING nonce,
+                     code_verifier AS "codeVerifier",
+                     expires_at > NOW() AS "isCurrent"`,
+        [hashOpaqueToken(state)]);
+    const found = result.rows[0];
+
+    if (!found || !found.isCurrent) {
+      throw new BadRequestError("Invalid or expired login state");
+    }
+
+    return { nonce: found.nonce, codeVerifier: found.codeVerifier };
+  }
+}
+
+
+module.exports = OidcState;
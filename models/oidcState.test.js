@@ -0,0 +1,82 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const OidcState = require("./oidcState.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const login = await OidcState.create();
+    expect(login).toEqual({
+      state: expect.any(String),
+      nonce: expect.any(String),
+      codeVerifier: expect.any(String),
+    });
+
+    const found = await db.query("SELECT state_hash FROM oidc_states");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].state_hash).not.toEqual(login.state);
+  });
+
+  test("clears out expired states", async function () {
+    await OidcState.create();
+    await db.query("UPDATE oidc_states SET expires_at = NOW() - INTERVAL '1 minute'");
+    await OidcState.create();
+
+    const found = await db.query("SELECT * FROM oidc_states");
+    expect(found.rows.length).toEqual(1);
+  });
+});
+
+/************************************** consume */
+
+describe("consume", function () {
+  test("works", async function () {
+    const { state, nonce, codeVerifier } = await OidcState.create();
+    expect(await OidcState.consume(state)).toEqual({ nonce, codeVerifier });
+  });
+
+  test("bad request if already used", async function () {
+    const { state } = await OidcState.create();
+    await OidcState.consume(state);
+    try {
+      await OidcState.consume(state);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const { state } = await OidcState.create();
+    await db.query("UPDATE oidc_states SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await OidcState.consume(state);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if unknown", async function () {
+    try {
+      await OidcState.consume("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
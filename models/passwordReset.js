@@ -0,0 +1,97 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { PASSWORD_RESET_EXPIRES_MINUTES } = require("../config");
+
+/** Related functions for password reset tokens.
+ *
+ * A reset token is emailed to the user and can be used once, before it
+ * expires, to set a new password. Only a hash of each token is stored.
+ */
+
+class PasswordReset {
+  /** Create a reset token for a user. Any earlier, unused tokens for the user
+   *  stop working.
+   *
+   * Returns { username, email, token }
+   *   where token is the raw token to send to the user,
+   *   or undefined if there is no such user.
+   **/
+
+  static async create(username) {
+    const userRes = await db.query(
+          `SELECT username, email
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    const user = userRes.rows[0];
+
+    if (!user) return undefined;
+
+    await db.query(
+          `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE username = $1 AND used_at IS NULL`,
+        [username]);
+
+    const token = createOpaqueToken();
+    await db.query(
+          `INSERT INTO password_reset_tokens (username, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [username, hashOpaqueToken(token), PASSWORD_RESET_EXPIRES_MINUTES]);
+
+    return { ...user, token };
+  }
+
+  /** Look up who a reset token is for, without using it up; e.g. to check
+   *  a new password against the user's details before consume.
+   *
+   * Returns { username, email }
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used.
+   **/
+
+  static async findUser(token) {
+    const result = await db.query(
+          `SELECT u.username, u.email
+           FROM password_reset_tokens AS t
+           JOIN users AS u ON u.username = t.username
+           WHERE t.token_hash = $1
+             AND t.used_at IS NULL
+             AND t.expires_at > NOW()`,
+        [hashOpaqueToken(token)]);
+    const user = result.rows[0];
+
+    if (!user) throw new BadRequestError("Invalid or expired reset token");
+
+    return user;
+  }
+
+  /** Use up a reset token.
+   *
+   * Returns the username the token was issued for.
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used.
+   **/
+
+  static async consume(token) {
+    const result = await db.query(
+          `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username`,
+        [hashOpaqueToken(token)]);
+    const reset = result.rows[0];
+
+    if (!reset) throw new BadRequestError("Invalid or expired reset token");
+
+    return reset.username;
+  }
+}
+
+
+module.exports = PasswordReset;
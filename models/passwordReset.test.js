@@ -0,0 +1,123 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const reset = await PasswordReset.create("u1");
+    expect(reset).toEqual({
+      username: "u1",
+      email: "u1@email.com",
+      token: expect.any(String),
+    });
+
+    const found = await db.query(
+        "SELECT token_hash FROM password_reset_tokens WHERE username = 'u1'");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].token_hash).not.toEqual(reset.token);
+  });
+
+  test("undefined if no such user", async function () {
+    expect(await PasswordReset.create("nope")).toBeUndefined();
+  });
+
+  test("earlier tokens stop working", async function () {
+    const first = await PasswordReset.create("u1");
+    await PasswordReset.create("u1");
+    try {
+      await PasswordReset.consume(first.token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findUser */
+
+describe("findUser", function () {
+  test("works, without using up the token", async function () {
+    const { token } = await PasswordReset.create("u1");
+    expect(await PasswordReset.findUser(token)).toEqual({
+      username: "u1",
+      email: "u1@email.com",
+    });
+    expect(await PasswordReset.consume(token)).toEqual("u1");
+  });
+
+  test("bad request if already used", async function () {
+    const { token } = await PasswordReset.create("u1");
+    await PasswordReset.consume(token);
+    try {
+      await PasswordReset.findUser(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if unknown", async function () {
+    try {
+      await PasswordReset.findUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** consume */
+
+describe("consume", function () {
+  test("works", async function () {
+    const { token } = await PasswordReset.create("u1");
+    expect(await PasswordReset.consume(token)).toEqual("u1");
+  });
+
+  test("bad request if already used", async function () {
+    const { token } = await PasswordReset.create("u1");
+    await PasswordReset.consume(token);
+    try {
+      await PasswordReset.consume(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const { token } = await PasswordReset.create("u1");
+    await db.query(
+        "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await PasswordReset.consume(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if unknown", async function () {
+    try {
+      await PasswordReset.consume("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,151 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const AuditLog = require("./auditLog");
+
+/** Related functions for personal data: everything Jobly holds about a user,
+ *  gathered up for them to take away.
+ *
+ * Secrets are left out (password and key hashes, TOTP secrets, recovery
+ * codes), as are one-off tokens (password reset, email verification, login
+ * states), which say nothing beyond what's already here.
+ */
+
+class PersonalData {
+  /** Gather up a user's data.
+   *
+   * Returns { exportedAt, profile, applications, sessions, apiKeys,
+   *           identities, companyMemberships, auditEntries }
+   *   where profile is { username, firstName, lastName, email, role,
+   *                      isAdmin, emailVerified, totpEnabled }
+   *   applications is [{ jobId, title, companyHandle, companyName, state,
+   *                      appliedAt, history }, ...]
+   *     (including ones to jobs since deleted), and history is
+   *     [{ actor, oldState, newState, note, createdAt }, ...], oldest first
+   *   sessions is [{ id, userAgent, ip, createdAt, lastSeenAt, expiresAt,
+   *                  revokedAt }, ...] (including ended ones)
+   *   apiKeys is [{ id, companyHandle, name, prefix, scopes, createdAt,
+   *                 expiresAt, lastUsedAt, revokedAt }, ...] (likewise)
+   *   identities is [{ issuer, subject, email, createdAt, lastLoginAt }, ...]
+   *   companyMemberships is [{ companyHandle, role }, ...]
+   *   auditEntries are the audit log entries by, on behalf of, or about the
+   *     user (see AuditLog.findForUser)
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async export(username) {
+    const profileRes = await db.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  last_name AS "lastName",
+                  email,
+                  role,
+                  is_admin AS "isAdmin",
+                  email_verified AS "emailVerified",
+                  totp_enabled AS "totpEnabled"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    const profile = profileRes.rows[0];
+
+    if (!profile) throw new NotFoundError(`No user: ${username}`);
+
+    return {
+      exportedAt: new Date(),
+      profile,
+      applications: await PersonalData._applications(username),
+      sessions: await PersonalData._rows(
+            `SELECT id,
+                    user_agent AS "userAgent",
+                    ip,
+                    created_at AS "createdAt",
+                    last_seen_at AS "lastSeenAt",
+                    expires_at AS "expiresAt",
+                    revoked_at AS "revokedAt"
+             FROM sessions
+             WHERE username = $1
+             ORDER BY created_at, id`,
+          username),
+      apiKeys: await PersonalData._rows(
+            `SELECT id,
+                    company_handle AS "companyHandle",
+                    name,
+                    prefix,
+                    scopes,
+                    created_at AS "createdAt",
+                    expires_at AS "expiresAt",
+                    last_used_at AS "lastUsedAt",
+                    revoked_at AS "revokedAt"
+             FROM api_keys
+             WHERE username = $1
+             ORDER BY created_at, id`,
+          username),
+      identities: await PersonalData._rows(
+            `SELECT issuer,
+                    subject,
+                    email,
+                    created_at AS "createdAt",
+                    last_login_at AS "lastLoginAt"
+             FROM user_identities
+             WHERE username = $1
+             ORDER BY created_at, issuer, subject`,
+          username),
+      companyMemberships: await PersonalData._rows(
+            `SELECT company_handle AS "companyHandle", role
+             FROM company_members
+             WHERE username = $1
+             ORDER BY company_handle`,
+          username),
+      auditEntries: await AuditLog.findForUser(username),
+    };
+  }
+
+  /** Return a user's applications, each with its history. */
+
+  static async _applications(username) {
+    const applications = await PersonalData._rows(
+          `SELECT a.job_id AS "jobId",
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  c.name AS "companyName",
+                  a.state,
+                  a.applied_at AS "appliedAt"
+           FROM applications AS a
+           JOIN jobs AS j ON j.id = a.job_id
+           JOIN companies AS c ON c.handle = j.company_handle
+           WHERE a.username = $1
+           ORDER BY a.applied_at, a.job_id`,
+        username);
+
+    const events = await PersonalData._rows(
+          `SELECT job_id AS "jobId",
+                  actor,
+                  old_state AS "oldState",
+                  new_state AS "newState",
+                  note,
+                  created_at AS "createdAt"
+           FROM application_events
+           WHERE username = $1
+           ORDER BY created_at, id`,
+        username);
+
+    return applications.map(a => ({
+      ...a,
+      history: events
+          .filter(e => e.jobId === a.jobId)
+          .map(({ jobId, ...event }) => event),
+    }));
+  }
+
+  /** Run a query about one user; returns its rows. */
+
+  static async _rows(query, username) {
+    const result = await db.query(query, [username]);
+    return result.rows;
+  }
+}
+
+
+module.exports = PersonalData;
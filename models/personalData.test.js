@@ -0,0 +1,115 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const PersonalData = require("./personalData.js");
+const User = require("./user.js");
+const Session = require("./session.js");
+const ApiKey = require("./apiKey.js");
+const CompanyMember = require("./companyMember.js");
+const AuditLog = require("./auditLog.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Return the id of the test job with this title. */
+
+async function idOf(title) {
+  const result = await db.query(`SELECT id FROM jobs WHERE title = $1`, [title]);
+  return result.rows[0].id;
+}
+
+/************************************** export */
+
+describe("export", function () {
+  test("works: new user", async function () {
+    const data = await PersonalData.export("u2");
+    expect(data).toEqual({
+      exportedAt: expect.any(Date),
+      profile: {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        role: "user",
+        isAdmin: false,
+        emailVerified: false,
+        totpEnabled: false,
+      },
+      applications: [],
+      sessions: [],
+      apiKeys: [],
+      identities: [],
+      companyMemberships: [],
+      auditEntries: [],
+    });
+  });
+
+  test("works: everything", async function () {
+    const jobId = await idOf("test");
+    await User.createApplication("u1", jobId);
+    await User.updateApplicationState("u1", jobId, "interviewing", { actor: "u2", note: "Call" });
+    const { id: sessionId } = await Session.create("u1", { userAgent: "Firefox", ip: "10.0.0.1" });
+    await Session.revoke("u1", sessionId);
+    await ApiKey.create("u1", { name: "ats" });
+    await CompanyMember.add("c1", "u1", "recruiter");
+    await db.query(
+        `INSERT INTO user_identities (issuer, subject, username, email)
+         VALUES ('https://idp.test', 'abc', 'u1', 'u1@idp.test')`);
+    await AuditLog.record({ actor: "u1", method: "PATCH", route: "/users/u1" });
+
+    const data = await PersonalData.export("u1");
+    expect(data.applications).toEqual([{
+      jobId,
+      title: "test",
+      companyHandle: "c1",
+      companyName: "C1",
+      state: "interviewing",
+      appliedAt: expect.any(Date),
+      history: [
+        expect.objectContaining({ actor: "u1", oldState: null, newState: "applied" }),
+        expect.objectContaining({ actor: "u2", newState: "interviewing", note: "Call" }),
+      ],
+    }]);
+    expect(data.sessions).toEqual([expect.objectContaining({
+      userAgent: "Firefox",
+      ip: "10.0.0.1",
+      revokedAt: expect.any(Date),
+    })]);
+    expect(data.apiKeys).toEqual([expect.objectContaining({ name: "ats", revokedAt: null })]);
+    expect(data.apiKeys[0]).not.toHaveProperty("keyHash");
+    expect(data.identities).toEqual([expect.objectContaining({
+      issuer: "https://idp.test",
+      subject: "abc",
+    })]);
+    expect(data.companyMemberships).toEqual([{ companyHandle: "c1", role: "recruiter" }]);
+    expect(data.auditEntries.map(e => e.route)).toEqual(["/users/u1"]);
+  });
+
+  test("works: keeps applications to deleted jobs", async function () {
+    const jobId = await idOf("test");
+    await User.createApplication("u1", jobId);
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [jobId]);
+
+    const data = await PersonalData.export("u1");
+    expect(data.applications.map(a => a.jobId)).toEqual([jobId]);
+  });
+
+  test("leaves out secrets", async function () {
+    const data = await PersonalData.export("u1");
+    expect(data.profile).not.toHaveProperty("password");
+    expect(data.profile).not.toHaveProperty("totpSecret");
+  });
+
+  test("not found if no such user", async function () {
+    await expect(PersonalData.export("nope")).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,111 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Refresh tokens are long-lived, single-use tokens a client trades in at
+ * POST /auth/refresh for a new access token (and a new refresh token). Each
+ * belongs to a session (see models/session.js). Only a hash of each token is
+ * stored.
+ */
+
+class RefreshToken {
+  /** Create a new refresh token for a user's session. The session lasts
+   *  until the token expires.
+   *
+   * Returns { refreshToken, expiresAt }
+   *   where refreshToken is the raw token; it is not stored and cannot be
+   *   recovered later.
+   **/
+
+  static async create(username, sessionId) {
+    const refreshToken = createOpaqueToken();
+
+    const result = await db.query(
+          `INSERT INTO refresh_tokens (username, session_id, token_hash, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+           RETURNING expires_at AS "expiresAt"`,
+        [username, sessionId, hashOpaqueToken(refreshToken), REFRESH_TOKEN_EXPIRES_DAYS]);
+    const { expiresAt } = result.rows[0];
+
+    await db.query(
+          `UPDATE sessions SET expires_at = $2 WHERE id = $1`,
+        [sessionId, expiresAt]);
+
+    return { refreshToken, expiresAt };
+  }
+
+  /** Trade in a refresh token: revoke it and issue a new one for the same
+   *  session.
+   *
+   * Returns { user, sessionId, refreshToken, expiresAt }
+   *   where user is { username, role, tokenVersion, totpEnabled }, current
+   *   as of now, ready to be passed to createToken.
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked.
+   **/
+
+  static async rotate(refreshToken) {
+    const result = await db.query(
+          `UPDATE refresh_tokens AS r
+           SET revoked_at = NOW()
+           FROM users AS u
+           WHERE r.token_hash = $1
+             AND r.revoked_at IS NULL
+             AND r.expires_at > NOW()
+             AND u.username = r.username
+             AND u.deleted_at IS NULL
+           RETURNING r.session_id AS "sessionId",
+                     u.username,
+                     u.role,
+                     u.token_version AS "tokenVersion",
+                     u.totp_enabled AS "totpEnabled"`,
+        [hashOpaqueToken(refreshToken)]);
+    const found = result.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid refresh token");
+
+    const { sessionId, ...user } = found;
+    const newToken = await RefreshToken.create(user.username, sessionId);
+    return { user, sessionId, ...newToken };
+  }
+
+  /** Revoke a refresh token, ending its session; returns undefined.
+   *
+   * Revoking an unknown or already revoked token is not an error, so logging
+   * out twice is harmless.
+   **/
+
+  static async revoke(refreshToken) {
+    const result = await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE token_hash = $1 AND revoked_at IS NULL
+           RETURNING session_id AS "sessionId"`,
+        [hashOpaqueToken(refreshToken)]);
+    if (!result.rows[0]) return;
+
+    await db.query(
+          `UPDATE sessions
+           SET revoked_at = NOW()
+           WHERE id = $1 AND revoked_at IS NULL`,
+        [result.rows[0].sessionId]);
+  }
+
+  /** Revoke every refresh token a user holds; returns undefined. */
+
+  static async revokeAll(username) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username]);
+  }
+}
+
+
+module.exports = RefreshToken;
@@ -0,0 +1,169 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const User = require("./user.js");
+const { hashOpaqueToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function newSessionId(username) {
+  const result = await db.query(
+        `INSERT INTO sessions (username, expires_at)
+         VALUES ($1, NOW() + INTERVAL '1 day')
+         RETURNING id`,
+      [username]);
+  return result.rows[0].id;
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: only the hash is stored", async function () {
+    const { refreshToken, expiresAt } = await RefreshToken.create("u1", await newSessionId("u1"));
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const found = await db.query(
+        "SELECT token_hash FROM refresh_tokens WHERE username = 'u1'");
+    expect(found.rows).toEqual([{ token_hash: hashOpaqueToken(refreshToken) }]);
+  });
+
+  test("works: session lasts as long as the token", async function () {
+    const sessionId = await newSessionId("u1");
+    const { expiresAt } = await RefreshToken.create("u1", sessionId);
+
+    const found = await db.query("SELECT expires_at FROM sessions WHERE id = $1", [sessionId]);
+    expect(found.rows[0].expires_at).toEqual(expiresAt);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const { refreshToken } = await RefreshToken.create("u1", await newSessionId("u1"));
+    const result = await RefreshToken.rotate(refreshToken);
+    expect(result).toEqual({
+      user: { username: "u1", role: "user", tokenVersion: 0, totpEnabled: false },
+      sessionId: expect.any(Number),
+      refreshToken: expect.any(String),
+      expiresAt: expect.any(Date),
+    });
+    expect(result.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("works: keeps the session", async function () {
+    const sessionId = await newSessionId("u1");
+    const { refreshToken } = await RefreshToken.create("u1", sessionId);
+    expect((await RefreshToken.rotate(refreshToken)).sessionId).toEqual(sessionId);
+  });
+
+  test("works: returns current role and token version", async function () {
+    const { refreshToken } = await RefreshToken.create("u1", await newSessionId("u1"));
+    await db.query(
+        `UPDATE users SET role = 'admin', token_version = 1 WHERE username = 'u1'`);
+    const { user } = await RefreshToken.rotate(refreshToken);
+    expect(user).toEqual(
+        { username: "u1", role: "admin", tokenVersion: 1, totpEnabled: false });
+  });
+
+  test("unauth after a password change", async function () {
+    const { refreshToken } = await RefreshToken.create("u1", await newSessionId("u1"));
+    await User.update("u1", { password: "new-password" });
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if already used", async function () {
+    const { refreshToken } = await RefreshToken.create("u1", await newSessionId("u1"));
+    await RefreshToken.rotate(refreshToken);
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    const { refreshToken } = await RefreshToken.create("u1", await newSessionId("u1"));
+    await db.query("UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'");
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if the user is deleted", async function () {
+    const { refreshToken } = await RefreshToken.create("u1", await newSessionId("u1"));
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { refreshToken } = await RefreshToken.create("u1", await newSessionId("u1"));
+    await RefreshToken.revoke(refreshToken);
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("works: ends the session", async function () {
+    const sessionId = await newSessionId("u1");
+    const { refreshToken } = await RefreshToken.create("u1", sessionId);
+    await RefreshToken.revoke(refreshToken);
+
+    const found = await db.query("SELECT revoked_at FROM sessions WHERE id = $1", [sessionId]);
+    expect(found.rows[0].revoked_at).toEqual(expect.any(Date));
+  });
+
+  test("works: unknown token is ignored", async function () {
+    await RefreshToken.revoke("nope");
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works", async function () {
+    const first = await RefreshToken.create("u1", await newSessionId("u1"));
+    const second = await RefreshToken.create("u1", await newSessionId("u1"));
+    const other = await RefreshToken.create("u2", await newSessionId("u2"));
+    await RefreshToken.revokeAll("u1");
+
+    for (let { refreshToken } of [first, second]) {
+      try {
+        await RefreshToken.rotate(refreshToken);
+        fail();
+      } catch (err) {
+        expect(err instanceof UnauthorizedError).toBeTruthy();
+      }
+    }
+    const { user } = await RefreshToken.rotate(other.refreshToken);
+    expect(user.username).toEqual("u2");
+  });
+});
@@ -0,0 +1,51 @@
+"use strict";
+
+const db = require("../db");
+const { startsWithPattern } = require("../helpers/search");
+
+/** Related functions for searching across companies and jobs. */
+
+class Search {
+  /** Suggest company names and job titles for what a user has typed so far,
+   *  for type-ahead.
+   *
+   * Names and titles starting with prefix come first, then ones with a word
+   * close to it (allowing for typos; see helpers/search.js), most similar
+   * first. Each job title is suggested once, however many jobs have it.
+   *
+   * Returns [{ type: "company", text, handle }
+   *          or { type: "job", text }, ...], at most limit of them
+   **/
+
+  static async suggest(prefix, { limit = 10 } = {}) {
+    const result = await db.query(
+          `SELECT type, text, handle
+           FROM (
+             SELECT 'company' AS type,
+                    name AS text,
+                    handle
+             FROM companies
+             WHERE deleted_at IS NULL
+               AND (name ILIKE $2 OR $1 <% name)
+             UNION
+             SELECT 'job', j.title, NULL
+             FROM jobs AS j
+             JOIN companies AS c ON c.handle = j.company_handle
+             WHERE j.deleted_at IS NULL
+               AND c.deleted_at IS NULL
+               AND (j.title ILIKE $2 OR $1 <% j.title)
+           ) AS suggestions
+           ORDER BY text ILIKE $2 DESC,
+                    word_similarity($1, text) DESC,
+                    text,
+                    type
+           LIMIT $3`,
+        [prefix, startsWithPattern(prefix), limit]);
+
+    return result.rows.map(({ type, text, handle }) =>
+        type === "company" ? { type, text, handle } : { type, text });
+  }
+}
+
+
+module.exports = Search;
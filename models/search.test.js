@@ -0,0 +1,52 @@
+"use strict";
+
+const db = require("../db.js");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** suggest */
+
+describe("suggest", function () {
+  beforeEach(async function () {
+    await db.query(`UPDATE companies SET name = 'Anderson Group' WHERE handle = 'c1'`);
+    await db.query(`UPDATE companies SET name = 'Andes Mining' WHERE handle = 'c2'`);
+    await db.query(`UPDATE jobs SET title = 'Android Developer' WHERE title IN ('test2', 'test3')`);
+  });
+
+  test("works: prefix matches first, jobs once per title", async function () {
+    const suggestions = await Search.suggest("and");
+    expect(suggestions).toEqual([
+      { type: "company", text: "Anderson Group", handle: "c1" },
+      { type: "company", text: "Andes Mining", handle: "c2" },
+      { type: "job", text: "Android Developer" },
+    ]);
+  });
+
+  test("works: tolerates typos", async function () {
+    const suggestions = await Search.suggest("andersen");
+    expect(suggestions[0]).toEqual({ type: "company", text: "Anderson Group", handle: "c1" });
+  });
+
+  test("works: limit", async function () {
+    expect(await Search.suggest("and", { limit: 1 })).toHaveLength(1);
+  });
+
+  test("works: wildcards are literal", async function () {
+    expect(await Search.suggest("%")).toEqual([]);
+  });
+
+  test("leaves out deleted companies and their jobs", async function () {
+    await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle IN ('c1', 'c2')`);
+    expect(await Search.suggest("and")).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const RefreshToken = require("./refreshToken");
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require("../config");
+
+/** Related functions for sessions.
+ *
+ * A session is one login on one device: it starts when the user logs in and
+ * lasts across refreshes, for as long as its refresh tokens do. Access tokens
+ * carry the id of their session (sid), so revoking a session logs that device
+ * out straight away.
+ */
+
+class Session {
+  /** Start a session for a user, with its first refresh token.
+   *
+   * Returns { id, refreshToken, expiresAt }
+   **/
+
+  static async create(username, { userAgent = null, ip = null } = {}) {
+    const result = await db.query(
+          `INSERT INTO sessions (username, user_agent, ip, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+           RETURNING id`,
+        [username, userAgent, ip, REFRESH_TOKEN_EXPIRES_DAYS]);
+    const { id } = result.rows[0];
+
+    const { refreshToken, expiresAt } = await RefreshToken.create(username, id);
+    return { id, refreshToken, expiresAt };
+  }
+
+  /** Find a user's active sessions, most recently seen first.
+   *
+   * Returns [{ id, userAgent, ip, createdAt, lastSeenAt, expiresAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT id,
+                  user_agent AS "userAgent",
+                  ip,
+                  created_at AS "createdAt",
+                  last_seen_at AS "lastSeenAt",
+                  expires_at AS "expiresAt"
+           FROM sessions
+           WHERE username = $1
+             AND revoked_at IS NULL
+             AND expires_at > NOW()
+           ORDER BY last_seen_at DESC, id DESC`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Record that a session was just used, from `ip`.
+   *
+   * Returns true if the session is the user's and still active, else false.
+   *
+   * Used by authenticateJWT to reject access tokens from revoked sessions.
+   **/
+
+  static async touch(id, username, ip = null) {
+    const result = await db.query(
+          `UPDATE sessions
+           SET last_seen_at = NOW(), ip = COALESCE($3, ip)
+           WHERE id = $1
+             AND username = $2
+             AND revoked_at IS NULL
+             AND expires_at > NOW()
+           RETURNING id`,
+        [id, username, ip]);
+
+    return result.rows.length > 0;
+  }
+
+  /** Revoke one of a user's sessions, and its refresh tokens; returns
+   *  undefined.
+   *
+   * Throws NotFoundError if the user has no such (active) session.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+          `UPDATE sessions
+           SET revoked_at = NOW()
+           WHERE id = $1
+             AND username = $2
+             AND revoked_at IS NULL
+             AND expires_at > NOW()
+           RETURNING id`,
+        [id, username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No session: ${id}`);
+
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE session_id = $1 AND revoked_at IS NULL`,
+        [id]);
+  }
+
+  /** Log a user out everywhere: revoke all their sessions and refresh tokens,
+   *  and every access token issued so far (including any without a session);
+   *  returns undefined.
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async revokeAll(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET token_version = token_version + 1
+           WHERE username = $1
+           RETURNING username`,
+        [username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+          `UPDATE sessions
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username]);
+    await RefreshToken.revokeAll(username);
+  }
+}
+
+
+module.exports = Session;
@@ -0,0 +1,166 @@
+"use strict";
+
+const { NotFoundError, UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const Session = require("./session.js");
+const RefreshToken = require("./refreshToken.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const session = await Session.create("u1", { userAgent: "curl/8.0", ip: "10.0.0.1" });
+    expect(session).toEqual({
+      id: expect.any(Number),
+      refreshToken: expect.any(String),
+      expiresAt: expect.any(Date),
+    });
+
+    const { user, sessionId } = await RefreshToken.rotate(session.refreshToken);
+    expect(user.username).toEqual("u1");
+    expect(sessionId).toEqual(session.id);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const first = await Session.create("u1", { userAgent: "curl/8.0", ip: "10.0.0.1" });
+    const second = await Session.create("u1");
+    await Session.create("u2");
+    await db.query("UPDATE sessions SET last_seen_at = NOW() + INTERVAL '1 minute' WHERE id = $1",
+        [first.id]);
+
+    const sessions = await Session.findAll("u1");
+    expect(sessions).toEqual([
+      {
+        id: first.id,
+        userAgent: "curl/8.0",
+        ip: "10.0.0.1",
+        createdAt: expect.any(Date),
+        lastSeenAt: expect.any(Date),
+        expiresAt: first.expiresAt,
+      },
+      {
+        id: second.id,
+        userAgent: null,
+        ip: null,
+        createdAt: expect.any(Date),
+        lastSeenAt: expect.any(Date),
+        expiresAt: second.expiresAt,
+      },
+    ]);
+  });
+
+  test("leaves out revoked and expired sessions", async function () {
+    const revoked = await Session.create("u1");
+    await Session.revoke("u1", revoked.id);
+    const expired = await Session.create("u1");
+    await db.query("UPDATE sessions SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1",
+        [expired.id]);
+
+    expect(await Session.findAll("u1")).toEqual([]);
+  });
+});
+
+/************************************** touch */
+
+describe("touch", function () {
+  test("works, and records ip", async function () {
+    const { id } = await Session.create("u1", { ip: "10.0.0.1" });
+    expect(await Session.touch(id, "u1", "10.0.0.2")).toEqual(true);
+
+    const [session] = await Session.findAll("u1");
+    expect(session.ip).toEqual("10.0.0.2");
+  });
+
+  test("false for another user's session", async function () {
+    const { id } = await Session.create("u1");
+    expect(await Session.touch(id, "u2")).toEqual(false);
+  });
+
+  test("false if revoked", async function () {
+    const { id } = await Session.create("u1");
+    await Session.revoke("u1", id);
+    expect(await Session.touch(id, "u1")).toEqual(false);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works: refresh token can no longer be used", async function () {
+    const { id, refreshToken } = await Session.create("u1");
+    await Session.revoke("u1", id);
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("not found if another user's session", async function () {
+    const { id } = await Session.create("u1");
+    try {
+      await Session.revoke("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if already revoked", async function () {
+    const { id } = await Session.create("u1");
+    await Session.revoke("u1", id);
+    try {
+      await Session.revoke("u1", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works", async function () {
+    const { refreshToken } = await Session.create("u1");
+    await Session.create("u1");
+    const other = await Session.create("u2");
+    await Session.revokeAll("u1");
+
+    expect(await Session.findAll("u1")).toEqual([]);
+    expect((await Session.findAll("u2")).map(s => s.id)).toEqual([other.id]);
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Session.revokeAll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
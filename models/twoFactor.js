@@ -0,0 +1,211 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} = require("../expressError");
+const { hashOpaqueToken } = require("../helpers/tokens");
+const { isStaff } = require("../helpers/scopes");
+const { generateSecret, verifyTotp, otpauthUri } = require("../helpers/totp");
+const { TOTP_ISSUER } = require("../config");
+
+const RECOVERY_CODE_COUNT = 10;
+
+/** Return a new recovery code, like "3f9a1-c07b2". */
+
+function generateRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString("hex");
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+/** Recovery codes are accepted with or without the dash, in any case. */
+
+function normalizeRecoveryCode(code) {
+  const hex = code.toLowerCase().replace(/[^0-9a-f]/g, "");
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+/** Related functions for two-factor authentication (TOTP).
+ *
+ * Enrolment is two steps: setup stores a new secret for the user to add to
+ * their authenticator app, then enable turns 2FA on once they've proved it
+ * works by sending a code. Enabling also hands out single-use recovery codes
+ * for when the app isn't available. Only hashes of recovery codes are stored.
+ */
+
+class TwoFactor {
+  /** Start 2FA enrolment for a user, replacing any earlier unfinished one.
+   *
+   * Returns { secret, otpauthUri }
+   *
+   * Throws NotFoundError if no such user,
+   *   BadRequestError if 2FA is already enabled.
+   **/
+
+  static async setup(username) {
+    const user = await TwoFactor._getUser(username);
+    if (user.totpEnabled) {
+      throw new BadRequestError("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    await db.query(
+          `UPDATE users
+           SET totp_secret = $1
+           WHERE username = $2`,
+        [secret, username]);
+
+    return {
+      secret,
+      otpauthUri: otpauthUri({ secret, account: username, issuer: TOTP_ISSUER }),
+    };
+  }
+
+  /** Finish enrolment with a code from the authenticator app.
+   *
+   * Returns { recoveryCodes }
+   *
+   * Throws NotFoundError if no such user,
+   *   BadRequestError if already enabled, not set up or the code is wrong.
+   **/
+
+  static async enable(username, code) {
+    const user = await TwoFactor._getUser(username);
+    if (user.totpEnabled) {
+      throw new BadRequestError("Two-factor authentication is already enabled");
+    }
+    if (!user.totpSecret) {
+      throw new BadRequestError("Two-factor authentication has not been set up");
+    }
+
+    const step = verifyTotp(user.totpSecret, code);
+    if (step === null) throw new BadRequestError("Invalid 2FA code");
+
+    await db.query(
+          `UPDATE users
+           SET totp_enabled = TRUE,
+               totp_last_step = $1
+           WHERE username = $2`,
+        [step, username]);
+
+    const recoveryCodes = await TwoFactor._replaceRecoveryCodes(username);
+    return { recoveryCodes };
+  }
+
+  /** Check a 2FA code for a user: either a code from their authenticator app
+   *  or one of their unused recovery codes. Each code only works once.
+   *
+   * Returns true if the code is good, false otherwise (including if the user
+   * doesn't exist or hasn't enabled 2FA).
+   **/
+
+  static async verify(username, code) {
+    const result = await db.query(
+          `SELECT totp_secret AS "totpSecret"
+           FROM users
+           WHERE username = $1 AND totp_enabled`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) return false;
+
+    const step = verifyTotp(user.totpSecret, code);
+    if (step !== null) {
+      // only a later time step counts, so a code can't be replayed
+      const stepRes = await db.query(
+            `UPDATE users
+             SET totp_last_step = $1
+             WHERE username = $2
+               AND (totp_last_step IS NULL OR totp_last_step < $1)
+             RETURNING username`,
+          [step, username]);
+      return stepRes.rows.length > 0;
+    }
+
+    const codeRes = await db.query(
+          `UPDATE recovery_codes
+           SET used_at = NOW()
+           WHERE username = $1
+             AND code_hash = $2
+             AND used_at IS NULL
+           RETURNING id`,
+        [username, hashOpaqueToken(normalizeRecoveryCode(code))]);
+    return codeRes.rows.length > 0;
+  }
+
+  /** Turn off 2FA for a user, given a current 2FA code.
+   *
+   * options can include { requireAdmin2fa }, which stops staff (see
+   * helpers/scopes.js) turning it off.
+   *
+   * Returns undefined.
+   *
+   * Throws NotFoundError if no such user,
+   *   BadRequestError if 2FA is not enabled or the code is wrong,
+   *   ForbiddenError if requireAdmin2fa and the user is staff.
+   **/
+
+  static async disable(username, code, { requireAdmin2fa = false } = {}) {
+    const user = await TwoFactor._getUser(username);
+    if (!user.totpEnabled) {
+      throw new BadRequestError("Two-factor authentication is not enabled");
+    }
+    if (requireAdmin2fa && isStaff(user.role)) {
+      throw new ForbiddenError("Staff must keep two-factor authentication enabled");
+    }
+    if (!await TwoFactor.verify(username, code)) {
+      throw new BadRequestError("Invalid 2FA code");
+    }
+
+    await db.query(
+          `UPDATE users
+           SET totp_secret = NULL,
+               totp_enabled = FALSE,
+               totp_last_step = NULL
+           WHERE username = $1`,
+        [username]);
+    await db.query(
+          `DELETE FROM recovery_codes WHERE username = $1`,
+        [username]);
+  }
+
+  /** Return a user's 2FA state; throws NotFoundError if no such user. */
+
+  static async _getUser(username) {
+    const result = await db.query(
+          `SELECT username,
+                  role,
+                  totp_secret AS "totpSecret",
+                  totp_enabled AS "totpEnabled"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user;
+  }
+
+  /** Replace a user's recovery codes with new ones; returns the raw codes. */
+
+  static async _replaceRecoveryCodes(username) {
+    await db.query(
+          `DELETE FROM recovery_codes WHERE username = $1`,
+        [username]);
+
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    await db.query(
+          `INSERT INTO recovery_codes (username, code_hash)
+           SELECT $1, unnest($2::text[])`,
+        [username, codes.map(hashOpaqueToken)]);
+
+    return codes;
+  }
+}
+
+
+module.exports = TwoFactor;
@@ -0,0 +1,201 @@
+"use strict";
+
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+} = require("../expressError");
+const db = require("../db.js");
+const TwoFactor = require("./twoFactor.js");
+const User = require("./user.js");
+const { totp } = require("../helpers/totp");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Set up and enable 2FA for a user; returns { secret, recoveryCodes }. */
+
+async function enable2fa(username) {
+  const { secret } = await TwoFactor.setup(username);
+  const { recoveryCodes } = await TwoFactor.enable(username, totp(secret));
+  return { secret, recoveryCodes };
+}
+
+/** A code from the next time step, so it isn't a replay of the one used to
+ *  enable 2FA. */
+
+function nextCode(secret) {
+  return totp(secret, Date.now() + 30 * 1000);
+}
+
+/************************************** setup */
+
+describe("setup", function () {
+  test("works", async function () {
+    const { secret, otpauthUri } = await TwoFactor.setup("u1");
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(otpauthUri).toEqual(expect.stringContaining(`secret=${secret}`));
+    expect(otpauthUri).toEqual(expect.stringContaining("Jobly%3Au1"));
+
+    const found = await db.query(
+        "SELECT totp_secret, totp_enabled FROM users WHERE username = 'u1'");
+    expect(found.rows[0]).toEqual({ totp_secret: secret, totp_enabled: false });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await TwoFactor.setup("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request if already enabled", async function () {
+    await enable2fa("u1");
+    try {
+      await TwoFactor.setup("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** enable */
+
+describe("enable", function () {
+  test("works", async function () {
+    const { secret } = await TwoFactor.setup("u1");
+    const result = await TwoFactor.enable("u1", totp(secret));
+    expect(result).toEqual({ recoveryCodes: expect.any(Array) });
+    expect(result.recoveryCodes.length).toEqual(10);
+    for (let code of result.recoveryCodes) {
+      expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    }
+
+    const found = await db.query(
+        "SELECT code_hash FROM recovery_codes WHERE username = 'u1'");
+    expect(found.rows.length).toEqual(10);
+    expect(found.rows.map(r => r.code_hash)).not.toContain(result.recoveryCodes[0]);
+  });
+
+  test("bad request with wrong code", async function () {
+    await TwoFactor.setup("u1");
+    try {
+      await TwoFactor.enable("u1", "000000");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if not set up", async function () {
+    try {
+      await TwoFactor.enable("u1", "123456");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works: authenticator code", async function () {
+    const { secret } = await enable2fa("u1");
+    expect(await TwoFactor.verify("u1", nextCode(secret))).toEqual(true);
+  });
+
+  test("authenticator codes can't be replayed", async function () {
+    const { secret } = await enable2fa("u1");
+    const code = nextCode(secret);
+    await TwoFactor.verify("u1", code);
+    expect(await TwoFactor.verify("u1", code)).toEqual(false);
+  });
+
+  test("works: recovery code, once", async function () {
+    const { recoveryCodes } = await enable2fa("u1");
+    expect(await TwoFactor.verify("u1", recoveryCodes[0].toUpperCase())).toEqual(true);
+    expect(await TwoFactor.verify("u1", recoveryCodes[0])).toEqual(false);
+    expect(await TwoFactor.verify("u1", recoveryCodes[1])).toEqual(true);
+  });
+
+  test("false with wrong code", async function () {
+    await enable2fa("u1");
+    expect(await TwoFactor.verify("u1", "000000")).toEqual(false);
+    expect(await TwoFactor.verify("u1", "nope")).toEqual(false);
+  });
+
+  test("false if 2FA not enabled", async function () {
+    const { secret } = await TwoFactor.setup("u1");
+    expect(await TwoFactor.verify("u1", totp(secret))).toEqual(false);
+    expect(await TwoFactor.verify("nope", "123456")).toEqual(false);
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    const { secret } = await enable2fa("u1");
+    await TwoFactor.disable("u1", nextCode(secret));
+
+    const found = await db.query(
+        "SELECT totp_secret, totp_enabled FROM users WHERE username = 'u1'");
+    expect(found.rows[0]).toEqual({ totp_secret: null, totp_enabled: false });
+    const codes = await db.query(
+        "SELECT id FROM recovery_codes WHERE username = 'u1'");
+    expect(codes.rows.length).toEqual(0);
+  });
+
+  test("bad request with wrong code", async function () {
+    await enable2fa("u1");
+    try {
+      await TwoFactor.disable("u1", "000000");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if not enabled", async function () {
+    try {
+      await TwoFactor.disable("u1", "123456");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("forbidden for admins when 2FA is required", async function () {
+    await User.update("u1", { isAdmin: true });
+    const { secret } = await enable2fa("u1");
+    try {
+      await TwoFactor.disable("u1", nextCode(secret), { requireAdmin2fa: true });
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("forbidden for other staff when 2FA is required", async function () {
+    await User.update("u1", { role: "support" });
+    const { secret } = await enable2fa("u1");
+    try {
+      await TwoFactor.disable("u1", nextCode(secret), { requireAdmin2fa: true });
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+});
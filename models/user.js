@@ -1,5 +1,6 @@
 "use strict";
 
+const crypto = require("crypto");
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
@@ -7,16 +8,62 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
-
-/** Related functions for users. */
+const { BCRYPT_WORK_FACTOR, ACCOUNT_DELETION_GRACE_DAYS } = require("../config.js");
+const ApplicationEvent = require("./applicationEvent");
+const Session = require("./session");
+const { checkPassword } = require("../helpers/passwordPolicy");
+const { findPage } = require("../helpers/listQuery");
+const { transaction } = require("../helpers/transaction");
+const {
+  INITIAL_APPLICATION_STATES,
+  validateTransition,
+} = require("../helpers/applicationStates");
+
+/** Tables of a user's personal data that anonymising them clears out. */
+
+const PERSONAL_DATA_TABLES = [
+  "refresh_tokens",
+  "sessions",
+  "api_keys",
+  "user_identities",
+  "recovery_codes",
+  "password_reset_tokens",
+  "email_verification_tokens",
+  "company_members",
+];
+
+/** PostgreSQL's error code for a duplicate key. */
+
+const UNIQUE_VIOLATION = "23505";
+
+/** What GET /users can sort by, and the SQL for each. */
+
+const USER_SORTABLE = {
+  username: "username",
+  firstName: "first_name",
+  lastName: "last_name",
+  email: "email",
+};
+
+/** Related functions for users.
+ *
+ * Removing a user only marks them deleted (deleted_at): they can't log in and
+ * are hidden everywhere until they're restored or purged. Their username
+ * stays taken.
+ *
+ * Users can also ask for their account to be deleted after a grace period
+ * (see scheduleDeletion); then it is anonymised, leaving a tombstone user
+ * that keeps their applications for companies' records.
+ */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, role, isAdmin,
+   *           tokenVersion, totpEnabled }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -29,9 +76,12 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  role,
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion",
+                  totp_enabled AS "totpEnabled"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -51,13 +101,22 @@ class User {
 
   /** Register user with data.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * role is one of the roles in helpers/scopes.js, "user" by default;
+   * isAdmin is a shorthand for it (true for "admin", false for "user").
+   *
+   * options can include { checkPasswordPolicy }, false for passwords the
+   * server generates rather than the user chooses (see
+   * UserIdentity._provision); true by default.
+   *
+   * Returns { username, firstName, lastName, email, role, isAdmin }
    *
-   * Throws BadRequestError on duplicates.
+   * Throws BadRequestError on duplicates, or if the password doesn't meet the
+   * password policy (see helpers/passwordPolicy.js).
    **/
 
   static async register(
-      { username, password, firstName, lastName, email, isAdmin }) {
+      { username, password, firstName, lastName, email, role, isAdmin },
+      { checkPasswordPolicy = true } = {}) {
     const duplicateCheck = await db.query(
           `SELECT username
            FROM users
@@ -69,6 +128,7 @@ class User {
       throw new BadRequestError(`Duplicate username: ${username}`);
     }
 
+    if (checkPasswordPolicy) checkPassword(password, { username, email });
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
     const result = await db.query(
@@ -78,16 +138,16 @@ class User {
             first_name,
             last_name,
             email,
-            is_admin)
+            role)
            VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
+           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, role, is_admin AS "isAdmin"`,
         [
           username,
           hashedPassword,
           firstName,
           lastName,
           email,
-          isAdmin,
+          User._roleFrom({ role, isAdmin }) || "user",
         ],
     );
 
@@ -96,29 +156,42 @@ class User {
     return user;
   }
 
-  /** Find all users.
+  /** Find all users, a page at a time.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * listOptions choose the page and its sort (by username, firstName,
+   * lastName or email); see helpers/listQuery.js.
+   *
+   * Returns { users: [{ username, firstName, lastName, email, role, isAdmin }, ...],
+   *           total, next, prev }
+   *   where total counts all the users, and next and prev are the list
+   *   options for the pages either side
    **/
 
-  static async findAll() {
-    const result = await db.query(
-          `SELECT username,
-                  first_name AS "firstName",
-                  last_name AS "lastName",
-                  email,
-                  is_admin AS "isAdmin"
-           FROM users
-           ORDER BY username`,
-    );
-
-    return result.rows;
+  static async findAll(listOptions = {}) {
+    const { rows, ...pageInfo } = await findPage({
+      columns: `username,
+                first_name AS "firstName",
+                last_name AS "lastName",
+                email,
+                role,
+                is_admin AS "isAdmin"`,
+      from: "FROM users",
+      where: ["deleted_at IS NULL"],
+      values: [],
+      sortable: USER_SORTABLE,
+      order: [],
+      key: "username",
+    }, listOptions);
+
+    return { users: rows, ...pageInfo };
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   * Returns { username, first_name, last_name, role, is_admin, emailVerified,
+   *           deletionScheduledFor, applications, jobs }
+   *   where applications is [jobId, ...]
+   *   and jobs is [{ id, title, companyHandle, companyName, state }, ...]
    *
    * Throws NotFoundError if user not found.
    **/
@@ -129,9 +202,12 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  role,
+                  is_admin AS "isAdmin",
+                  email_verified AS "emailVerified",
+                  deletion_scheduled_for AS "deletionScheduledFor"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -140,11 +216,22 @@ class User {
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
     const userApplicationsRes = await db.query(
-      `SELECT a.job_id
-       FROM applications AS a
-       WHERE a.username = $1`, [username]);
-
-    user.applications = userApplicationsRes.rows.map(a => a.job_id);
+          `SELECT a.job_id AS "id",
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  c.name AS "companyName",
+                  a.state
+           FROM applications AS a
+           JOIN jobs AS j ON j.id = a.job_id
+           JOIN companies AS c ON c.handle = j.company_handle
+           WHERE a.username = $1
+             AND j.deleted_at IS NULL
+             AND c.deleted_at IS NULL
+           ORDER BY a.job_id`,
+        [username]);
+
+    user.applications = userApplicationsRes.rows.map(a => a.id);
+    user.jobs = userApplicationsRes.rows;
 
     return user;
   }
@@ -155,11 +242,18 @@ class User {
    * all the fields; this only changes provided ones.
    *
    * Data can include:
-   *   { firstName, lastName, password, email, isAdmin }
+   *   { firstName, lastName, password, email, role, isAdmin }
+   *   where isAdmin is a shorthand for role, as for register.
+   *
+   * Returns { username, firstName, lastName, email, role, isAdmin }
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Throws NotFoundError if not found, or BadRequestError if a new password
+   * doesn't meet the password policy.
    *
-   * Throws NotFoundError if not found.
+   * Changing password or role logs the user out everywhere (see
+   * Session.revokeAll): access tokens issued before the change stop working,
+   * and their refresh tokens can't be traded in for new ones. Changing email
+   * marks the new address as unverified.
    *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
@@ -167,7 +261,17 @@ class User {
    */
 
   static async update(username, data) {
-    if (data.password) {
+    const { isAdmin, ...rest } = data;
+    data = rest;
+    const role = User._roleFrom({ role: data.role, isAdmin });
+    if (role !== undefined) data.role = role;
+
+    const invalidatesTokens = data.password !== undefined
+        || data.role !== undefined;
+
+    if (data.password !== undefined) {
+      const email = data.email || await User._getEmail(username);
+      checkPassword(data.password, { username, email });
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
 
@@ -176,72 +280,467 @@ class User {
         {
           firstName: "first_name",
           lastName: "last_name",
-          isAdmin: "is_admin",
         });
     const usernameVarIdx = "$" + (values.length + 1);
+    // SET expressions see the row as it was, so this keeps email_verified
+    // only if the email didn't actually change
+    const emailIdx = Object.keys(data).indexOf("email") + 1;
+    const emailVerifiedSql = emailIdx
+        ? `, email_verified = (email_verified AND email = $${emailIdx})`
+        : "";
 
     const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
+                      SET ${setCols}${emailVerifiedSql} 
+                      WHERE username = ${usernameVarIdx} AND deleted_at IS NULL
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
                                 email,
+                                role,
                                 is_admin AS "isAdmin"`;
     const result = await db.query(querySql, [...values, username]);
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (invalidatesTokens) await Session.revokeAll(username);
 
     delete user.password;
     return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Return the role given as { role, isAdmin } (isAdmin being shorthand
+   *  for "admin" or "user"), or undefined if neither is. */
+
+  static _roleFrom({ role, isAdmin }) {
+    if (role !== undefined) return role;
+    if (isAdmin !== undefined) return isAdmin ? "admin" : "user";
+    return undefined;
+  }
+
+  /** Return a user's email; throws NotFoundError if no such user. */
+
+  static async _getEmail(username) {
+    const result = await db.query(
+          `SELECT email FROM users WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    return user.email;
+  }
+
+  /** Given a username, return the user's current token version, or
+   *  undefined if there is no such user (or they are deleted).
+   *
+   * Used by authenticateJWT to reject tokens issued before a user was changed
+   * or deleted.
+   **/
+
+  static async getTokenVersion(username) {
+    const result = await db.query(
+          `SELECT token_version AS "tokenVersion"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    const user = result.rows[0];
+
+    return user && user.tokenVersion;
+  }
+
+  /** Delete given user; returns undefined.
+   *
+   * The user is only marked deleted, so they can be restored, and logged out
+   * everywhere; their applications are kept, hidden along with them.
+   *
+   * Throws NotFoundError if user not found.
+   **/
 
   static async remove(username) {
     let result = await db.query(
+          `UPDATE users
+           SET deleted_at = NOW()
+           WHERE username = $1 AND deleted_at IS NULL
+           RETURNING username`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await Session.revokeAll(username);
+  }
+
+  /** Restore a deleted user; returns undefined. They'll need to log in
+   *  again.
+   *
+   * Throws NotFoundError if there is no such deleted user (anonymised users
+   * can't be restored).
+   **/
+
+  static async restore(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET deleted_at = NULL
+           WHERE username = $1
+             AND deleted_at IS NOT NULL
+             AND anonymised_at IS NULL
+           RETURNING username`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+  }
+
+  /** Delete a deleted user from the database for good, with their
+   *  applications, sessions and keys; returns undefined.
+   *
+   * Throws NotFoundError if there is no such deleted user.
+   **/
+
+  static async purge(username) {
+    const result = await db.query(
           `DELETE
            FROM users
+           WHERE username = $1 AND deleted_at IS NOT NULL
+           RETURNING username`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+  }
+
+  /** Schedule a user's account to be anonymised once the grace period
+   *  (ACCOUNT_DELETION_GRACE_DAYS) is over. Asking again doesn't push the
+   *  date back.
+   *
+   * Returns { scheduledFor }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async scheduleDeletion(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET deletion_scheduled_for = COALESCE(
+                 deletion_scheduled_for, NOW() + make_interval(days => $2))
+           WHERE username = $1 AND deleted_at IS NULL
+           RETURNING deletion_scheduled_for AS "scheduledFor"`,
+        [username, ACCOUNT_DELETION_GRACE_DAYS]);
+    const deletion = result.rows[0];
+
+    if (!deletion) throw new NotFoundError(`No user: ${username}`);
+
+    return deletion;
+  }
+
+  /** Cancel a user's scheduled deletion; returns undefined.
+   *
+   * Throws NotFoundError if user not found or no deletion is scheduled.
+   **/
+
+  static async cancelDeletion(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET deletion_scheduled_for = NULL
            WHERE username = $1
+             AND deleted_at IS NULL
+             AND deletion_scheduled_for IS NOT NULL
            RETURNING username`,
-        [username],
-    );
+        [username]);
     const user = result.rows[0];
 
+    if (!user) throw new NotFoundError(`No deletion scheduled for: ${username}`);
+  }
+
+  /** Anonymise every user whose grace period is over; returns how many were.
+   *
+   * Run regularly (server.js does, hourly).
+   **/
+
+  static async anonymiseDue() {
+    const result = await db.query(
+          `SELECT username
+           FROM users
+           WHERE deletion_scheduled_for <= NOW() AND anonymised_at IS NULL`);
+
+    for (let { username } of result.rows) {
+      await User.anonymise(username);
+    }
+    return result.rows.length;
+  }
+
+  /** Anonymise a user, leaving a tombstone.
+   *
+   * Their personal data (sessions, keys, linked identities, memberships,
+   * etc.) is deleted, and the user is renamed to a random "deleted-..."
+   * username, with their name, email and password cleared and marked
+   * deleted. Their applications, and the history of them, stay with the
+   * tombstone, so companies still see them (as from "Deleted User").
+   *
+   * Mail sent to them is deleted, and elsewhere in the outbox and the audit
+   * log their username is replaced by the tombstone's (the audit log keeps
+   * who did what and when, but not the before/after of changes to them).
+   *
+   * It all happens in one transaction: nothing changes if any of it fails.
+   *
+   * Returns the tombstone's username.
+   *
+   * Throws NotFoundError if user not found (or already anonymised).
+   **/
+
+  static async anonymise(username) {
+    return await transaction(client => User._anonymise(username, client));
+  }
+
+  /** Anonymise a user (see anonymise), sending the queries on client. */
+
+  static async _anonymise(username, client) {
+    const tombstone = `deleted-${crypto.randomBytes(8).toString("hex")}`;
+
+    const userRes = await client.query(
+          `SELECT email
+           FROM users
+           WHERE username = $1 AND anonymised_at IS NULL
+           FOR UPDATE`,
+        [username]);
+    const user = userRes.rows[0];
+
     if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    for (let table of PERSONAL_DATA_TABLES) {
+      await client.query(`DELETE FROM ${table} WHERE username = $1`, [username]);
+    }
+    await client.query(
+          `DELETE FROM login_failures WHERE scope = 'username' AND key = $1`,
+        [username]);
+    await client.query(
+          `UPDATE application_events SET actor = $2 WHERE actor = $1`,
+        [username, tombstone]);
+    await User._scrubMail(username, user.email, tombstone, client);
+    await User._scrubAuditLog(username, tombstone, client);
+
+    // renaming cascades to the user's applications and their events
+    const result = await client.query(
+          `UPDATE users
+           SET username = $2,
+               password = '',
+               first_name = 'Deleted',
+               last_name = 'User',
+               email = $3,
+               role = 'user',
+               email_verified = FALSE,
+               token_version = token_version + 1,
+               totp_secret = NULL,
+               totp_enabled = FALSE,
+               totp_last_step = NULL,
+               deletion_scheduled_for = NULL,
+               anonymised_at = NOW(),
+               deleted_at = COALESCE(deleted_at, NOW())
+           WHERE username = $1 AND anonymised_at IS NULL
+           RETURNING username`,
+        [username, tombstone, `${tombstone}@deleted.invalid`]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    return tombstone;
   }
 
-  /**
-   * 
-   * 
-   */
-  static async createApplication(username, jobId) {
-    let user = await db.query(
-      `SELECT username 
-      FROM users
-      WHERE username=$1`, [username]
-    )
+  /** Delete mail sent to email, and replace username with tombstone in the
+   *  rest of the outbox, on client; returns undefined. */
+
+  static async _scrubMail(username, email, tombstone, client) {
+    await client.query(`DELETE FROM mail_outbox WHERE recipient = $1`, [email]);
+
+    const escaped = username.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const word = new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`, "g");
+    const mailRes = await client.query(
+          `SELECT id, body FROM mail_outbox WHERE strpos(body, $1) > 0`,
+        [username]);
+    for (let { id, body } of mailRes.rows) {
+      const scrubbed = body.replace(word, tombstone);
+      if (scrubbed !== body) {
+        await client.query(
+              `UPDATE mail_outbox SET body = $2 WHERE id = $1`,
+            [id, scrubbed]);
+      }
+    }
+  }
+
+  /** Replace username with tombstone throughout the audit log (who acted,
+   *  on whose behalf, on what, and the routes' path segments), and drop
+   *  the before/after of changes to the user, on client; returns undefined. */
+
+  static async _scrubAuditLog(username, tombstone, client) {
+    await client.query(
+          `UPDATE audit_log SET actor = $2 WHERE actor = $1`,
+        [username, tombstone]);
+    await client.query(
+          `UPDATE audit_log SET on_behalf_of = $2 WHERE on_behalf_of = $1`,
+        [username, tombstone]);
+    await client.query(
+          `UPDATE audit_log
+           SET entity_id = $2, changes = NULL
+           WHERE entity_type = 'user' AND entity_id = $1`,
+        [username, tombstone]);
+
+    const segment = encodeURIComponent(username);
+    const routeRes = await client.query(
+          `SELECT id, route FROM audit_log WHERE strpos(route, $1) > 0`,
+        [`/${segment}`]);
+    for (let { id, route } of routeRes.rows) {
+      const [path, ...query] = route.split("?");
+      const scrubbed = [
+        path.split("/").map(s => s === segment ? tombstone : s).join("/"),
+        ...query,
+      ].join("?");
+      if (scrubbed !== route) {
+        await client.query(
+              `UPDATE audit_log SET route = $2 WHERE id = $1`,
+            [id, scrubbed]);
+      }
+    }
+  }
+
+  /** Apply to a job, starting the application in `state`.
+   *
+   * options can include { state, actor, note, requireVerifiedEmail }
+   *   state must be one of INITIAL_APPLICATION_STATES; defaults to "applied".
+   *   actor is who made the change (for the application history); defaults
+   *   to the applicant.
+   *   requireVerifiedEmail refuses users who haven't verified their email.
+   *
+   * The application and the start of its history are created in one
+   * transaction.
+   *
+   * Returns { username, jobId, state }
+   *
+   * Throws NotFoundError if user or job not found.
+   * Throws BadRequestError if already applied or state is not a starting state.
+   * Throws ForbiddenError if requireVerifiedEmail and email is not verified.
+   **/
 
-    if (!user) throw new NotFoundError(`No user: ${username}`)
+  static async createApplication(username, jobId, {
+    state = "applied",
+    actor = username,
+    note,
+    requireVerifiedEmail = false,
+  } = {}) {
+    if (!INITIAL_APPLICATION_STATES.includes(state)) {
+      throw new BadRequestError(`Applications cannot start as: ${state}`);
+    }
 
-    let job = await db.query(
-      `SELECT id
-      FROM jobs 
-      WHERE id=$1`, [jobId]
-    )
+    const userRes = await db.query(
+          `SELECT username, email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    const user = userRes.rows[0];
 
-    if (!job) throw new NotFoundError(`No job: ${jobId}`)
+    if (!user) throw new NotFoundError(`No user: ${username}`);
 
-    let result = await db.query(
-      `INSERT INTO applications (username, job_id)
-      VALUES($1, $2)
-      RETURNING username, job_id AS "jobId"`, [username, jobId]
-    )
+    if (requireVerifiedEmail && !user.emailVerified) {
+      throw new ForbiddenError("Verify your email before applying to jobs");
+    }
 
-    const application = result.rows[0]
+    const jobRes = await db.query(
+          `SELECT j.id
+           FROM jobs AS j
+           JOIN companies AS c ON c.handle = j.company_handle
+           WHERE j.id = $1 AND j.deleted_at IS NULL AND c.deleted_at IS NULL`,
+        [jobId]);
+
+    if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+    try {
+      return await transaction(async client => {
+        const result = await client.query(
+              `INSERT INTO applications (username, job_id, state)
+               VALUES ($1, $2, $3)
+               RETURNING username, job_id AS "jobId", state`,
+            [username, jobId, state]);
+        const application = result.rows[0];
+
+        await ApplicationEvent.create(
+            { username, jobId, actor, newState: state, note }, client);
+
+        return application;
+      });
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) {
+        throw new BadRequestError(`Already applied to job: ${jobId}`);
+      }
+      throw err;
+    }
+  }
+
+  /** Move an existing application to a new state.
+   *
+   * Only the moves listed in APPLICATION_TRANSITIONS are allowed. Every move
+   * is recorded in the application's history, in the same transaction; the
+   * application is locked meanwhile, so moves made at once happen one after
+   * the other, each checked against where the last left it.
+   *
+   * options can include { actor, note }; actor defaults to the applicant.
+   *
+   * Returns { username, jobId, state }
+   *
+   * Throws NotFoundError if the user has not applied to the job.
+   * Throws BadRequestError if the move is not allowed.
+   **/
+
+  static async updateApplicationState(username, jobId, state, { actor = username, note } = {}) {
+    return await transaction(async client => {
+      const currentRes = await client.query(
+            `SELECT state
+             FROM applications
+             WHERE username = $1 AND job_id = $2
+             FOR UPDATE`,
+          [username, jobId]);
+      const current = currentRes.rows[0];
+
+      if (!current) {
+        throw new NotFoundError(`No application: ${username}, job ${jobId}`);
+      }
+
+      validateTransition(current.state, state);
+
+      const result = await client.query(
+            `UPDATE applications
+             SET state = $1
+             WHERE username = $2 AND job_id = $3
+             RETURNING username, job_id AS "jobId", state`,
+          [state, username, jobId]);
+      const application = result.rows[0];
+
+      await ApplicationEvent.create({
+        username,
+        jobId,
+        actor,
+        oldState: current.state,
+        newState: state,
+        note,
+      }, client);
+
+      return application;
+    });
+  }
+
+  /** Withdraw a user's application to a job.
+   *
+   * The application is kept (moved to the "withdrawn" state) so companies
+   * still see it in their reporting and its history is preserved.
+   *
+   * options can include { actor, note }; actor defaults to the applicant.
+   *
+   * Returns { username, jobId, state }
+   *
+   * Throws NotFoundError if the user has not applied to the job.
+   * Throws BadRequestError if the application is already final (accepted,
+   * rejected or withdrawn).
+   **/
 
-    return application
+  static async withdrawApplication(username, jobId, options = {}) {
+    return await User.updateApplicationState(username, jobId, "withdrawn", options);
   }
 }
 
@@ -4,9 +4,12 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const Session = require("./session.js");
+const Company = require("./company.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -29,7 +32,10 @@ describe("authenticate", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      role: "user",
       isAdmin: false,
+      tokenVersion: 0,
+      totpEnabled: false,
     });
   });
 
@@ -60,43 +66,105 @@ describe("register", function () {
     firstName: "Test",
     lastName: "Tester",
     email: "test@test.com",
-    isAdmin: false,
   };
 
   test("works", async function () {
     let user = await User.register({
       ...newUser,
-      password: "password",
+      password: "new-passphrase",
     });
-    expect(user).toEqual(newUser);
+    expect(user).toEqual({ ...newUser, role: "user", isAdmin: false });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].is_admin).toEqual(false);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: changing email marks it unverified", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    await User.update("u1", { email: "u1@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    await User.update("u1", { firstName: "New", email: "other@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("works: password and isAdmin changes bump token version", async function () {
+    await User.update("u1", { firstName: "Same" });
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+    await User.update("u1", { password: "new-passphrase" });
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+    await User.update("u1", { isAdmin: true });
+    expect(await User.getTokenVersion("u1")).toEqual(2);
+  });
+
   test("works: adds admin", async function () {
     let user = await User.register({
       ...newUser,
-      password: "password",
+      password: "new-passphrase",
       isAdmin: true,
     });
-    expect(user).toEqual({ ...newUser, isAdmin: true });
+    expect(user).toEqual({ ...newUser, role: "admin", isAdmin: true });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].role).toEqual("admin");
     expect(found.rows[0].is_admin).toEqual(true);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: other roles", async function () {
+    let user = await User.register({
+      ...newUser,
+      password: "new-passphrase",
+      role: "support",
+    });
+    expect(user).toEqual({ ...newUser, role: "support", isAdmin: false });
+  });
+
+  test("works: changing email marks it unverified", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    await User.update("u1", { email: "u1@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    await User.update("u1", { firstName: "New", email: "other@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("works: password and isAdmin changes bump token version", async function () {
+    await User.update("u1", { firstName: "Same" });
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+    await User.update("u1", { password: "new-passphrase" });
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+    await User.update("u1", { isAdmin: true });
+    expect(await User.getTokenVersion("u1")).toEqual(2);
+  });
+
+  test("bad request with weak password", async function () {
+    try {
+      await User.register({ ...newUser, password: "password" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toContain(
+          "Password is too common; it appears in lists of breached passwords");
+    }
+  });
+
+  test("works: generated passwords skip the policy", async function () {
+    const user = await User.register(
+        { ...newUser, password: "password" }, { checkPasswordPolicy: false });
+    expect(user.username).toEqual("new");
+  });
+
   test("bad request with dup data", async function () {
     try {
       await User.register({
         ...newUser,
-        password: "password",
+        password: "new-passphrase",
       });
       await User.register({
         ...newUser,
-        password: "password",
+        password: "new-passphrase",
       });
       fail();
     } catch (err) {
@@ -109,13 +177,14 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
         firstName: "U1F",
         lastName: "U1L",
         email: "u1@email.com",
+        role: "user",
         isAdmin: false,
       },
       {
@@ -123,46 +192,71 @@ describe("findAll", function () {
         firstName: "U2F",
         lastName: "U2L",
         email: "u2@email.com",
+        role: "user",
         isAdmin: false,
       },
     ]);
   });
+
+  test("works: sort and pages", async function () {
+    let page = await User.findAll({ sort: "-lastName", limit: 1 });
+    expect(page.users.map(u => u.username)).toEqual(["u2"]);
+    expect(page.total).toEqual(2);
+
+    page = await User.findAll(page.next);
+    expect(page.users.map(u => u.username)).toEqual(["u1"]);
+    expect(page.next).toBeNull();
+    expect(page.prev).toEqual({ limit: 1, cursor: expect.any(String), sort: "-lastName" });
+  });
 });
 
 /************************************** get */
 
 describe("get", function () {
   test("works", async function () {
-   
-    let user = await User.get("u1");
-    let job = await db.query(
+    const jobRes = await db.query(
       `SELECT id
       FROM jobs 
       WHERE company_handle='c1'`
     )
+    const jobId = jobRes.rows[0].id
 
-    const jobIds = await Promise.all(job.rows.map(async (job) => {
-      const application = await db.query(
-        `INSERT INTO applications (username, job_id)
-        VALUES ($1, $2)
-        RETURNING job_id AS "jobId"`, [user.username, job.id]
-      );
-    
-      return application.rows[0].jobId;
-    }));
-
-    user.applications = jobIds
-    
+    await db.query(
+      `INSERT INTO applications (username, job_id, state)
+      VALUES ('u1', $1, 'interviewing')`, [jobId]
+    )
+
+    let user = await User.get("u1");
     expect(user).toEqual({
       username: "u1",
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      role: "user",
       isAdmin: false,
-      applications: [expect.any(Number)]
+      emailVerified: false,
+      deletionScheduledFor: null,
+      applications: [jobId],
+      jobs: [{
+        id: jobId,
+        title: "test",
+        companyHandle: "c1",
+        companyName: "C1",
+        state: "interviewing",
+      }],
     });
+  });
 
+  test("leaves out deleted jobs", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test'`);
+    const jobId = jobRes.rows[0].id;
+    await db.query(
+      `INSERT INTO applications (username, job_id) VALUES ('u1', $1)`, [jobId]);
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [jobId]);
 
+    let user = await User.get("u1");
+    expect(user.applications).toEqual([]);
+    expect(user.jobs).toEqual([]);
   });
 
   test("not found if no such user", async function () {
@@ -190,18 +284,26 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      role: "admin",
     });
   });
 
+  test("works: role", async function () {
+    let user = await User.update("u1", { role: "support" });
+    expect(user).toEqual(expect.objectContaining({ role: "support", isAdmin: false }));
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+  });
+
   test("works: set password", async function () {
     let job = await User.update("u1", {
-      password: "new",
+      password: "new-passphrase",
     });
     expect(job).toEqual({
       username: "u1",
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      role: "user",
       isAdmin: false,
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
@@ -209,6 +311,43 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: changing email marks it unverified", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    await User.update("u1", { email: "u1@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    await User.update("u1", { firstName: "New", email: "other@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("works: password and isAdmin changes bump token version", async function () {
+    await User.update("u1", { firstName: "Same" });
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+    await User.update("u1", { password: "new-passphrase" });
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+    await User.update("u1", { isAdmin: true });
+    expect(await User.getTokenVersion("u1")).toEqual(2);
+  });
+
+  test("bad request with weak password", async function () {
+    try {
+      await User.update("u1", { password: "u1@email.com" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual(["Password can't be your username or email"]);
+    }
+  });
+
+  test("weak password checked against new email", async function () {
+    try {
+      await User.update("u1", { email: "long.name@email.com", password: "Long.Name" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -231,19 +370,485 @@ describe("update", function () {
   });
 });
 
+/************************************** getTokenVersion */
+
+describe("getTokenVersion", function () {
+  test("works", async function () {
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+  });
+
+  test("undefined if no such user", async function () {
+    expect(await User.getTokenVersion("nope")).toBeUndefined();
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
   test("works", async function () {
     await User.remove("u1");
+    const res = await db.query(
+        "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+  });
+
+  test("hides the user, who can't log in", async function () {
+    await User.remove("u1");
+    await expect(User.get("u1")).rejects.toThrow(NotFoundError);
+    await expect(User.update("u1", { firstName: "New" })).rejects.toThrow(NotFoundError);
+    await expect(User.authenticate("u1", "password1")).rejects.toThrow(UnauthorizedError);
+    expect(await User.getTokenVersion("u1")).toBeUndefined();
+    const { users } = await User.findAll();
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+  });
+
+  test("logs the user out everywhere", async function () {
+    const { id } = await Session.create("u1");
+    await User.remove("u1");
+    expect(await Session.touch(id, "u1")).toEqual(false);
+  });
+
+  test("not found if already deleted", async function () {
+    await User.remove("u1");
+    await expect(User.remove("u1")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.remove("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    await User.restore("u1");
+    const user = await User.get("u1");
+    expect(user.username).toEqual("u1");
+    const auth = await User.authenticate("u1", "password1");
+    expect(auth.username).toEqual("u1");
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(User.restore("u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    await User.purge("u1");
     const res = await db.query(
         "SELECT * FROM users WHERE username='u1'");
     expect(res.rows.length).toEqual(0);
   });
 
+  test("not found if not deleted first", async function () {
+    await expect(User.purge("u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** scheduleDeletion */
+
+describe("scheduleDeletion", function () {
+  test("works", async function () {
+    const { scheduledFor } = await User.scheduleDeletion("u1");
+    const days = (scheduledFor - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toEqual(30);
+    expect((await User.get("u1")).deletionScheduledFor).toEqual(scheduledFor);
+  });
+
+  test("asking again keeps the date", async function () {
+    await db.query(`UPDATE users
+                    SET deletion_scheduled_for = '2030-01-01'
+                    WHERE username = 'u1'`);
+    const { scheduledFor } = await User.scheduleDeletion("u1");
+    expect(scheduledFor).toEqual(new Date("2030-01-01T00:00:00"));
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.scheduleDeletion("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** cancelDeletion */
+
+describe("cancelDeletion", function () {
+  test("works", async function () {
+    await User.scheduleDeletion("u1");
+    await User.cancelDeletion("u1");
+    expect((await User.get("u1")).deletionScheduledFor).toBeNull();
+    expect(await User.anonymiseDue()).toEqual(0);
+  });
+
+  test("not found if none scheduled", async function () {
+    await expect(User.cancelDeletion("u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** anonymise */
+
+describe("anonymise", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test'`);
+    jobId = jobRes.rows[0].id;
+    await User.createApplication("u1", jobId);
+    await User.updateApplicationState("u1", jobId, "interviewing", { actor: "u2" });
+  });
+
+  test("works: keeps applications on a tombstone", async function () {
+    await Session.create("u1");
+    const tombstone = await User.anonymise("u1");
+    expect(tombstone).toMatch(/^deleted-[0-9a-f]{16}$/);
+
+    const found = await db.query(
+        `SELECT first_name, last_name, email, password, deleted_at, anonymised_at
+         FROM users WHERE username = $1`, [tombstone]);
+    expect(found.rows[0]).toEqual({
+      first_name: "Deleted",
+      last_name: "User",
+      email: `${tombstone}@deleted.invalid`,
+      password: "",
+      deleted_at: expect.any(Date),
+      anonymised_at: expect.any(Date),
+    });
+
+    const oldRes = await db.query(`SELECT * FROM users WHERE username = 'u1'`);
+    expect(oldRes.rows.length).toEqual(0);
+    const sessionsRes = await db.query(`SELECT * FROM sessions WHERE username = 'u1'`);
+    expect(sessionsRes.rows.length).toEqual(0);
+
+    const applicants = await Company.getApplicants("c1", jobId);
+    expect(applicants).toEqual([expect.objectContaining({
+      username: tombstone,
+      firstName: "Deleted",
+      state: "interviewing",
+    })]);
+
+    const events = await db.query(
+        `SELECT actor FROM application_events WHERE username = $1 ORDER BY id`,
+        [tombstone]);
+    expect(events.rows.map(e => e.actor)).toEqual([tombstone, "u2"]);
+  });
+
+  test("works: scrubs the mail outbox", async function () {
+    await db.query(
+        `INSERT INTO mail_outbox (sender, recipient, subject, body)
+         VALUES ('jobly', 'u1@email.com', 'Reset', 'Hi u1, reset here'),
+                ('jobly', 'old@email.com', 'Hello', 'Hi u1, welcome'),
+                ('jobly', 'u2@email.com', 'Hello', 'Hi u2, u1 and u10 applied')`);
+    const tombstone = await User.anonymise("u1");
+
+    const mail = await db.query(
+        `SELECT recipient, body FROM mail_outbox ORDER BY id`);
+    expect(mail.rows).toEqual([
+      { recipient: "old@email.com", body: `Hi ${tombstone}, welcome` },
+      { recipient: "u2@email.com", body: `Hi u2, ${tombstone} and u10 applied` },
+    ]);
+  });
+
+  test("works: scrubs the audit log", async function () {
+    await db.query(
+        `INSERT INTO audit_log
+           (actor, on_behalf_of, method, route, entity_type, entity_id, changes)
+         VALUES ('u2', NULL, 'PATCH', '/users/u1?x=1', 'user', 'u1',
+                 '{"email": {"before": "u1@email.com", "after": "new@email.com"}}'),
+                ('u2', 'u1', 'GET', '/users/u1/jobs', NULL, NULL, NULL),
+                ('u1', NULL, 'DELETE', '/companies/c1/members/u10', 'company', 'c1', NULL)`);
+    const tombstone = await User.anonymise("u1");
+
+    const audit = await db.query(
+        `SELECT actor, on_behalf_of, route, entity_id, changes
+         FROM audit_log ORDER BY id`);
+    expect(audit.rows).toEqual([
+      {
+        actor: "u2",
+        on_behalf_of: null,
+        route: `/users/${tombstone}?x=1`,
+        entity_id: tombstone,
+        changes: null,
+      },
+      {
+        actor: "u2",
+        on_behalf_of: tombstone,
+        route: `/users/${tombstone}/jobs`,
+        entity_id: null,
+        changes: null,
+      },
+      {
+        actor: tombstone,
+        on_behalf_of: null,
+        route: "/companies/c1/members/u10",
+        entity_id: "c1",
+        changes: null,
+      },
+    ]);
+  });
+
+  test("changes nothing if any of it fails", async function () {
+    await Session.create("u1");
+    const scrubAuditLog = User._scrubAuditLog;
+    User._scrubAuditLog = async function () {
+      throw new Error("oops");
+    };
+    try {
+      await expect(User.anonymise("u1")).rejects.toThrow("oops");
+    } finally {
+      User._scrubAuditLog = scrubAuditLog;
+    }
+
+    const sessionsRes = await db.query(`SELECT * FROM sessions WHERE username = 'u1'`);
+    expect(sessionsRes.rows.length).toEqual(1);
+    const user = await User.get("u1");
+    expect(user.firstName).toEqual("U1F");
+  });
+
+  test("tombstone can't be restored", async function () {
+    const tombstone = await User.anonymise("u1");
+    await expect(User.restore(tombstone)).rejects.toThrow(NotFoundError);
+  });
+
   test("not found if no such user", async function () {
+    await expect(User.anonymise("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** anonymiseDue */
+
+describe("anonymiseDue", function () {
+  test("works: only users whose grace period is over", async function () {
+    await User.scheduleDeletion("u1");
+    await User.scheduleDeletion("u2");
+    await db.query(`UPDATE users
+                    SET deletion_scheduled_for = NOW() - INTERVAL '1 day'
+                    WHERE username = 'u1'`);
+
+    expect(await User.anonymiseDue()).toEqual(1);
+    const { users } = await User.findAll();
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+    expect(await User.anonymiseDue()).toEqual(0);
+  });
+});
+
+/************************************** createApplication */
+
+describe("createApplication", function () {
+  async function getJobId() {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test'`);
+    return jobRes.rows[0].id;
+  }
+
+  test("works: defaults to applied", async function () {
+    const jobId = await getJobId();
+    const application = await User.createApplication("u1", jobId);
+    expect(application).toEqual({ username: "u1", jobId, state: "applied" });
+  });
+
+  test("works: start as interested", async function () {
+    const jobId = await getJobId();
+    const application = await User.createApplication("u1", jobId, { state: "interested" });
+    expect(application).toEqual({ username: "u1", jobId, state: "interested" });
+  });
+
+  test("bad request if starting in a later state", async function () {
+    const jobId = await getJobId();
     try {
-      await User.remove("nope");
+      await User.createApplication("u1", jobId, { state: "offered" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("forbidden if email must be verified and is not", async function () {
+    const jobId = await getJobId();
+    try {
+      await User.createApplication("u1", jobId, { requireVerifiedEmail: true });
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("works: email must be verified and is", async function () {
+    const jobId = await getJobId();
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    const application = await User.createApplication("u1", jobId, { requireVerifiedEmail: true });
+    expect(application.state).toEqual("applied");
+  });
+
+  test("not found if job is deleted", async function () {
+    const jobId = await getJobId();
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [jobId]);
+    await expect(User.createApplication("u1", jobId)).rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request if already applied", async function () {
+    const jobId = await getJobId();
+    await User.createApplication("u1", jobId);
+    try {
+      await User.createApplication("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    const jobId = await getJobId();
+    try {
+      await User.createApplication("nope", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await User.createApplication("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** updateApplicationState */
+
+describe("updateApplicationState", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test'`);
+    jobId = jobRes.rows[0].id;
+    await User.createApplication("u1", jobId);
+  });
+
+  test("works", async function () {
+    const application = await User.updateApplicationState("u1", jobId, "interviewing");
+    expect(application).toEqual({ username: "u1", jobId, state: "interviewing" });
+  });
+
+  test("bad request on illegal transition", async function () {
+    try {
+      await User.updateApplicationState("u1", jobId, "accepted");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await User.updateApplicationState("u2", jobId, "interviewing");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** applying and moving at once */
+
+describe("applications changed at once", function () {
+  let jobId;
+
+  // outside the transaction each test runs in, so that the changes really
+  // are made at once, each in a transaction of its own
+  beforeEach(async function () {
+    await db.query("ROLLBACK");
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test'`);
+    jobId = jobRes.rows[0].id;
+  });
+
+  afterEach(async function () {
+    await db.query(`DELETE FROM applications WHERE username = 'u1'`);
+    await db.query("BEGIN");
+  });
+
+  async function events() {
+    const result = await db.query(
+        `SELECT old_state AS "oldState", new_state AS "newState"
+         FROM application_events
+         WHERE username = 'u1' AND job_id = $1
+         ORDER BY id`,
+        [jobId]);
+    return result.rows;
+  }
+
+  test("only one of two applications to a job is made", async function () {
+    const results = await Promise.allSettled([
+      User.createApplication("u1", jobId),
+      User.createApplication("u1", jobId),
+    ]);
+    expect(results.filter(r => r.status === "fulfilled").length).toEqual(1);
+    const [failed] = results.filter(r => r.status === "rejected");
+    expect(failed.reason instanceof BadRequestError).toBeTruthy();
+    expect(await events()).toEqual([{ oldState: null, newState: "applied" }]);
+  });
+
+  test("moves are checked one after the other", async function () {
+    await User.createApplication("u1", jobId);
+    const results = await Promise.allSettled([
+      User.updateApplicationState("u1", jobId, "interviewing"),
+      User.updateApplicationState("u1", jobId, "interviewing"),
+    ]);
+    expect(results.filter(r => r.status === "fulfilled").length).toEqual(1);
+    const [failed] = results.filter(r => r.status === "rejected");
+    expect(failed.reason instanceof BadRequestError).toBeTruthy();
+    expect(await events()).toEqual([
+      { oldState: null, newState: "applied" },
+      { oldState: "applied", newState: "interviewing" },
+    ]);
+  });
+});
+
+/************************************** withdrawApplication */
+
+describe("withdrawApplication", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test'`);
+    jobId = jobRes.rows[0].id;
+  });
+
+  test("works: keeps the application as withdrawn", async function () {
+    await User.createApplication("u1", jobId);
+    const application = await User.withdrawApplication("u1", jobId);
+    expect(application).toEqual({ username: "u1", jobId, state: "withdrawn" });
+
+    const found = await db.query(
+      `SELECT state FROM applications WHERE username = 'u1' AND job_id = $1`,
+      [jobId]);
+    expect(found.rows).toEqual([{ state: "withdrawn" }]);
+  });
+
+  test("bad request if already withdrawn", async function () {
+    await User.createApplication("u1", jobId);
+    await User.withdrawApplication("u1", jobId);
+    try {
+      await User.withdrawApplication("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await User.withdrawApplication("u1", jobId);
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
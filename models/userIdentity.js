@@ -0,0 +1,148 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const User = require("./user");
+
+/** Longest username we generate, leaving room for a numeric suffix. */
+
+const MAX_BASE_USERNAME_LENGTH = 20;
+
+/** Related functions for external identities: accounts at an OpenID Connect
+ *  provider (issuer + subject) linked to Jobly users. */
+
+class UserIdentity {
+  /** Find the Jobly user for the claims of a verified ID token, linking or
+   *  creating one on first login:
+   *
+   * - an identity seen before logs in as the user it's linked to;
+   * - otherwise, if the provider vouches for the email (email_verified) and a
+   *   user has verified that same email, the identity is linked to them;
+   * - otherwise a new user is created from the claims, with a random password
+   *   (so they can only log in through the provider, or after a reset).
+   *
+   * Returns { user, created }
+   *   where user is { username, role, tokenVersion, totpEnabled },
+   *   ready to be passed to createToken.
+   *
+   * Throws BadRequestError if a new user is needed but there is no email, or
+   * UnauthorizedError if the identity's user is deleted.
+   **/
+
+  static async login(claims) {
+    const { iss: issuer, sub: subject, email } = claims;
+
+    const linkedRes = await db.query(
+          `UPDATE user_identities
+           SET last_login_at = NOW(), email = $3
+           WHERE issuer = $1 AND subject = $2
+           RETURNING username`,
+        [issuer, subject, email || null]);
+    if (linkedRes.rows[0]) {
+      const user = await UserIdentity._getUser(linkedRes.rows[0].username);
+      if (!user) throw new UnauthorizedError("Account is deleted");
+      return { user, created: false };
+    }
+
+    let username;
+    let created = false;
+
+    if (email && claims.email_verified === true) {
+      const emailRes = await db.query(
+            `SELECT username
+             FROM users
+             WHERE lower(email) = lower($1)
+               AND email_verified
+               AND deleted_at IS NULL
+             ORDER BY username
+             LIMIT 1`,
+          [email]);
+      if (emailRes.rows[0]) username = emailRes.rows[0].username;
+    }
+
+    if (!username) {
+      username = await UserIdentity._provision(claims);
+      created = true;
+    }
+
+    await db.query(
+          `INSERT INTO user_identities (issuer, subject, username, email, last_login_at)
+           VALUES ($1, $2, $3, $4, NOW())`,
+        [issuer, subject, username, email || null]);
+
+    return { user: await UserIdentity._getUser(username), created };
+  }
+
+  /** Create a user from ID token claims; returns the new username. */
+
+  static async _provision(claims) {
+    if (!claims.email) {
+      throw new BadRequestError("Identity provider did not return an email address");
+    }
+
+    const [firstFromName, ...restOfName] = (claims.name || "").split(" ");
+    const username = await UserIdentity._freeUsername(
+        claims.preferred_username || claims.email.split("@")[0]);
+
+    // no one knows the password (they log in through the provider until
+    // they reset it), so the password policy, which is for chosen ones,
+    // doesn't apply
+    await User.register({
+      username,
+      password: crypto.randomBytes(32).toString("hex"),
+      firstName: claims.given_name || firstFromName || username,
+      lastName: claims.family_name || restOfName.join(" ") || "",
+      email: claims.email,
+      role: "user",
+    }, { checkPasswordPolicy: false });
+
+    if (claims.email_verified === true) {
+      await db.query(
+            `UPDATE users SET email_verified = TRUE WHERE username = $1`,
+          [username]);
+    }
+
+    return username;
+  }
+
+  /** Turn a name from the provider into a username no one has yet, e.g.
+   *  "Pat.Smith" => "pat.smith", or "pat.smith2" if that's taken. */
+
+  static async _freeUsername(name) {
+    const base = name.toLowerCase()
+        .replace(/[^a-z0-9._-]/g, "")
+        .slice(0, MAX_BASE_USERNAME_LENGTH) || "user";
+
+    const result = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username LIKE $1 || '%'`,
+        [base]);
+    const taken = new Set(result.rows.map(r => r.username));
+
+    if (!taken.has(base)) return base;
+    let suffix = 2;
+    while (taken.has(`${base}${suffix}`)) suffix++;
+    return `${base}${suffix}`;
+  }
+
+  /** Return what createToken needs for a user, or undefined if they are
+   *  deleted. */
+
+  static async _getUser(username) {
+    const result = await db.query(
+          `SELECT username,
+                  role,
+                  token_version AS "tokenVersion",
+                  totp_enabled AS "totpEnabled"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+
+    return result.rows[0];
+  }
+}
+
+
+module.exports = UserIdentity;
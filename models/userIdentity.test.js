@@ -0,0 +1,117 @@
+"use strict";
+
+// Provisioned users get generated passwords, which mustn't be held to the
+// password policy; test with a stricter one than the default
+process.env.PASSWORD_MIN_CHARACTER_CLASSES = "4";
+
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const UserIdentity = require("./userIdentity.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const ISSUER = "https://idp.example.com";
+
+function claimsFor(overrides = {}) {
+  return {
+    iss: ISSUER,
+    sub: "abc123",
+    email: "pat@example.com",
+    email_verified: true,
+    given_name: "Pat",
+    family_name: "Smith",
+    preferred_username: "Pat.Smith",
+    ...overrides,
+  };
+}
+
+/************************************** login */
+
+describe("login", function () {
+  test("works: creates a user on first login", async function () {
+    const { user, created } = await UserIdentity.login(claimsFor());
+    expect(created).toEqual(true);
+    expect(user).toEqual({
+      username: "pat.smith",
+      role: "user",
+      tokenVersion: 0,
+      totpEnabled: false,
+    });
+
+    const found = await User.get("pat.smith");
+    expect(found).toEqual(expect.objectContaining({
+      firstName: "Pat",
+      lastName: "Smith",
+      email: "pat@example.com",
+      emailVerified: true,
+    }));
+  });
+
+  test("unauth if the linked user is deleted", async function () {
+    await UserIdentity.login(claimsFor());
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'pat.smith'");
+    await expect(UserIdentity.login(claimsFor())).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("works: logs in as the same user next time", async function () {
+    await UserIdentity.login(claimsFor());
+    const { user, created } = await UserIdentity.login(claimsFor({ email: "new@example.com" }));
+    expect(created).toEqual(false);
+    expect(user.username).toEqual("pat.smith");
+
+    const found = await db.query(
+        "SELECT email, last_login_at FROM user_identities WHERE subject = 'abc123'");
+    expect(found.rows[0]).toEqual({ email: "new@example.com", last_login_at: expect.any(Date) });
+  });
+
+  test("works: links a user with the same verified email", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    const { user, created } = await UserIdentity.login(claimsFor({ email: "U1@email.com" }));
+    expect(created).toEqual(false);
+    expect(user.username).toEqual("u1");
+  });
+
+  test("doesn't link on an unverified email", async function () {
+    const { user, created } = await UserIdentity.login(claimsFor({ email: "u1@email.com" }));
+    expect(created).toEqual(true);
+    expect(user.username).toEqual("pat.smith");
+  });
+
+  test("doesn't link if the provider hasn't verified the email", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    const { user, created } = await UserIdentity.login(
+        claimsFor({ email: "u1@email.com", email_verified: false }));
+    expect(created).toEqual(true);
+    expect(user.username).toEqual("pat.smith");
+    expect((await User.get("pat.smith")).emailVerified).toEqual(false);
+  });
+
+  test("works: picks a free username", async function () {
+    const { user } = await UserIdentity.login(claimsFor({ preferred_username: "u1" }));
+    expect(user.username).toEqual("u12");
+  });
+
+  test("works: username from email if no preferred_username", async function () {
+    const { user } = await UserIdentity.login(claimsFor({ preferred_username: undefined }));
+    expect(user.username).toEqual("pat");
+  });
+
+  test("bad request if a new user is needed but no email", async function () {
+    try {
+      await UserIdentity.login(claimsFor({ email: undefined }));
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -42,7 +42,7 @@ async function commonBeforeAll() {
     firstName: "U1F",
     lastName: "U1L",
     email: "user1@user.com",
-    password: "password1",
+    password: "u1-passphrase",
     isAdmin: false,
   });
   await User.register({
@@ -50,7 +50,7 @@ async function commonBeforeAll() {
     firstName: "U2F",
     lastName: "U2L",
     email: "user2@user.com",
-    password: "password2",
+    password: "u2-passphrase",
     isAdmin: false,
   });
   await User.register({
@@ -58,10 +58,20 @@ async function commonBeforeAll() {
     firstName: "U3F",
     lastName: "U3L",
     email: "user3@user.com",
-    password: "password3",
+    password: "u3-passphrase",
     isAdmin: false,
   });
 
+  // Matches adminToken below; tokens are only accepted for users that exist
+  await User.register({
+    username: "testadmin",
+    firstName: "Test",
+    lastName: "Admin",
+    email: "admin@user.com",
+    password: "password-admin",
+    isAdmin: true,
+  });
+
   // Added data to test job routes
   await Job.create({
     title: "test1",
@@ -96,10 +106,16 @@ async function commonAfterAll() {
 }
 
 
-const u1Token = createToken({ username: "u1", isAdmin: false });
+const u1Token = createToken({ username: "u1", role: "user" });
+const u2Token = createToken({ username: "u2", role: "user" });
 
 // UPDATE: Added adminToken for testing
-const adminToken = createToken({ username: "testadmin", isAdmin: true})
+const adminToken = createToken({ username: "testadmin", role: "admin"})
+
+// testadmin impersonating u1 (see POST /users/:username/impersonate)
+const u1ImpersonatedToken = createToken(
+    { username: "u1", role: "user" },
+    { impersonator: { username: "testadmin", tokenVersion: 0 } });
 
 
 module.exports = {
@@ -108,5 +124,7 @@ module.exports = {
   commonAfterEach,
   commonAfterAll,
   u1Token,
-  adminToken
+  u2Token,
+  adminToken,
+  u1ImpersonatedToken,
 };
@@ -0,0 +1,50 @@
+"use strict";
+
+/** Routes for admin tools. */
+
+const express = require("express");
+
+const { pageLinks } = require("../helpers/listQuery");
+const { parseListQuery } = require("../helpers/queryParams");
+const { requireScope } = require("../middleware/auth");
+const AuditLog = require("../models/auditLog");
+const auditSearchSchema = require("../schemas/auditSearch.json");
+
+const router = new express.Router();
+
+
+/** GET /audit  =>
+ *   { entries: [ { id, actor, onBehalfOf, method, route, entityType,
+ *                  entityId, changes, createdAt }, ...],
+ *     total, next, prev }
+ *
+ * Lists audit log entries, newest first. changes is
+ * { field: { before, after }, ... }, or null if not known.
+ *
+ * Entries come a page of up to limit (default 20) at a time: total counts
+ * all the entries found, and next and prev are links to the pages either
+ * side, or null. Pages can be chosen with limit and offset, or by following
+ * the links, and sorted with sort (by actor or entityType; see
+ * helpers/listQuery.js).
+ *
+ * Can filter on provided search filters:
+ * - actor (username)
+ * - entityType ("company", "job" or "user"), and entityId
+ * - from, to (ISO 8601 date-times, e.g. 2024-01-31T00:00:00Z; from is
+ *   inclusive, to exclusive)
+ *
+ * Authorization required: audit:read scope
+ */
+
+router.get("/audit", requireScope("audit:read"), async function (req, res, next) {
+  try {
+    const { listOptions, filters } = parseListQuery(req.query, auditSearchSchema);
+    const { entries, total, ...page } = await AuditLog.findAll(filters, listOptions);
+    return res.json({ entries, total, ...pageLinks(req, page) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
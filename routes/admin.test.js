@@ -0,0 +1,207 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+const AuditLog = require("../models/auditLog");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function getAudit(query = {}) {
+  const resp = await request(app)
+      .get("/admin/audit")
+      .query(query)
+      .set("authorization", `Bearer ${adminToken}`);
+  return resp;
+}
+
+/************************************** admin mutations are audited */
+
+describe("auditing admin changes", function () {
+  test("works: update records what changed", async function () {
+    await request(app)
+        .patch("/companies/c1")
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await getAudit();
+    expect(resp.body).toEqual({
+      entries: [{
+        id: expect.any(Number),
+        actor: "testadmin",
+        onBehalfOf: null,
+        method: "PATCH",
+        route: "/companies/c1",
+        entityType: "company",
+        entityId: "c1",
+        changes: { name: { before: "C1", after: "C1-new" } },
+        createdAt: expect.any(String),
+      }],
+      total: 1,
+      next: null,
+      prev: null,
+    });
+  });
+
+  test("works: creation records the new entity's id", async function () {
+    const jobResp = await request(app)
+        .post("/jobs")
+        .send({ title: "J-new", salary: 10, equity: 0.2, companyHandle: "c1" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const { body: { entries: [entry] } } = await getAudit();
+    expect(entry).toEqual(expect.objectContaining({
+      method: "POST",
+      route: "/jobs",
+      entityType: "job",
+      entityId: String(jobResp.body.job.id),
+      changes: expect.objectContaining({ title: { before: null, after: "J-new" } }),
+    }));
+  });
+
+  test("works: deletion records what was deleted", async function () {
+    await request(app)
+        .delete("/users/u2")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const { body: { entries: [entry] } } = await getAudit();
+    expect(entry).toEqual(expect.objectContaining({
+      method: "DELETE",
+      entityType: "user",
+      entityId: "u2",
+      changes: expect.objectContaining({
+        username: { before: "u2", after: null },
+        email: { before: "user2@user.com", after: null },
+      }),
+    }));
+  });
+
+  test("works: other changes record the entity", async function () {
+    await request(app)
+        .post("/users/u1/unlock")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const { body: { entries: [entry] } } = await getAudit();
+    expect(entry).toEqual(expect.objectContaining({
+      route: "/users/u1/unlock",
+      entityType: "user",
+      entityId: "u1",
+      changes: null,
+    }));
+  });
+
+  test("failed changes aren't recorded", async function () {
+    await request(app)
+        .patch("/companies/nope")
+        .send({ name: "New" })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .patch("/companies/c1")
+        .send({ nope: "New" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    expect((await getAudit()).body.entries).toEqual([]);
+  });
+
+  test("changes still succeed if recording them fails", async function () {
+    const record = AuditLog.record;
+    AuditLog.record = async function () {
+      throw new Error("oops");
+    };
+    let resp;
+    try {
+      resp = await request(app)
+          .patch("/companies/c1")
+          .send({ name: "C1-new" })
+          .set("authorization", `Bearer ${adminToken}`);
+    } finally {
+      AuditLog.record = record;
+    }
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("non-admin changes and reads aren't recorded", async function () {
+    await request(app)
+        .patch("/users/u1")
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    expect((await getAudit()).body.entries).toEqual([]);
+  });
+});
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  beforeEach(async function () {
+    await db.query(
+        `INSERT INTO audit_log (actor, method, route, entity_type, entity_id, created_at)
+         VALUES ('testadmin', 'PATCH', '/companies/c1', 'company', 'c1', '2024-01-01 12:00'),
+                ('other', 'PATCH', '/companies/c2', 'company', 'c2', '2024-02-01 12:00'),
+                ('testadmin', 'DELETE', '/jobs/1', 'job', '1', '2024-03-01 12:00')`);
+  });
+
+  test("works: filters", async function () {
+    let resp = await getAudit({ actor: "testadmin" });
+    expect(resp.body.entries.map(e => e.route)).toEqual(["/jobs/1", "/companies/c1"]);
+
+    resp = await getAudit({ entityType: "company", entityId: "c2" });
+    expect(resp.body.entries.map(e => e.route)).toEqual(["/companies/c2"]);
+
+    resp = await getAudit({ from: "2024-01-15T00:00:00Z", to: "2024-02-15T00:00:00Z" });
+    expect(resp.body.entries.map(e => e.route)).toEqual(["/companies/c2"]);
+  });
+
+  test("works: pages, with links", async function () {
+    let resp = await getAudit({ actor: "testadmin", limit: 1 });
+    expect(resp.body.entries.map(e => e.route)).toEqual(["/jobs/1"]);
+    expect(resp.body.total).toEqual(2);
+    expect(resp.body.prev).toBeNull();
+    expect(resp.body.next).toMatch(/^\/admin\/audit\?actor=testadmin&limit=1&cursor=[\w.-]+$/);
+
+    resp = await request(app)
+        .get(resp.body.next)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.entries.map(e => e.route)).toEqual(["/companies/c1"]);
+    expect(resp.body.next).toBeNull();
+  });
+
+  test("bad request with invalid filters", async function () {
+    expect((await getAudit({ nope: "x" })).statusCode).toEqual(400);
+    expect((await getAudit({ limit: 0 })).statusCode).toEqual(400);
+    expect((await getAudit({ sort: "route" })).statusCode).toEqual(400);
+    expect((await getAudit({ from: "yesterday" })).statusCode).toEqual(400);
+    expect((await getAudit({ entityType: "planet" })).statusCode).toEqual(400);
+    expect((await getAudit({ entityId: "c1" })).statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get("/admin/audit");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
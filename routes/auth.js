@@ -5,16 +5,87 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const Session = require("../models/session");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const LoginThrottle = require("../models/loginThrottle");
+const TwoFactor = require("../models/twoFactor");
+const OidcState = require("../models/oidcState");
+const UserIdentity = require("../models/userIdentity");
+const oidc = require("../helpers/oidc");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
+const {
+  createToken,
+  createMfaToken,
+  verifyMfaToken,
+  hashOpaqueToken,
+} = require("../helpers/tokens");
+const { sendPasswordResetEmail, sendVerificationEmail } = require("../helpers/emails");
+const { checkPassword } = require("../helpers/passwordPolicy");
+const { isStaff } = require("../helpers/scopes");
 const userAuthSchema = require("../schemas/userAuth.json");
+const userAuthMfaSchema = require("../schemas/userAuthMfa.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const { BadRequestError, UnauthorizedError, NotFoundError } = require("../expressError");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { REQUIRE_ADMIN_2FA, BASE_URL, OIDC_STATE_EXPIRES_MINUTES } = require("../config");
 
-/** POST /auth/token:  { username, password } => { token }
+/** Cookie tying an OIDC login to the browser that started it: it holds a
+ *  hash of the login's state (see GET /auth/oidc/login). */
+
+const OIDC_STATE_COOKIE = "jobly_oidc_state";
+
+const OIDC_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  // sent along when the provider redirects back, unlike "strict"
+  sameSite: "lax",
+  secure: BASE_URL.startsWith("https:"),
+  path: "/auth/oidc",
+};
+
+/** Return the value of the request's cookie called name, or undefined. */
+
+function readCookie(req, name) {
+  for (let pair of (req.get("cookie") || "").split(";")) {
+    const [key, ...value] = pair.trim().split("=");
+    if (key === name) return value.join("=");
+  }
+  return undefined;
+}
+
+/** Log a user in on the device making this request: start a session and
+ *  return { token, refreshToken } for it. */
+
+async function startSession(req, user) {
+  const session = await Session.create(user.username, {
+    userAgent: req.get("user-agent") || null,
+    ip: req.ip,
+  });
+  const token = createToken(user, { sessionId: session.id });
+  return { token, refreshToken: session.refreshToken };
+}
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *                                             or { mfaRequired, mfaToken }
+ *
+ * Returns JWT token which can be used to authenticate further requests. The
+ * token is short-lived; trade refreshToken in at POST /auth/refresh for a new
+ * one.
+ *
+ * If the user has two-factor authentication enabled, returns an mfaToken
+ * instead, to be sent with a 2FA code to POST /auth/token/2fa.
+ *
+ * When REQUIRE_ADMIN_2FA is on, staff (admins, and other roles with scopes)
+ * without 2FA get a token without their role's rights and
+ * mfaSetupRequired: true, until they enable 2FA.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Repeated failed logins for a username, or from one IP, lock further
+ * attempts for a while (429), even with the right password.
  *
  * Authorization required: none
  */
@@ -28,20 +99,84 @@ router.post("/token", async function (req, res, next) {
     }
 
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    const ip = req.ip;
+    await LoginThrottle.check({ username, ip });
+
+    let user;
+    try {
+      user = await User.authenticate(username, password);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        await LoginThrottle.recordFailure({ username, ip });
+      }
+      throw err;
+    }
+
+    // failures aren't cleared until the second step succeeds
+    if (user.totpEnabled) {
+      return res.json({ mfaRequired: true, mfaToken: createMfaToken(user) });
+    }
+    await LoginThrottle.recordSuccess({ username });
+
+    const { token, refreshToken } = await startSession(req, user);
+    if (REQUIRE_ADMIN_2FA && isStaff(user.role)) {
+      return res.json({ token, refreshToken, mfaSetupRequired: true });
+    }
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/token/2fa:  { mfaToken, code } => { token, refreshToken }
+ *
+ * Second login step for users with two-factor authentication: code is either
+ * the current code from their authenticator app or one of their recovery
+ * codes. Wrong codes count as failed logins.
+ *
+ * Authorization required: none (mfaToken from POST /auth/token)
+ */
+
+router.post("/token/2fa", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, userAuthMfaSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username, ver } = verifyMfaToken(req.body.mfaToken);
+    const ip = req.ip;
+    await LoginThrottle.check({ username, ip });
+
+    // the password (or role) may have changed since the first step
+    const tokenVersion = await User.getTokenVersion(username);
+    if (tokenVersion !== ver) throw new UnauthorizedError("Invalid or expired MFA token");
+
+    if (!await TwoFactor.verify(username, req.body.code)) {
+      await LoginThrottle.recordFailure({ username, ip });
+      throw new UnauthorizedError("Invalid 2FA code");
+    }
+    await LoginThrottle.recordSuccess({ username });
+
+    const { role } = await User.get(username);
+    const { token, refreshToken } = await startSession(
+        req, { username, role, tokenVersion, totpEnabled: true });
+    return res.json({ token, refreshToken });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and a
+ * refresh token (see POST /auth/token). Also emails the user a link to verify
+ * their email address (see GET /auth/verify).
  *
  * Authorization required: none
  */
@@ -55,8 +190,236 @@ router.post("/register", async function (req, res, next) {
     }
 
     const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    await sendVerificationEmail(await EmailVerification.create(newUser.username));
+    const { token, refreshToken } = await startSession(req, newUser);
+    return res.status(201).json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Trades in a refresh token for a new access token and a new refresh token.
+ * Each refresh token can only be used once.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, refreshTokenSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { user, sessionId, refreshToken } = await RefreshToken.rotate(req.body.refreshToken);
+    const token = createToken(user, { sessionId });
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token, ending its session: access tokens issued for the
+ * session stop working too.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, refreshTokenSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await RefreshToken.revoke(req.body.refreshToken);
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/request:   { username } => { message }
+ *
+ * Emails the user a single-use token they can use at
+ * POST /auth/password-reset/confirm. The response is the same whether or not
+ * the user exists, so this can't be used to find out who has an account.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const reset = await PasswordReset.create(req.body.username);
+    if (reset) await sendPasswordResetEmail(reset);
+
+    return res.status(202).json({
+      message: "If that account exists, a password reset email has been sent",
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { reset: username }
+ *
+ * Sets a new password using a token from POST /auth/password-reset/request.
+ * Every existing login for the user (access and refresh tokens) stops working,
+ * as with any password change (see User.update).
+ * If the password policy refuses the new password, the token can still be
+ * used again with another.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    // check the new password first, so one the policy refuses doesn't use
+    // up the token
+    const user = await PasswordReset.findUser(req.body.token);
+    checkPassword(req.body.password, user);
+
+    const username = await PasswordReset.consume(req.body.token);
+    await User.update(username, { password: req.body.password });
+    return res.json({ reset: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /auth/verify?token=   => { verified: username }
+ *
+ * Marks the user's email as verified, using the token from the link emailed
+ * at registration (or by POST /auth/verify/resend).
+ *
+ * Authorization required: none
+ */
+
+router.get("/verify", async function (req, res, next) {
+  try {
+    const { token } = req.query;
+    if (typeof token !== "string" || !token) {
+      throw new BadRequestError("Missing verification token");
+    }
+
+    const username = await EmailVerification.consume(token);
+    return res.json({ verified: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify/resend   => { message }
+ *
+ * Emails the logged in user a new verification link, e.g. after changing
+ * their email address. Earlier links stop working.
+ *
+ * Authorization required: login
+ */
+
+router.post("/verify/resend", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const verification = await EmailVerification.create(res.locals.user.username);
+    await sendVerificationEmail(verification);
+    return res.status(202).json({ message: "Verification email sent" });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+
+/** GET /auth/oidc/login   => redirect to the identity provider
+ *
+ * Starts a login through the OpenID Connect provider in OIDC_ISSUER. The
+ * provider sends the user back to GET /auth/oidc/callback, which only
+ * finishes it in this browser: a cookie set here ties the two together, so
+ * no one can have someone else's browser finish a login they started (and
+ * so be logged in as them).
+ *
+ * Authorization required: none
+ */
+
+router.get("/oidc/login", async function (req, res, next) {
+  try {
+    if (!oidc.isConfigured()) throw new NotFoundError("OIDC login is not configured");
+
+    const login = await OidcState.create();
+    res.cookie(OIDC_STATE_COOKIE, hashOpaqueToken(login.state), {
+      ...OIDC_STATE_COOKIE_OPTIONS,
+      maxAge: OIDC_STATE_EXPIRES_MINUTES * 60 * 1000,
+    });
+    return res.redirect(await oidc.authorizationUrl(login));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /auth/oidc/callback?code=&state=   => { token, refreshToken, created }
+ *                                         or { mfaRequired, mfaToken }
+ *
+ * Finishes a login started at GET /auth/oidc/login. The first login with an
+ * identity links it to the user with the same verified email, or creates a
+ * new user (created: true). Users with two-factor authentication enabled get
+ * an mfaToken for POST /auth/token/2fa instead.
+ *
+ * The browser must be the one that started the login (with its cookie).
+ *
+ * Authorization required: none
+ */
+
+router.get("/oidc/callback", async function (req, res, next) {
+  try {
+    if (!oidc.isConfigured()) throw new NotFoundError("OIDC login is not configured");
+
+    const { code, state, error } = req.query;
+    if (typeof error === "string") {
+      throw new BadRequestError(`Identity provider error: ${error}`);
+    }
+    if (typeof code !== "string" || !code || typeof state !== "string" || !state) {
+      throw new BadRequestError("Missing code or state");
+    }
+    if (readCookie(req, OIDC_STATE_COOKIE) !== hashOpaqueToken(state)) {
+      throw new BadRequestError("Login was not started in this browser");
+    }
+    res.clearCookie(OIDC_STATE_COOKIE, OIDC_STATE_COOKIE_OPTIONS);
+
+    const { nonce, codeVerifier } = await OidcState.consume(state);
+    const idToken = await oidc.exchangeCode(code, codeVerifier);
+    const claims = await oidc.verifyIdToken(idToken, nonce);
+    const { user, created } = await UserIdentity.login(claims);
+
+    if (user.totpEnabled) {
+      return res.json({ mfaRequired: true, mfaToken: createMfaToken(user) });
+    }
+
+    const { token, refreshToken } = await startSession(req, user);
+    return res.json({ token, refreshToken, created });
   } catch (err) {
     return next(err);
   }
@@ -2,13 +2,22 @@
 
 const request = require("supertest");
 
+const db = require("../db");
 const app = require("../app");
+const User = require("../models/user");
+const TwoFactor = require("../models/twoFactor");
+const { totp } = require("../helpers/totp");
+const { hashOpaqueToken } = require("../helpers/tokens");
+const oidc = require("../helpers/oidc");
+const { createMockIssuer } = require("../helpers/oidcMockIssuer");
+const { LOGIN_MAX_FAILURES } = require("../config");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -24,10 +33,11 @@ describe("POST /auth/token", function () {
         .post("/auth/token")
         .send({
           username: "u1",
-          password: "password1",
+          password: "u1-passphrase",
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -36,7 +46,7 @@ describe("POST /auth/token", function () {
         .post("/auth/token")
         .send({
           username: "no-such-user",
-          password: "password1",
+          password: "u1-passphrase",
         });
     expect(resp.statusCode).toEqual(401);
   });
@@ -51,6 +61,48 @@ describe("POST /auth/token", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("too many requests after repeated failures, even with right password", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({
+            username: "u1",
+            password: "nope",
+          });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "u1-passphrase",
+        });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test("works: success clears earlier failures", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES - 1; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({
+            username: "u1",
+            password: "nope",
+          });
+    }
+    await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "u1-passphrase",
+        });
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "nope",
+        });
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/auth/token")
@@ -71,6 +123,107 @@ describe("POST /auth/token", function () {
   });
 });
 
+/************************************** POST /auth/token/2fa */
+
+describe("POST /auth/token/2fa", function () {
+  let secret, recoveryCodes;
+
+  beforeEach(async function () {
+    ({ secret } = await TwoFactor.setup("u1"));
+    ({ recoveryCodes } = await TwoFactor.enable("u1", totp(secret)));
+  });
+
+  /** A code from the next time step, as the current one was used to enable. */
+  function nextCode() {
+    return totp(secret, Date.now() + 30 * 1000);
+  }
+
+  async function getMfaToken() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "u1-passphrase" });
+    return resp.body.mfaToken;
+  }
+
+  test("password alone is not enough", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "u1-passphrase" });
+    expect(resp.body).toEqual({
+      mfaRequired: true,
+      mfaToken: expect.any(String),
+    });
+  });
+
+  test("works with authenticator code", async function () {
+    const mfaToken = await getMfaToken();
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken, code: nextCode() });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  test("works with recovery code", async function () {
+    const mfaToken = await getMfaToken();
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken, code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth with wrong code", async function () {
+    const mfaToken = await getMfaToken();
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken, code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with access token instead of mfa token", async function () {
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken: u1Token, code: nextCode() });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth if password changed after first step", async function () {
+    const mfaToken = await getMfaToken();
+    await User.update("u1", { password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken, code: nextCode() });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("wrong codes count as failed logins", async function () {
+    const mfaToken = await getMfaToken();
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      await request(app)
+          .post("/auth/token/2fa")
+          .send({ mfaToken, code: "000000" });
+    }
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken, code: nextCode() });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ code: "123456" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
@@ -81,15 +234,34 @@ describe("POST /auth/register", function () {
           username: "new",
           firstName: "first",
           lastName: "last",
-          password: "password",
+          password: "new-passphrase",
           email: "new@email.com",
         });
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("sends a verification email", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "new-passphrase",
+          email: "new@email.com",
+        });
+    const mail = await db.query("SELECT recipient, subject, body FROM mail_outbox");
+    expect(mail.rows).toEqual([{
+      recipient: "new@email.com",
+      subject: "Verify your Jobly email",
+      body: expect.stringMatching(/\/auth\/verify\?token=[0-9a-f]{64}/),
+    }]);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -99,6 +271,35 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("works with a long passphrase", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "correct horse battery staple, 4 ever",
+          email: "new@email.com",
+        });
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("bad request with weak password", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "qwerty123",
+          email: "new@email.com",
+        });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      "Password is too common; it appears in lists of breached passwords",
+    ]);
+  });
+
   test("bad request with invalid data", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -106,9 +307,400 @@ describe("POST /auth/register", function () {
           username: "new",
           firstName: "first",
           lastName: "last",
-          password: "password",
+          password: "new-passphrase",
           email: "not-an-email",
         });
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "u1-passphrase",
+        });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  test("unauth if refresh token is reused", async function () {
+    const refreshToken = await login();
+    await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown refresh token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works: refresh token can no longer be used", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "u1-passphrase",
+        });
+    const { refreshToken } = loginResp.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  async function requestReset(username) {
+    return await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username });
+  }
+
+  async function latestResetToken() {
+    const result = await db.query(
+        "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+    return result.rows[0].body.match(/[0-9a-f]{64}/)[0];
+  }
+
+  test("works: request and confirm", async function () {
+    const resp = await requestReset("u1");
+    expect(resp.statusCode).toEqual(202);
+
+    const mail = await db.query("SELECT recipient, subject FROM mail_outbox");
+    expect(mail.rows).toEqual([{
+      recipient: "user1@user.com",
+      subject: "Reset your Jobly password",
+    }]);
+
+    const token = await latestResetToken();
+    const confirmResp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "brand-new" });
+    expect(confirmResp.body).toEqual({ reset: "u1" });
+
+    const user = await User.authenticate("u1", "brand-new");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("same response and no mail for unknown user", async function () {
+    const resp = await requestReset("nope");
+    expect(resp.statusCode).toEqual(202);
+    const mail = await db.query("SELECT id FROM mail_outbox");
+    expect(mail.rows.length).toEqual(0);
+  });
+
+  test("reset logs out existing refresh tokens", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "u1-passphrase" });
+
+    await requestReset("u1");
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: await latestResetToken(), password: "brand-new" });
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: loginResp.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if token is reused", async function () {
+    await requestReset("u1");
+    const token = await latestResetToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "brand-new" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "other-new" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("refused password doesn't use up the token", async function () {
+    await requestReset("u1");
+    const token = await latestResetToken();
+    const refused = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "user1@user.com" });
+    expect(refused.statusCode).toEqual(400);
+    expect(refused.body.error.message).toEqual(["Password can't be your username or email"]);
+
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "brand-new" });
+    expect(resp.body).toEqual({ reset: "u1" });
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "abc", password: "x" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /auth/verify */
+
+describe("GET /auth/verify", function () {
+  async function latestVerifyToken() {
+    const result = await db.query(
+        "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+    return result.rows[0].body.match(/token=([0-9a-f]{64})/)[1];
+  }
+
+  test("works", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "new-passphrase",
+          email: "new@email.com",
+        });
+    const resp = await request(app)
+        .get("/auth/verify")
+        .query({ token: await latestVerifyToken() });
+    expect(resp.body).toEqual({ verified: "new" });
+
+    const user = await User.get("new");
+    expect(user.emailVerified).toEqual(true);
+  });
+
+  test("works: resend", async function () {
+    const resendResp = await request(app)
+        .post("/auth/verify/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resendResp.statusCode).toEqual(202);
+
+    const resp = await request(app)
+        .get("/auth/verify")
+        .query({ token: await latestVerifyToken() });
+    expect(resp.body).toEqual({ verified: "u1" });
+  });
+
+  test("unauth resend for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify")
+        .query({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /auth/oidc/login, /auth/oidc/callback */
+
+describe("OIDC login", function () {
+  const client = { clientId: "jobly", clientSecret: "client-secret" };
+  let issuer;
+
+  beforeAll(async function () {
+    issuer = await createMockIssuer(client).start();
+    oidc.configure({
+      issuer: issuer.url,
+      ...client,
+      redirectUri: "http://localhost/auth/oidc/callback",
+    });
+  });
+
+  afterAll(async function () {
+    oidc.configure({ issuer: null });
+    await issuer.stop();
+  });
+
+  /** Log in at the mock issuer; returns { query, cookie }: the query it
+   *  sends back to the callback, e.g. { code, state }, and the cookie the
+   *  browser got at the start. */
+
+  async function loginAtIssuer() {
+    const loginResp = await request(app).get("/auth/oidc/login");
+    expect(loginResp.statusCode).toEqual(302);
+    const cookie = loginResp.headers["set-cookie"].map(c => c.split(";")[0]).join("; ");
+    const issuerResp = await fetch(loginResp.headers.location, { redirect: "manual" });
+    const callbackUrl = new URL(issuerResp.headers.get("location"));
+    return { query: Object.fromEntries(callbackUrl.searchParams), cookie };
+  }
+
+  /** Come back to the callback from a login, in the browser it started in. */
+
+  function callback({ query, cookie }) {
+    return request(app)
+        .get("/auth/oidc/callback")
+        .query(query)
+        .set("cookie", cookie);
+  }
+
+  test("works: creates a user", async function () {
+    const loginResp = await request(app).get("/auth/oidc/login");
+    expect(loginResp.headers.location.startsWith(`${issuer.url}/authorize?`)).toEqual(true);
+
+    const resp = await callback(await loginAtIssuer());
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+      created: true,
+    });
+    expect((await User.get("mock.user")).email).toEqual("mock.user@example.com");
+  });
+
+  test("works: links a user with the same verified email", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    issuer.claims = { ...issuer.claims, email: "user1@user.com" };
+    try {
+      const resp = await callback(await loginAtIssuer());
+      expect(resp.body.created).toEqual(false);
+
+      const meResp = await request(app)
+          .get("/users/u1")
+          .set("authorization", `Bearer ${resp.body.token}`);
+      expect(meResp.statusCode).toEqual(200);
+    } finally {
+      issuer.claims = { ...issuer.claims, email: "mock.user@example.com" };
+    }
+  });
+
+  test("asks for a code if user has 2fa", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    const { secret } = await TwoFactor.setup("u1");
+    await TwoFactor.enable("u1", totp(secret));
+    issuer.claims = { ...issuer.claims, email: "user1@user.com" };
+    try {
+      const resp = await callback(await loginAtIssuer());
+      expect(resp.body).toEqual({ mfaRequired: true, mfaToken: expect.any(String) });
+    } finally {
+      issuer.claims = { ...issuer.claims, email: "mock.user@example.com" };
+    }
+  });
+
+  test("works: clears the cookie", async function () {
+    const resp = await callback(await loginAtIssuer());
+    expect(resp.headers["set-cookie"]).toEqual(
+        [expect.stringMatching(/^jobly_oidc_state=;.*Expires=Thu, 01 Jan 1970/)]);
+  });
+
+  test("bad request if state is reused", async function () {
+    const login = await loginAtIssuer();
+    await callback(login);
+    const resp = await callback(login);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown state", async function () {
+    const { query: { code } } = await loginAtIssuer();
+    const resp = await callback({
+      query: { code, state: "nope" },
+      cookie: `jobly_oidc_state=${hashOpaqueToken("nope")}`,
+    });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request in a browser that didn't start the login", async function () {
+    const { query } = await loginAtIssuer();
+    let resp = await request(app)
+        .get("/auth/oidc/callback")
+        .query(query);
+    expect(resp.statusCode).toEqual(400);
+
+    // nor with another login's cookie
+    const { cookie } = await loginAtIssuer();
+    resp = await callback({ query, cookie });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: refusing another browser leaves the login to its own", async function () {
+    const login = await loginAtIssuer();
+    await request(app).get("/auth/oidc/callback").query(login.query);
+    const resp = await callback(login);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("bad request if provider returns an error", async function () {
+    const resp = await request(app)
+        .get("/auth/oidc/callback")
+        .query({ error: "access_denied", state: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing code", async function () {
+    const resp = await request(app)
+        .get("/auth/oidc/callback")
+        .query({ state: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if not configured", async function () {
+    oidc.configure({ issuer: null });
+    try {
+      const resp = await request(app).get("/auth/oidc/login");
+      expect(resp.statusCode).toEqual(404);
+    } finally {
+      oidc.configure({ issuer: issuer.url });
+    }
+  });
+});
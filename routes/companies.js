@@ -5,13 +5,26 @@
 const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const { BadRequestError, ForbiddenError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  requireScope,
+  ensureCompanyMember,
+  ensureNotImpersonating,
+} = require("../middleware/auth");
+const { ensureIntegerParams } = require("../middleware/params");
 const Company = require("../models/company");
+const { pageLinks } = require("../helpers/listQuery");
+const { parseQuery, parseListQuery } = require("../helpers/queryParams");
+const { COMPANY_STATES } = require("../helpers/applicationStates");
+const CompanyMember = require("../models/companyMember");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
 const companySearchSchema = require("../schemas/companySearch.json");
+const applicantSearchSchema = require("../schemas/applicantSearch.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
 
 const router = new express.Router();
 
@@ -22,10 +35,10 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: login and admin
+ * Authorization required: companies:write scope
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", requireScope("companies:write"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyNewSchema);
     if (!validator.valid) {
@@ -41,33 +54,33 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total, next, prev }
  *
- * Can filter on provided search filters:
+ * Can filter on provided search filters (checked with
+ * schemas/companySearch.json):
  * - minEmployees
- * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - maxEmployees (minEmployees can't be greater)
+ * - name (will find case-insensitive, partial matches, then names close to
+ *   it, to allow for typos)
+ * - q (full-text search of names and descriptions, e.g. "backend -agency";
+ *   results come most relevant first, each with
+ *   highlight: { name, description }, HTML with the matches in <mark>)
+ *
+ * Returns a page of up to limit companies (default 20): total counts all the
+ * matching companies, and next and prev are links to the pages either side,
+ * or null. Pages can be chosen with limit and offset, or by following the
+ * links, and sorted with sort, e.g. sort=-numEmployees (by handle, name or
+ * numEmployees; see helpers/listQuery.js).
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
-  
-  const filters = req.query
-
-  // Makes min and max employees an integer to be used in query
-  if (filters.minEmployees !== undefined) filters.minEmployees = +filters.minEmployees;
-  if (filters.maxEmployees !== undefined) filters.maxEmployees = +filters.maxEmployees;
-
   try {
-    const validator = jsonschema.validate(filters, companySearchSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const companies = await Company.findAll(filters);
-    return res.json({ companies });
+    const { listOptions, filters } = parseListQuery(req.query, companySearchSchema);
+    const { companies, total, ...page } = await Company.findAll(filters, listOptions);
+    return res.json({ companies, total, ...pageLinks(req, page) });
   } catch (err) {
     return next(err);
   }
@@ -106,6 +119,125 @@ router.get("/:handle", async function (req, res, next) {
 });
 
 
+/** GET /[handle]/jobs/[id]/applicants  =>
+ *   { applicants: [ { username, firstName, lastName, email, state, appliedAt }, ...] }
+ *
+ * Lists everyone who applied to one of the company's jobs, oldest first.
+ *
+ * Can filter on provided search filters:
+ * - state (only applications currently in that state)
+ * - limit (default 50, max 100)
+ * - offset (default 0)
+ *
+ * Authorization required: company recruiter or owner, or applicants:read scope
+ */
+
+router.get("/:handle/jobs/:id/applicants", ensureCompanyMember("recruiter", "applicants:read"), ensureIntegerParams("id"), async function (req, res, next) {
+  try {
+    const filters = parseQuery(req.query, applicantSearchSchema);
+    const applicants = await Company.getApplicants(
+        req.params.handle, req.params.id, filters);
+    return res.json({ applicants });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /[handle]/jobs/[id]/applicants/[username] { state, note }
+ *    => { application }
+ *
+ * Moves an application to one of the company's jobs on through hiring: to
+ * interviewing, offered, accepted or rejected (applying and withdrawing are
+ * up to the candidate; see PATCH /users/:username/jobs/:id). Only legal moves
+ * through the application lifecycle are accepted (see
+ * helpers/applicationStates.js). The move, who made it and the optional note
+ * are kept in the application history.
+ *
+ * Returns { username, jobId, state }
+ *
+ * Authorization required: company recruiter or owner, or applicants:write scope; not while impersonating
+ */
+
+router.patch("/:handle/jobs/:id/applicants/:username", ensureCompanyMember("recruiter", "applicants:write"), ensureNotImpersonating, ensureIntegerParams("id"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    if (!COMPANY_STATES.includes(req.body.state)) {
+      throw new ForbiddenError(`Only the candidate can move an application to ${req.body.state}`);
+    }
+
+    const application = await Company.updateApplicantState(
+        req.params.handle, req.params.id, req.params.username, req.body.state, {
+          actor: res.locals.user.username,
+          note: req.body.note,
+        });
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[handle]/members  =>
+ *   { members: [ { username, firstName, lastName, email, role }, ...] }
+ *
+ * Authorization required: any company member, or companies:write scope
+ */
+
+router.get("/:handle/members", ensureCompanyMember("viewer", "companies:write"), async function (req, res, next) {
+  try {
+    const members = await CompanyMember.findAll(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/members { username, role } => { member }
+ *
+ * Adds a user to the company, or changes an existing member's role.
+ * role is one of "owner", "recruiter" or "viewer".
+ *
+ * Returns { username, companyHandle, role }
+ *
+ * Authorization required: company owner, or companies:write scope; not while impersonating
+ */
+
+router.post("/:handle/members", ensureCompanyMember("owner", "companies:write"), ensureNotImpersonating, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, companyMemberNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const member = await CompanyMember.add(
+        req.params.handle, req.body.username, req.body.role);
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: company owner, or companies:write scope; not while impersonating
+ */
+
+router.delete("/:handle/members/:username", ensureCompanyMember("owner", "companies:write"), ensureNotImpersonating, async function (req, res, next) {
+  try {
+    await CompanyMember.remove(req.params.handle, req.params.username);
+    return res.json({ removed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** PATCH /[handle] { fld1, fld2, ... } => { company }
  *
  * Patches company data.
@@ -114,10 +246,10 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: login and admin
+ * Authorization required: company owner, or companies:write scope; not while impersonating
  */
 
-router.patch("/:handle", ensureAdmin, async function (req, res, next) {
+router.patch("/:handle", ensureCompanyMember("owner", "companies:write"), ensureNotImpersonating, async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyUpdateSchema);
     if (!validator.valid) {
@@ -134,10 +266,13 @@ router.patch("/:handle", ensureAdmin, async function (req, res, next) {
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: login and admin
+ * The company (and so its jobs) is only marked deleted; see restore and
+ * purge below.
+ *
+ * Authorization: companies:delete scope
  */
 
-router.delete("/:handle", ensureAdmin, async function (req, res, next) {
+router.delete("/:handle", requireScope("companies:delete"), async function (req, res, next) {
   try {
     await Company.remove(req.params.handle);
     return res.json({ deleted: req.params.handle });
@@ -146,5 +281,37 @@ router.delete("/:handle", ensureAdmin, async function (req, res, next) {
   }
 });
 
+/** POST /[handle]/restore  =>  { restored: handle }
+ *
+ * Restores a deleted company, with its jobs.
+ *
+ * Authorization: trash:write scope
+ */
+
+router.post("/:handle/restore", requireScope("trash:write"), async function (req, res, next) {
+  try {
+    await Company.restore(req.params.handle);
+    return res.json({ restored: req.params.handle });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/purge  =>  { purged: handle }
+ *
+ * Deletes a deleted company for good, with its jobs and their applications.
+ *
+ * Authorization: trash:write scope
+ */
+
+router.delete("/:handle/purge", requireScope("trash:write"), async function (req, res, next) {
+  try {
+    await Company.purge(req.params.handle);
+    return res.json({ purged: req.params.handle });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 
 module.exports = router;
@@ -11,7 +11,9 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
   adminToken,
+  u1ImpersonatedToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -95,6 +97,9 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      total: 3,
+      next: null,
+      prev: null,
     });
   });
 
@@ -124,6 +129,9 @@ describe("GET /companies", function () {
               logoUrl: "http://c2.img",
             }
           ],
+      total: 1,
+      next: null,
+      prev: null,
     });
   });
 
@@ -148,6 +156,9 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             }
           ],
+      total: 2,
+      next: null,
+      prev: null,
     });
   });
 
@@ -172,6 +183,9 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             }
           ],
+      total: 2,
+      next: null,
+      prev: null,
     });
   });
 
@@ -180,6 +194,55 @@ describe("GET /companies", function () {
 
     expect(resp.statusCode).toEqual(400)
   })
+
+  test("works: full-text search, with highlights", async function () {
+    const resp = await request(app).get("/companies?q=desc2");
+    expect(resp.body).toEqual({
+      companies: [{
+        handle: "c2",
+        name: "C2",
+        description: "Desc2",
+        numEmployees: 2,
+        logoUrl: "http://c2.img",
+        highlight: { name: "C2", description: "<mark>Desc2</mark>" },
+      }],
+      total: 1,
+      next: null,
+      prev: null,
+    });
+  });
+
+  test("bad request with empty search", async function () {
+    const resp = await request(app).get("/companies?q=");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: pages, with links", async function () {
+    let resp = await request(app).get("/companies?name=c&minEmployees=1&limit=2");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.next).toMatch(/^\/companies\?name=c&minEmployees=1&limit=2&cursor=/);
+
+    resp = await request(app).get(resp.body.next);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(resp.body.next).toBeNull();
+  });
+
+  test("bad request with minEmployees over maxEmployees", async function () {
+    const resp = await request(app).get("/companies?minEmployees=3&maxEmployees=2");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(["instance minEmployees cannot be greater than maxEmployees"]);
+  });
+
+  test("bad request with non-numeric minEmployees", async function () {
+    const resp = await request(app).get("/companies?minEmployees=abc");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app).get("/companies?limit=lots");
+    expect(resp.statusCode).toEqual(400);
+  });
   ///////////////// End of Newly Added Tests
 });
 
@@ -231,7 +294,355 @@ describe("GET /companies/:handle", function () {
   });
 });
 
-// /************************************** PATCH /companies/:handle */
+// /************************************** GET /companies/:handle/jobs/:id/applicants */
+
+describe("GET /companies/:handle/jobs/:id/applicants", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    jobId = jobRes.rows[0].id;
+    await db.query(
+      `INSERT INTO applications (username, job_id, state)
+       VALUES ('u1', $1, 'applied'),
+              ('u3', $1, 'rejected')`, [jobId]);
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u2', 'c1', 'recruiter')`);
+  });
+
+  test("works for company recruiter", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/jobs/${jobId}/applicants`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      applicants: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          state: "applied",
+          appliedAt: expect.any(String),
+        },
+        {
+          username: "u3",
+          firstName: "U3F",
+          lastName: "U3L",
+          email: "user3@user.com",
+          state: "rejected",
+          appliedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works for admin: filter by state", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/jobs/${jobId}/applicants`)
+        .query({ state: "rejected" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applicants.map(a => a.username)).toEqual(["u3"]);
+  });
+
+  test("works: limit and offset", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/jobs/${jobId}/applicants`)
+        .query({ limit: 1, offset: 1 })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.applicants.length).toEqual(1);
+  });
+
+  test("bad request on invalid filters", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/jobs/${jobId}/applicants`)
+        .query({ state: "hired" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-member", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/jobs/${jobId}/applicants`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for company viewer", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'viewer')`);
+    const resp = await request(app)
+        .get(`/companies/c1/jobs/${jobId}/applicants`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    const resp = await request(app)
+        .get(`/companies/c3/jobs/${jobId}/applicants`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if job is not at the company", async function () {
+    const resp = await request(app)
+        .get(`/companies/c3/jobs/${jobId}/applicants`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request for a non-integer job id", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/jobs/abc/applicants`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+// /************************************** PATCH /companies/:handle/jobs/:id/applicants/:username */
+
+describe("PATCH /companies/:handle/jobs/:id/applicants/:username", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    jobId = jobRes.rows[0].id;
+    await db.query(
+      `INSERT INTO applications (username, job_id, state)
+       VALUES ('u1', $1, 'applied')`, [jobId]);
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u2', 'c1', 'recruiter')`);
+  });
+
+  test("works for company recruiter", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u1`)
+        .send({ state: "interviewing", note: "strong CV" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      application: { username: "u1", jobId, state: "interviewing" },
+    });
+
+    const history = await db.query(
+      `SELECT actor, new_state AS "newState", note
+       FROM application_events
+       WHERE username = 'u1' AND job_id = $1
+       ORDER BY id DESC LIMIT 1`, [jobId]);
+    expect(history.rows[0]).toEqual({
+      actor: "u2", newState: "interviewing", note: "strong CV",
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u1`)
+        .send({ state: "rejected" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.application.state).toEqual("rejected");
+  });
+
+  test("forbidden while impersonating a recruiter", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u1`)
+        .send({ state: "rejected" })
+        .set("authorization", `Bearer ${u1ImpersonatedToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden for moves that are up to the candidate", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u1`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request on illegal transition", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u1`)
+        .send({ state: "accepted" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid data", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u1`)
+        .send({ state: "hired" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for the applicant", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u1`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for company viewer", async function () {
+    await db.query(
+      `UPDATE company_members SET role = 'viewer' WHERE username = 'u2'`);
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u1`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u1`)
+        .send({ state: "interviewing" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for a job at another company", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u2', 'c3', 'recruiter')`);
+    const resp = await request(app)
+        .patch(`/companies/c3/jobs/${jobId}/applicants/u1`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found if not applied", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/${jobId}/applicants/u3`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request for a non-integer job id", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1/jobs/abc/applicants/u1`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** /companies/:handle/members */
+
+describe("GET /companies/:handle/members", function () {
+  test("works for company viewer", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'viewer'), ('u2', 'c1', 'owner')`);
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          role: "viewer",
+        },
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "user2@user.com",
+          role: "owner",
+        },
+      ],
+    });
+  });
+
+  test("unauth for non-member", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1", role: "owner" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: { username: "u1", companyHandle: "c1", role: "owner" },
+    });
+  });
+
+  test("works for company owner", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'owner')`);
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2", role: "recruiter" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("forbidden while impersonating a company owner", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'owner')`);
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2", role: "owner" })
+        .set("authorization", `Bearer ${u1ImpersonatedToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for company recruiter", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1", role: "owner" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on invalid role", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1", role: "ceo" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for company owner", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'owner'), ('u2', 'c1', 'viewer')`);
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: "u2" });
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /companies/:handle */
 
 describe("PATCH /companies/:handle", function () {
   test("works for users", async function () {
@@ -261,6 +672,45 @@ describe("PATCH /companies/:handle", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("works for company owner", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'owner')`);
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("forbidden while impersonating a company owner", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'owner')`);
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${u1ImpersonatedToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for company recruiter", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("not found on no such company", async function () {
     const resp = await request(app)
         .patch(`/companies/nope`)
@@ -300,6 +750,9 @@ describe("DELETE /companies/:handle", function () {
         .delete(`/companies/c1`)
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({ deleted: "c1" });
+
+    const getResp = await request(app).get(`/companies/c1`);
+    expect(getResp.statusCode).toEqual(404);
   });
 
   test("unauth for anon", async function () {
@@ -315,3 +768,67 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /companies/:handle/restore */
+
+describe("POST /companies/:handle/restore", function () {
+  test("works for admin", async function () {
+    await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ restored: "c1" });
+
+    const getResp = await request(app).get(`/companies/c1`);
+    expect(getResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'");
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /companies/:handle/purge */
+
+describe("DELETE /companies/:handle/purge", function () {
+  test("works for admin", async function () {
+    await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .delete(`/companies/c1/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ purged: "c1" });
+
+    const found = await db.query("SELECT handle FROM companies WHERE handle = 'c1'");
+    expect(found.rows.length).toEqual(0);
+  });
+
+  test("unauth for non-admin", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'");
+    const resp = await request(app)
+        .delete(`/companies/c1/purge`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted first", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
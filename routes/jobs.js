@@ -6,24 +6,49 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  requireScope,
+  ensureCompanyMember,
+  ensureNotImpersonating,
+} = require("../middleware/auth");
+const { ensureIntegerParams } = require("../middleware/params");
 const Job = require("../models/job");
+const { pageLinks } = require("../helpers/listQuery");
+const { parseListQuery } = require("../helpers/queryParams");
 
 const jobNewSchema = require("../schemas/jobNew.json")
 const jobUpdateSchema = require("../schemas/jobUpdate.json")
+const jobSearchSchema = require("../schemas/jobSearch.json")
 
 const router = new express.Router();
 
+/** Middleware: look up the job in req.params.id and store its company handle
+ * on res.locals, so ensureCompanyMember can check the job's real company.
+ *
+ * Throws NotFoundError if the job is not found.
+ */
+
+async function loadJobCompany(req, res, next) {
+  try {
+    const job = await Job.get(req.params.id);
+    res.locals.companyHandle = job.companyHandle;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
 /** POST / { company } =>  { company }
  *
  * job should be { title, salary, equity, companyHandle }
  *
  * Returns { id, title, salary, equity, companyHandle }
  *
- * Authorization required: login and admin
+ * Authorization required: recruiter or owner of companyHandle, or jobs:write scope; not while impersonating
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", ensureCompanyMember("recruiter", "jobs:write"), ensureNotImpersonating, async function (req, res, next) {
     try {
       const validator = jsonschema.validate(req.body, jobNewSchema);
       if (!validator.valid) {
@@ -39,22 +64,43 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { jobs: [ { id, title, salary equity, companyHandle }, ...] }
+ *   { jobs: [ { id, title, salary equity, companyHandle }, ...],
+ *     total, next, prev }
  *
- * Can filter on provided search filters:
+ * Can filter on provided search filters (checked with
+ * schemas/jobSearch.json):
  * - title (will find case-insensitive, partial matches)
- * - minSalary
- * - hasEquity 
+ * - minSalary (a whole number)
+ * - hasEquity (true for only jobs with equity; false is the same as leaving
+ *   it out)
+ * - q (full-text search of titles and of company names and descriptions,
+ *   e.g. "backend engineer"; results come most relevant first, each with
+ *   highlight: { title }, HTML with the matches in <mark>)
+ *
+ * With facets (a comma-separated list of salary, hasEquity and companies,
+ * e.g. facets=salary,companies), also counts the matching jobs by each:
+ *   { jobs, facets: { salary: [{ min, max, count }, ...],
+ *                     hasEquity: [{ value, count }, ...],
+ *                     companies: [{ handle, name, count }, ...] } }
+ * (see Job.facets), over all the matching jobs rather than just this page.
+ *
+ * Returns a page of up to limit jobs (default 20): total counts all the
+ * matching jobs, and next and prev are links to the pages either side, or
+ * null. Pages can be chosen with limit and offset, or by following the
+ * links, and sorted with sort, e.g. sort=-salary,title (by id, title,
+ * salary, equity or companyHandle; see helpers/listQuery.js).
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
     try {
-        const filters = req.query 
-        const jobs = await Job.findAll(filters)
+        const { listOptions, filters: { facets, ...filters } } = parseListQuery(req.query, jobSearchSchema)
+        const { jobs, total, ...page } = await Job.findAll(filters, listOptions)
+        const links = pageLinks(req, page)
+        if (facets === undefined) return res.json({ jobs, total, ...links })
 
-        return res.json({ jobs })
+        return res.json({ jobs, total, ...links, facets: await Job.facets(filters, facets) })
     } catch (err) {
         return next(err)
     }
@@ -67,7 +113,7 @@ router.get("/", async function (req, res, next) {
  * Authorization required: none
  */
 
-router.get("/:id", async function (req, res, next) {
+router.get("/:id", ensureIntegerParams("id"), async function (req, res, next) {
     try {
       const job = await Job.get(req.params.id);
       return res.json({ job });
@@ -84,10 +130,10 @@ router.get("/:id", async function (req, res, next) {
  *
  * Returns { id, title, salary, equity, companyHandle }
  *
- * Authorization required: login and admin
+ * Authorization required: recruiter or owner of the job's company, or jobs:write scope; not while impersonating
  */
 
-router.patch("/:id", ensureAdmin, async function (req, res, next) {
+router.patch("/:id", ensureLoggedIn, ensureIntegerParams("id"), loadJobCompany, ensureCompanyMember("recruiter", "jobs:write"), ensureNotImpersonating, async function (req, res, next) {
     try {
       const validator = jsonschema.validate(req.body, jobUpdateSchema);
       if (!validator.valid) {
@@ -104,10 +150,12 @@ router.patch("/:id", ensureAdmin, async function (req, res, next) {
 
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: login and admin
+ * The job is only marked deleted; see restore and purge below.
+ *
+ * Authorization: recruiter or owner of the job's company, or jobs:delete scope; not while impersonating
  */
 
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
+router.delete("/:id", ensureLoggedIn, ensureIntegerParams("id"), loadJobCompany, ensureCompanyMember("recruiter", "jobs:delete"), ensureNotImpersonating, async function (req, res, next) {
     try {
       await Job.remove(req.params.id);
       return res.json({ deleted: `Job with id#: ${req.params.id}` });
@@ -116,4 +164,36 @@ router.delete("/:id", ensureAdmin, async function (req, res, next) {
     }
 });
 
+/** POST /[id]/restore  =>  { restored: id }
+ *
+ * Restores a deleted job (its company must not be deleted).
+ *
+ * Authorization: trash:write scope
+ */
+
+router.post("/:id/restore", requireScope("trash:write"), ensureIntegerParams("id"), async function (req, res, next) {
+    try {
+      await Job.restore(req.params.id);
+      return res.json({ restored: +req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+});
+
+/** DELETE /[id]/purge  =>  { purged: id }
+ *
+ * Deletes a deleted job for good, with its applications.
+ *
+ * Authorization: trash:write scope
+ */
+
+router.delete("/:id/purge", requireScope("trash:write"), ensureIntegerParams("id"), async function (req, res, next) {
+    try {
+      await Job.purge(req.params.id);
+      return res.json({ purged: +req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+});
+
 module.exports = router;
\ No newline at end of file
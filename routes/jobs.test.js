@@ -12,6 +12,7 @@ const {
   commonAfterAll,
   u1Token,
   adminToken,
+  u1ImpersonatedToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -45,6 +46,50 @@ describe("POST /jobs", function () {
     });
   });
 
+  test("ok for company recruiter", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("forbidden while impersonating a company recruiter", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${u1ImpersonatedToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c2', 'recruiter')`);
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for company viewer", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'viewer')`);
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/jobs")
@@ -88,6 +133,9 @@ describe("GET /jobs", function () {
                 companyHandle: "c3",
               },
           ],
+      total: 3,
+      next: null,
+      prev: null,
         });
   });
 
@@ -105,6 +153,9 @@ describe("GET /jobs", function () {
                 companyHandle: "c3",
             },
           ],
+      total: 1,
+      next: null,
+      prev: null,
     });
   });
 
@@ -129,6 +180,9 @@ describe("GET /jobs", function () {
                 companyHandle: "c3",
               },
           ],
+      total: 2,
+      next: null,
+      prev: null,
     });
   });
 
@@ -146,6 +200,9 @@ describe("GET /jobs", function () {
                 companyHandle: "c3",
               },
           ],
+      total: 1,
+      next: null,
+      prev: null,
     });
   });
 
@@ -154,6 +211,114 @@ describe("GET /jobs", function () {
 
     expect(resp.statusCode).toEqual(400)
   })
+
+  test("works: full-text search, with highlights", async function () {
+    const resp = await request(app).get("/jobs?q=test1");
+    expect(resp.body).toEqual({
+      jobs: [{
+        id: expect.any(Number),
+        title: "test1",
+        salary: 75000,
+        equity: "0.87",
+        companyHandle: "c1",
+        highlight: { title: "<mark>test1</mark>" },
+      }],
+      total: 1,
+      next: null,
+      prev: null,
+    });
+  });
+
+  test("works: pages, with links", async function () {
+    let resp = await request(app).get("/jobs?minSalary=1&sort=-salary&limit=2");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["test3", "test2"]);
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.prev).toBeNull();
+    expect(resp.body.next).toMatch(/^\/jobs\?minSalary=1&limit=2&cursor=[\w.-]+&sort=-salary$/);
+
+    resp = await request(app).get(resp.body.next);
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["test1"]);
+    expect(resp.body.next).toBeNull();
+
+    resp = await request(app).get(resp.body.prev);
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["test3", "test2"]);
+  });
+
+  test("works: offset links", async function () {
+    const resp = await request(app).get("/jobs?limit=1&offset=1");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["test2"]);
+    expect(resp.body.next).toEqual("/jobs?limit=1&offset=2");
+    expect(resp.body.prev).toEqual("/jobs?limit=1&offset=0");
+  });
+
+  test("bad request with invalid sort", async function () {
+    const resp = await request(app).get("/jobs?sort=-password");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a tampered cursor", async function () {
+    const cursor = Buffer.from(JSON.stringify({ s: "-salary", a: ["abc", 1] }))
+        .toString("base64url");
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ sort: "-salary", cursor });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: hasEquity=false is the same as leaving it out", async function () {
+    const resp = await request(app).get("/jobs?hasEquity=false");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["test1", "test2", "test3"]);
+  });
+
+  test("bad request with values of the wrong type", async function () {
+    let resp = await request(app).get("/jobs?minSalary=abc");
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app).get("/jobs?hasEquity=yes");
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app).get("/jobs?title=a&title=b");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with negative minSalary", async function () {
+    const resp = await request(app).get("/jobs?minSalary=-1");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: facets as repeated parameters", async function () {
+    const resp = await request(app).get("/jobs?facets=hasEquity&facets=salary");
+    expect(Object.keys(resp.body.facets)).toEqual(["hasEquity", "salary"]);
+  });
+
+  test("works: facets, over the filtered jobs", async function () {
+    const resp = await request(app).get("/jobs?minSalary=100000&facets=salary,hasEquity,companies");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["test2", "test3"]);
+    expect(resp.body.facets).toEqual({
+      salary: [{ min: 100000, max: 125000, count: 2 }],
+      hasEquity: [
+        { value: true, count: 1 },
+        { value: false, count: 1 },
+      ],
+      companies: [{ handle: "c3", name: "C3", count: 2 }],
+    });
+  });
+
+  test("works: only the facets asked for", async function () {
+    const resp = await request(app).get("/jobs?facets=hasEquity");
+    expect(resp.body.jobs.length).toEqual(3);
+    expect(resp.body.facets).toEqual({
+      hasEquity: [
+        { value: true, count: 2 },
+        { value: false, count: 1 },
+      ],
+    });
+  });
+
+  test("bad request with invalid facet", async function () {
+    const resp = await request(app).get("/jobs?facets=salary,nope");
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 // // /************************************** GET /companies/:handle */
@@ -182,6 +347,13 @@ describe("GET /jobs/:id", function () {
     const resp = await request(app).get(`/jobs/0`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("bad request if id is not an integer id", async function () {
+    for (let id of ["abc", "99999999999"]) {
+      const resp = await request(app).get(`/jobs/${id}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
 });
 
 // // /************************************** PATCH /companies/:handle */
@@ -226,6 +398,54 @@ describe("PATCH /jobs/:id", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("works for recruiter of the job's company", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'recruiter')`);
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+
+    const resp = await request(app)
+        .patch(`/jobs/${job.id}`)
+        .send({
+          title: "new",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.job.title).toEqual("new");
+  });
+
+  test("forbidden while impersonating a recruiter of the job's company", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'recruiter')`);
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+
+    const resp = await request(app)
+        .patch(`/jobs/${job.id}`)
+        .send({
+          title: "new",
+        })
+        .set("authorization", `Bearer ${u1ImpersonatedToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c3', 'recruiter')`);
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+
+    const resp = await request(app)
+        .patch(`/jobs/${job.id}`)
+        .send({
+          title: "new",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("not found on no such job", async function () {
     const resp = await request(app)
         .patch(`/jobs/0`)
@@ -236,6 +456,18 @@ describe("PATCH /jobs/:id", function () {
     expect(resp.statusCode).toEqual(404);
   });
 
+  test("bad request if id is not an integer id", async function () {
+    for (let id of ["abc", "99999999999"]) {
+      const resp = await request(app)
+          .patch(`/jobs/${id}`)
+          .send({
+            title: "invalid",
+          })
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
   test("bad request on handle change attempt", async function () {
     let result = await db.query(
         `SELECT id, title, salary, equity, company_handle
@@ -271,6 +503,29 @@ describe("DELETE /jobs/:id", function () {
     expect(resp.body).toEqual({ deleted: `Job with id#: ${job.id}` });
   });
 
+  test("works for recruiter of the job's company", async function () {
+    await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ('u1', 'c1', 'owner')`);
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+
+    const resp = await request(app)
+        .delete(`/jobs/${job.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: `Job with id#: ${job.id}` });
+  });
+
+  test("unauth for non-member", async function () {
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+
+    const resp = await request(app)
+        .delete(`/jobs/${job.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     let result = await db.query(
         `SELECT id, title, salary, equity, company_handle
@@ -289,4 +544,99 @@ describe("DELETE /jobs/:id", function () {
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("bad request if id is not an integer id", async function () {
+    for (let id of ["abc", "99999999999"]) {
+      const resp = await request(app)
+          .delete(`/jobs/${id}`)
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+});
+
+/************************************** POST /jobs/:id/restore */
+
+describe("POST /jobs/:id/restore", function () {
+  test("works for admin", async function () {
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [job.id]);
+
+    const resp = await request(app)
+        .post(`/jobs/${job.id}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ restored: job.id });
+
+    const getResp = await request(app).get(`/jobs/${job.id}`);
+    expect(getResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [job.id]);
+
+    const resp = await request(app)
+        .post(`/jobs/${job.id}/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+
+    const resp = await request(app)
+        .post(`/jobs/${job.id}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request if id is not an integer id", async function () {
+    for (let id of ["abc", "99999999999"]) {
+      const resp = await request(app)
+          .post(`/jobs/${id}/restore`)
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+});
+
+/************************************** DELETE /jobs/:id/purge */
+
+describe("DELETE /jobs/:id/purge", function () {
+  test("works for admin", async function () {
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [job.id]);
+
+    const resp = await request(app)
+        .delete(`/jobs/${job.id}/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ purged: job.id });
+
+    const found = await db.query(`SELECT id FROM jobs WHERE id = $1`, [job.id]);
+    expect(found.rows.length).toEqual(0);
+  });
+
+  test("unauth for non-admin", async function () {
+    let result = await db.query(`SELECT id FROM jobs WHERE title='test1'`);
+    let job = result.rows[0]
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [job.id]);
+
+    const resp = await request(app)
+        .delete(`/jobs/${job.id}/purge`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if id is not an integer id", async function () {
+    for (let id of ["abc", "99999999999"]) {
+      const resp = await request(app)
+          .delete(`/jobs/${id}/purge`)
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
 });
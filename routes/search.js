@@ -0,0 +1,37 @@
+"use strict";
+
+/** Routes for searching across companies and jobs. */
+
+const express = require("express");
+
+const { parseQuery } = require("../helpers/queryParams");
+const Search = require("../models/search");
+const searchSuggestSchema = require("../schemas/searchSuggest.json");
+
+const router = new express.Router();
+
+
+/** GET /suggest?prefix=...  =>
+ *   { suggestions: [ { type: "company", text, handle }
+ *                    or { type: "job", text }, ...] }
+ *
+ * Company names and job titles for type-ahead: ones starting with prefix
+ * first, then close matches (allowing for typos), most similar first.
+ *
+ * Query can also include limit (1-25, default 10).
+ *
+ * Authorization required: none
+ */
+
+router.get("/suggest", async function (req, res, next) {
+  try {
+    const query = parseQuery(req.query, searchSuggestSchema);
+    const suggestions = await Search.suggest(query.prefix, { limit: query.limit });
+    return res.json({ suggestions });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,51 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search/suggest */
+
+describe("GET /search/suggest", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/search/suggest?prefix=test");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.suggestions).toEqual([
+      { type: "job", text: "test1" },
+      { type: "job", text: "test2" },
+      { type: "job", text: "test3" },
+    ]);
+  });
+
+  test("works: companies", async function () {
+    const resp = await request(app).get("/search/suggest?prefix=C1");
+    expect(resp.body.suggestions[0]).toEqual({ type: "company", text: "C1", handle: "c1" });
+  });
+
+  test("works: limit", async function () {
+    const resp = await request(app).get("/search/suggest?prefix=test&limit=2");
+    expect(resp.body.suggestions).toHaveLength(2);
+  });
+
+  test("bad request without prefix", async function () {
+    const resp = await request(app).get("/search/suggest");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app).get("/search/suggest?prefix=test&limit=abc");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -5,12 +5,35 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureLoggedIn, ensureAdmin, ensureCorrectUser } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  requireScope,
+  ensureCorrectUserOrScope,
+  ensureNotImpersonating,
+  ensureNotApiKey,
+} = require("../middleware/auth");
+const { ensureIntegerParams } = require("../middleware/params");
+const { hasScope, isStaff } = require("../helpers/scopes");
+const { CANDIDATE_STATES } = require("../helpers/applicationStates");
+const { BadRequestError, ForbiddenError } = require("../expressError");
 const User = require("../models/user");
+const ApplicationEvent = require("../models/applicationEvent");
+const LoginThrottle = require("../models/loginThrottle");
+const TwoFactor = require("../models/twoFactor");
+const ApiKey = require("../models/apiKey");
+const Session = require("../models/session");
+const PersonalData = require("../models/personalData");
+const { pageLinks } = require("../helpers/listQuery");
+const { parseListQuery } = require("../helpers/queryParams");
 const { createToken } = require("../helpers/tokens");
+const { REQUIRE_VERIFIED_EMAIL_TO_APPLY, REQUIRE_ADMIN_2FA } = require("../config");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userSearchSchema = require("../schemas/userSearch.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
 
 const router = express.Router();
 
@@ -18,16 +41,17 @@ const router = express.Router();
 /** POST / { user }  => { user, token }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
- * only for admin users to add new users. The new user being added can be an
- * admin.
+ * only for admin users to add new users. The new user can be given any role
+ * (see helpers/scopes.js), e.g. role: "support"; isAdmin: true is short for
+ * role: "admin".
  *
  * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ *  {user: { username, firstName, lastName, email, role, isAdmin }, token }
  *
- * Authorization required: login
+ * Authorization required: users:write scope
  **/
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", requireScope("users:write"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userNewSchema);
     if (!validator.valid) {
@@ -43,32 +67,135 @@ router.post("/", ensureAdmin, async function (req, res, next) {
   }
 });
 
-/**
- * 
- */
+/** POST /[username]/jobs/[id] { state, note } => { applied: jobId, state }
+ *
+ * Applies the user to a job. state is optional and may be "interested" or
+ * "applied" (the default). note is optional and is kept in the application
+ * history. When REQUIRE_VERIFIED_EMAIL_TO_APPLY is on, the user must have
+ * verified their email first.
+ *
+ * Authorization required: same user as :username, or users:write scope; not while impersonating
+ **/
+
+router.post("/:username/jobs/:id", ensureCorrectUserOrScope("users:write"), ensureNotImpersonating, ensureIntegerParams("id"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, applicationNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const application = await User.createApplication(
+        req.params.username, req.params.id, {
+          state: req.body.state,
+          actor: res.locals.user.username,
+          note: req.body.note,
+          requireVerifiedEmail: REQUIRE_VERIFIED_EMAIL_TO_APPLY,
+        });
+    return res.status(201).json({
+      applied: application.jobId,
+      state: application.state,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[username]/jobs/[id] { state, note } => { application }
+ *
+ * Moves an application to a new state. Only legal moves through the
+ * application lifecycle are accepted (see helpers/applicationStates.js).
+ * The move, who made it and the optional note are kept in the application
+ * history.
+ *
+ * Candidates can only apply and withdraw (move to applied or withdrawn);
+ * hiring decisions are the company's (see
+ * PATCH /companies/:handle/jobs/:id/applicants/:username). Admins with
+ * users:write can make any move.
+ *
+ * Returns { username, jobId, state }
+ *
+ * Authorization required: same user as :username, or users:write scope; not while impersonating
+ **/
 
-router.post("/:username/jobs/:id", ensureCorrectUser, async function (req, res, next) {
+router.patch("/:username/jobs/:id", ensureCorrectUserOrScope("users:write"), ensureNotImpersonating, ensureIntegerParams("id"), async function (req, res, next) {
   try {
-    const application = await User.createApplication(req.params.username, req.params.id)
-    return res.status(201).json({applied: req.params.id})
-    
+    const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    if (!hasScope(res.locals.user, "users:write")
+        && !CANDIDATE_STATES.includes(req.body.state)) {
+      throw new ForbiddenError(`Only the company can move an application to ${req.body.state}`);
+    }
+
+    const application = await User.updateApplicationState(
+        req.params.username, req.params.id, req.body.state, {
+          actor: res.locals.user.username,
+          note: req.body.note,
+        });
+    return res.json({ application });
   } catch (err) {
-    return next(err)
+    return next(err);
   }
-}) 
+});
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** DELETE /[username]/jobs/[id] => { withdrawn: jobId }
  *
- * Returns list of all users.
+ * Withdraws the user's application to a job. The application is not erased:
+ * it stays on record in the "withdrawn" state.
+ *
+ * Authorization required: same user as :username, or users:write scope; not while impersonating
+ **/
+
+router.delete("/:username/jobs/:id", ensureCorrectUserOrScope("users:write"), ensureNotImpersonating, ensureIntegerParams("id"), async function (req, res, next) {
+  try {
+    const application = await User.withdrawApplication(
+        req.params.username, req.params.id, { actor: res.locals.user.username });
+    return res.json({ withdrawn: application.jobId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/applications/[jobId]/history => { history }
+ *
+ * Returns every state change of the application, oldest first:
+ *   [{ id, actor, oldState, newState, note, createdAt }, ...]
+ *
+ * Authorization required: same user as :username, or users:read scope
+ **/
+
+router.get("/:username/applications/:jobId/history", ensureCorrectUserOrScope("users:read"), ensureIntegerParams("jobId"), async function (req, res, next) {
+  try {
+    const history = await ApplicationEvent.findForApplication(
+        req.params.username, req.params.jobId);
+    return res.json({ history });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *             total, next, prev }
+ *
+ * Returns list of all users, a page of up to limit (default 20) at a time:
+ * total counts all the users, and next and prev are links to the pages
+ * either side, or null. Pages can be chosen with limit and offset, or by
+ * following the links, and sorted with sort, e.g. sort=lastName,firstName
+ * (by username, firstName, lastName or email; see helpers/listQuery.js).
  *
  * // UPDATED: updated to allow only admin users to be able to access this route.
- * Authorization required: admin login
+ * Authorization required: users:read scope
  **/
 
-router.get("/", ensureAdmin, async function (req, res, next) {
+router.get("/", requireScope("users:read"), async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const { listOptions } = parseListQuery(req.query, userSearchSchema);
+    const { users, total, ...page } = await User.findAll(listOptions);
+    return res.json({ users, total, ...pageLinks(req, page) });
   } catch (err) {
     return next(err);
   }
@@ -77,14 +204,23 @@ router.get("/", ensureAdmin, async function (req, res, next) {
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, role, isAdmin, emailVerified,
+ *           deletionScheduledFor, applications, jobs }
+ *   where jobs is [{ id, title, companyHandle, companyName, state }, ...]
+ *   and deletionScheduledFor is null unless the user asked to be deleted
+ *
+ * Callers with users:read also get lock: { failedAttempts, lockedUntil, locked },
+ * the state of the user's login throttling.
  *
- * Authorization required: login
+ * Authorization required: same user as :username, or users:read scope
  **/
 
-router.get("/:username", ensureCorrectUser, async function (req, res, next) {
+router.get("/:username", ensureCorrectUserOrScope("users:read"), async function (req, res, next) {
   try {
     const user = await User.get(req.params.username);
+    if (hasScope(res.locals.user, "users:read")) {
+      user.lock = await LoginThrottle.getLockState(req.params.username);
+    }
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -92,17 +228,295 @@ router.get("/:username", ensureCorrectUser, async function (req, res, next) {
 });
 
 
+/** GET /[username]/export => { export }
+ *
+ * Everything held about the user, as a JSON file to download: profile,
+ * applications (with their history), sessions, API keys, linked identities,
+ * company memberships and audit log entries. See PersonalData.export.
+ *
+ * Authorization required: same user as :username, or users:read scope; not with an API key
+ **/
+
+router.get("/:username/export", ensureCorrectUserOrScope("users:read"), ensureNotApiKey, async function (req, res, next) {
+  try {
+    const data = await PersonalData.export(req.params.username);
+    res.attachment(`jobly-${req.params.username}.json`);
+    return res.json({ export: data });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/unlock => { unlocked: username }
+ *
+ * Clears the user's failed logins and lifts any login lock on them.
+ *
+ * Authorization required: users:write scope
+ **/
+
+router.post("/:username/unlock", requireScope("users:write"), async function (req, res, next) {
+  try {
+    await User.get(req.params.username);
+    await LoginThrottle.unlock(req.params.username);
+    return res.json({ unlocked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/setup => { secret, otpauthUri }
+ *
+ * Starts two-factor authentication enrolment. Add secret (or scan otpauthUri)
+ * in an authenticator app, then confirm with POST /[username]/2fa/enable.
+ *
+ * Authorization required: same user as :username, or users:write scope; not while impersonating or with an API key
+ **/
+
+router.post("/:username/2fa/setup", ensureCorrectUserOrScope("users:write"), ensureNotApiKey, ensureNotImpersonating, async function (req, res, next) {
+  try {
+    const { secret, otpauthUri } = await TwoFactor.setup(req.params.username);
+    return res.status(201).json({ secret, otpauthUri });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/enable { code } => { recoveryCodes }
+ *
+ * Turns on two-factor authentication, given a code from the authenticator
+ * app. recoveryCodes are only shown this once; each can be used in place of
+ * an authenticator code at POST /auth/token/2fa.
+ *
+ * Authorization required: same user as :username, or users:write scope; not while impersonating or with an API key
+ **/
+
+router.post("/:username/2fa/enable", ensureCorrectUserOrScope("users:write"), ensureNotApiKey, ensureNotImpersonating, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { recoveryCodes } = await TwoFactor.enable(req.params.username, req.body.code);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/2fa { code } => { disabled: "2fa" }
+ *
+ * Turns off two-factor authentication, given a current 2FA code. When
+ * REQUIRE_ADMIN_2FA is on, admins can't turn it off.
+ *
+ * Authorization required: same user as :username, or users:write scope; not while impersonating or with an API key
+ **/
+
+router.delete("/:username/2fa", ensureCorrectUserOrScope("users:write"), ensureNotApiKey, ensureNotImpersonating, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await TwoFactor.disable(req.params.username, req.body.code,
+        { requireAdmin2fa: REQUIRE_ADMIN_2FA });
+    return res.json({ disabled: "2fa" });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/api-keys => { apiKeys: [{ id, username, companyHandle,
+ *                                            name, prefix, scopes, createdAt,
+ *                                            expiresAt, lastUsedAt }, ...] }
+ *
+ * Lists the user's API keys (but not the keys themselves).
+ *
+ * Authorization required: same user as :username, or users:read scope; not with an API key
+ **/
+
+router.get("/:username/api-keys", ensureCorrectUserOrScope("users:read"), ensureNotApiKey, async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.findAll(req.params.username);
+    return res.json({ apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/api-keys { name, companyHandle, scopes, expiresInDays }
+ *    => { apiKey: { id, username, companyHandle, name, prefix, scopes,
+ *                   createdAt, expiresAt, lastUsedAt, key } }
+ *
+ * Mints an API key that acts as the user, sent in the X-API-Key header.
+ * companyHandle limits the key to one company; scopes are the scopes it may
+ * use (see helpers/scopes.js), none by default. key is only shown in this
+ * response.
+ *
+ * Authorization required: api-keys:write scope, logged in with a token (not an API key)
+ **/
+
+router.post("/:username/api-keys", requireScope("api-keys:write"), async function (req, res, next) {
+  try {
+    if (res.locals.user.apiKey) {
+      throw new ForbiddenError("API keys can't be used to create API keys");
+    }
+
+    const validator = jsonschema.validate(req.body, apiKeyNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const apiKey = await ApiKey.create(req.params.username, req.body);
+    return res.status(201).json({ apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/api-keys/[id] => { revoked: id }
+ *
+ * Revokes an API key; it stops working straight away.
+ *
+ * Authorization required: same user as :username, or api-keys:write scope; not while impersonating or with an API key
+ **/
+
+router.delete("/:username/api-keys/:id", ensureCorrectUserOrScope("api-keys:write"), ensureNotApiKey, ensureNotImpersonating, ensureIntegerParams("id"), async function (req, res, next) {
+  try {
+    await ApiKey.revoke(req.params.username, req.params.id);
+    return res.json({ revoked: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/impersonate => { token }
+ *
+ * Returns a token that lets the logged in admin see exactly what the user
+ * sees, e.g. to debug a problem they report. The token is marked with both
+ * identities (impersonator: { username }), lasts as long as an access token
+ * and can't be refreshed.
+ *
+ * While impersonating, deleting things, changing the user's account,
+ * acting on their job applications and making changes for the companies
+ * they're a member of are refused, and every request is recorded in the
+ * audit log (as is this one, like any admin change).
+ *
+ * Staff (admins, and other roles with scopes) can't be impersonated.
+ *
+ * Authorization required: users:impersonate scope, logged in with a token (not an API key)
+ **/
+
+router.post("/:username/impersonate", requireScope("users:impersonate"), async function (req, res, next) {
+  try {
+    const admin = res.locals.user;
+    if (admin.apiKey) {
+      throw new ForbiddenError("API keys can't be used to impersonate users");
+    }
+
+    const user = await User.get(req.params.username);
+    if (isStaff(user.role)) throw new ForbiddenError("Staff can't be impersonated");
+
+    const token = createToken(
+        {
+          username: user.username,
+          role: "user",
+          tokenVersion: await User.getTokenVersion(user.username),
+        },
+        { impersonator: { username: admin.username, tokenVersion: admin.ver } });
+    return res.json({ token });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/sessions => { sessions: [{ id, userAgent, ip, createdAt,
+ *                                             lastSeenAt, expiresAt,
+ *                                             current }, ...] }
+ *
+ * Lists where the user is logged in, most recently seen first. current is
+ * true for the session making this request.
+ *
+ * Authorization required: same user as :username, or users:read scope; not with an API key
+ **/
+
+router.get("/:username/sessions", ensureCorrectUserOrScope("users:read"), ensureNotApiKey, async function (req, res, next) {
+  try {
+    const sessions = await Session.findAll(req.params.username);
+    const currentId = res.locals.user.username === req.params.username
+        ? res.locals.user.sid
+        : undefined;
+    return res.json({
+      sessions: sessions.map(s => ({ ...s, current: s.id === currentId })),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/sessions => { revoked: "all" }
+ *
+ * Logs the user out everywhere: every session, refresh token and access token
+ * they have stops working, including the ones making this request.
+ *
+ * Authorization required: same user as :username, or users:write scope; not while impersonating or with an API key
+ **/
+
+router.delete("/:username/sessions", ensureCorrectUserOrScope("users:write"), ensureNotApiKey, ensureNotImpersonating, async function (req, res, next) {
+  try {
+    await Session.revokeAll(req.params.username);
+    return res.json({ revoked: "all" });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/sessions/[id] => { revoked: id }
+ *
+ * Logs the user out of one session; its tokens stop working straight away.
+ *
+ * Authorization required: same user as :username, or users:write scope; not while impersonating or with an API key
+ **/
+
+router.delete("/:username/sessions/:id", ensureCorrectUserOrScope("users:write"), ensureNotApiKey, ensureNotImpersonating, ensureIntegerParams("id"), async function (req, res, next) {
+  try {
+    await Session.revoke(req.params.username, req.params.id);
+    return res.json({ revoked: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
  *   { firstName, lastName, password, email }
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * A new email starts out unverified; use POST /auth/verify/resend to get a
+ * verification link for it.
+ *
+ * Returns { username, firstName, lastName, email, role, isAdmin }
  *
- * Authorization required: login
+ * Authorization required: same user as :username, or users:write scope; not while impersonating or with an API key
  **/
 
-router.patch("/:username", ensureCorrectUser, async function (req, res, next) {
+router.patch("/:username", ensureCorrectUserOrScope("users:write"), ensureNotApiKey, ensureNotImpersonating, async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userUpdateSchema);
     if (!validator.valid) {
@@ -120,10 +534,13 @@ router.patch("/:username", ensureCorrectUser, async function (req, res, next) {
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: login
+ * The user is only marked deleted, and logged out everywhere; see restore
+ * and purge below.
+ *
+ * Authorization required: same user as :username, or users:delete scope; not while impersonating or with an API key
  **/
 
-router.delete("/:username", ensureCorrectUser, async function (req, res, next) {
+router.delete("/:username", ensureCorrectUserOrScope("users:delete"), ensureNotApiKey, ensureNotImpersonating, async function (req, res, next) {
   try {
     await User.remove(req.params.username);
     return res.json({ deleted: req.params.username });
@@ -133,4 +550,75 @@ router.delete("/:username", ensureCorrectUser, async function (req, res, next) {
 });
 
 
+/** POST /[username]/deletion  =>  { deletion: { scheduledFor } }
+ *
+ * Schedules the user's account for deletion once the grace period is over:
+ * then their personal data is erased, and their applications are kept,
+ * anonymised, for the companies' records. Until then they can cancel it.
+ * Asking again keeps the original date.
+ *
+ * Authorization required: same user as :username, or users:delete scope; not while impersonating or with an API key
+ **/
+
+router.post("/:username/deletion", ensureCorrectUserOrScope("users:delete"), ensureNotApiKey, ensureNotImpersonating, async function (req, res, next) {
+  try {
+    const deletion = await User.scheduleDeletion(req.params.username);
+    return res.json({ deletion });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/deletion  =>  { cancelled: username }
+ *
+ * Cancels the user's scheduled deletion.
+ *
+ * Authorization required: same user as :username, or users:delete scope; not while impersonating or with an API key
+ **/
+
+router.delete("/:username/deletion", ensureCorrectUserOrScope("users:delete"), ensureNotApiKey, ensureNotImpersonating, async function (req, res, next) {
+  try {
+    await User.cancelDeletion(req.params.username);
+    return res.json({ cancelled: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/restore  =>  { restored: username }
+ *
+ * Restores a deleted user. They'll need to log in again.
+ *
+ * Authorization required: trash:write scope
+ **/
+
+router.post("/:username/restore", requireScope("trash:write"), async function (req, res, next) {
+  try {
+    await User.restore(req.params.username);
+    return res.json({ restored: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/purge  =>  { purged: username }
+ *
+ * Deletes a deleted user for good, with their applications, sessions and
+ * keys.
+ *
+ * Authorization required: trash:write scope
+ **/
+
+router.delete("/:username/purge", requireScope("trash:write"), async function (req, res, next) {
+  try {
+    await User.purge(req.params.username);
+    return res.json({ purged: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 module.exports = router;
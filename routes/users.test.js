@@ -5,6 +5,10 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const ApiKey = require("../models/apiKey");
+const { totp } = require("../helpers/totp");
+const { createToken } = require("../helpers/tokens");
+const { LOGIN_MAX_FAILURES } = require("../config");
 
 const {
   commonBeforeAll,
@@ -12,6 +16,7 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
   adminToken
 } = require("./_testCommon");
 
@@ -42,6 +47,7 @@ describe("POST /users", function () {
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
+        role: "user",
         isAdmin: false,
       }, token: expect.any(String),
     });
@@ -66,11 +72,56 @@ describe("POST /users", function () {
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
+        role: "admin",
         isAdmin: true,
       }, token: expect.any(String),
     });
   });
 
+  test("works for users: create with a role", async function () {
+    const resp = await request(app)
+        .post("/users")
+        .send({
+          username: "u-new",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          password: "password-new",
+          email: "new@email.com",
+          role: "support",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.user).toEqual(expect.objectContaining(
+        { role: "support", isAdmin: false }));
+
+    const supportToken = resp.body.token;
+    const readResp = await request(app)
+        .get("/users/u2")
+        .set("authorization", `Bearer ${supportToken}`);
+    expect(readResp.statusCode).toEqual(200);
+    const writeResp = await request(app)
+        .patch("/users/u2")
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${supportToken}`);
+    expect(writeResp.statusCode).toEqual(401);
+  });
+
+  test("bad request with both role and isAdmin", async function () {
+    const resp = await request(app)
+        .post("/users")
+        .send({
+          username: "u-new",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          password: "password-new",
+          email: "new@email.com",
+          role: "support",
+          isAdmin: true,
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .post("/users")
@@ -120,11 +171,20 @@ describe("GET /users", function () {
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       users: [
+        {
+          username: "testadmin",
+          firstName: "Test",
+          lastName: "Admin",
+          email: "admin@user.com",
+          role: "admin",
+          isAdmin: true,
+        },
         {
           username: "u1",
           firstName: "U1F",
           lastName: "U1L",
           email: "user1@user.com",
+          role: "user",
           isAdmin: false,
         },
         {
@@ -132,6 +192,7 @@ describe("GET /users", function () {
           firstName: "U2F",
           lastName: "U2L",
           email: "user2@user.com",
+          role: "user",
           isAdmin: false,
         },
         {
@@ -139,12 +200,39 @@ describe("GET /users", function () {
           firstName: "U3F",
           lastName: "U3L",
           email: "user3@user.com",
+          role: "user",
           isAdmin: false,
         },
       ],
+      total: 4,
+      next: null,
+      prev: null,
     });
   });
 
+  test("works: pages, with links", async function () {
+    const resp = await request(app)
+        .get("/users?sort=-username&limit=3")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u3", "u2", "u1"]);
+    expect(resp.body.total).toEqual(4);
+    expect(resp.body.next).toMatch(/^\/users\?limit=3&cursor=[\w.-]+&sort=-username$/);
+  });
+
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app)
+        .get("/users?limit=0")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown query parameters", async function () {
+    const resp = await request(app)
+        .get("/users?isAdmin=true")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get("/users");
@@ -187,15 +275,25 @@ describe("GET /users/:username", function () {
         .get(`/users/u1`)
         .set("authorization", `Bearer ${adminToken}`);
 
-    console.log(resp.body)
     expect(resp.body).toEqual({
       user: {
         username: "u1",
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        role: "user",
         isAdmin: false,
-        applications: [expect.any(Number)]
+        emailVerified: false,
+        deletionScheduledFor: null,
+        lock: { failedAttempts: 0, lockedUntil: null, locked: false },
+        applications: [expect.any(Number)],
+        jobs: [{
+          id: expect.any(Number),
+          title: "test1",
+          companyHandle: "c1",
+          companyName: "C1",
+          state: "applied",
+        }],
       },
     });
   });
@@ -227,8 +325,18 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        role: "user",
         isAdmin: false,
-        applications: [expect.any(Number)]
+        emailVerified: false,
+        deletionScheduledFor: null,
+        applications: [expect.any(Number)],
+        jobs: [{
+          id: expect.any(Number),
+          title: "test1",
+          companyHandle: "c1",
+          companyName: "C1",
+          state: "applied",
+        }],
       },
     });
   });
@@ -248,123 +356,1224 @@ describe("GET /users/:username", function () {
   });
 });
 
-// /************************************** PATCH /users/:username */
+// /************************************** POST /users/:username/jobs/:id */
 
-describe("PATCH /users/:username", () => {
-  test("works for admin users", async function () {
+describe("POST /users/:username/jobs/:id", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    jobId = jobRes.rows[0].id;
+  });
+
+  test("works for correct user", async function () {
     const resp = await request(app)
-        .patch(`/users/u1`)
-        .send({
-          firstName: "New",
-        })
+        .post(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ applied: jobId, state: "applied" });
+  });
+
+  test("works for admin, starting as interested", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${jobId}`)
+        .send({ state: "interested" })
         .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ applied: jobId, state: "interested" });
+  });
+
+  test("bad request if starting state is invalid", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${jobId}`)
+        .send({ state: "offered" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such job", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/0`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request for a non-integer job id", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/abc`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+// /************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    jobId = jobRes.rows[0].id;
+    await User.createApplication("u1", jobId);
+  });
+
+  test("works for correct user withdrawing", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
-      user: {
-        username: "u1",
-        firstName: "New",
-        lastName: "U1L",
-        email: "user1@user.com",
-        isAdmin: false,
-      },
+      application: { username: "u1", jobId, state: "withdrawn" },
     });
   });
 
-  // Added test to ensure correct user is logged in when updating own profile
-  test("works for correct user logged in updating own profile", async function () {
+  test("works for correct user applying", async function () {
+    await db.query(`UPDATE applications SET state = 'interested'
+                    WHERE username = 'u1' AND job_id = $1`, [jobId]);
     const resp = await request(app)
-        .patch(`/users/u1`)
-        .send({
-          firstName: "New",
-        })
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "applied" })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
-      user: {
-        username: "u1",
-        firstName: "New",
-        lastName: "U1L",
-        email: "user1@user.com",
-        isAdmin: false,
-      },
+      application: { username: "u1", jobId, state: "applied" },
+    });
+  });
+
+  test("forbidden for correct user making a hiring decision", async function () {
+    for (let state of ["interviewing", "offered", "accepted", "rejected"]) {
+      const resp = await request(app)
+          .patch(`/users/u1/jobs/${jobId}`)
+          .send({ state })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+    const user = await User.get("u1");
+    expect(user.jobs[0].state).toEqual("applied");
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      application: { username: "u1", jobId, state: "interviewing" },
     });
   });
 
+  test("bad request on illegal transition", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "accepted" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on unknown state", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "hired" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
-        .patch(`/users/u1`)
-        .send({
-          firstName: "New",
-        });
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "interviewing" });
     expect(resp.statusCode).toEqual(401);
   });
 
-  test("not found if no such user", async function () {
+  test("not found if not applied", async function () {
     const resp = await request(app)
-        .patch(`/users/nope`)
-        .send({
-          firstName: "Nope",
-        })
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "interviewing" })
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 
-  test("bad request if invalid data", async function () {
+  test("bad request for a non-integer job id", async function () {
     const resp = await request(app)
-        .patch(`/users/u1`)
-        .send({
-          firstName: 42,
-        })
+        .patch(`/users/u1/jobs/abc`)
+        .send({ state: "withdrawn" })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
   });
+});
 
-  test("works: set new password", async function () {
+// /************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    jobId = jobRes.rows[0].id;
+  });
+
+  test("works for correct user and keeps the application", async function () {
+    await User.createApplication("u1", jobId);
     const resp = await request(app)
-        .patch(`/users/u1`)
-        .send({
-          password: "new-password",
-        })
+        .delete(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ withdrawn: jobId });
+
+    const user = await User.get("u1");
+    expect(user.jobs[0].state).toEqual("withdrawn");
+  });
+
+  test("unauth for other users", async function () {
+    await User.createApplication("u2", jobId);
+    const resp = await request(app)
+        .delete(`/users/u2/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not applied", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request for a non-integer job id", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/abc`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+// /************************************** GET /users/:username/applications/:jobId/history */
+
+describe("GET /users/:username/applications/:jobId/history", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    jobId = jobRes.rows[0].id;
+  });
+
+  test("records transitions made through the routes", async function () {
+    await request(app)
+        .post(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "interviewing", note: "onsite next week" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .get(`/users/u1/applications/${jobId}/history`)
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
-      user: {
-        username: "u1",
-        firstName: "U1F",
-        lastName: "U1L",
-        email: "user1@user.com",
-        isAdmin: false,
-      },
+      history: [
+        {
+          id: expect.any(Number),
+          actor: "u1",
+          oldState: null,
+          newState: "applied",
+          note: null,
+          createdAt: expect.any(String),
+        },
+        {
+          id: expect.any(Number),
+          actor: "testadmin",
+          oldState: "applied",
+          newState: "interviewing",
+          note: "onsite next week",
+          createdAt: expect.any(String),
+        },
+      ],
     });
-    const isSuccessful = await User.authenticate("u1", "new-password");
-    expect(isSuccessful).toBeTruthy();
   });
-});
 
-// /************************************** DELETE /users/:username */
+  test("unauth for other users", async function () {
+    await User.createApplication("u2", jobId);
+    const resp = await request(app)
+        .get(`/users/u2/applications/${jobId}/history`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
 
-describe("DELETE /users/:username", function () {
-  test("works for admin users", async function () {
+  test("not found if not applied", async function () {
     const resp = await request(app)
-        .delete(`/users/u1`)
+        .get(`/users/u1/applications/${jobId}/history`)
         .set("authorization", `Bearer ${adminToken}`);
-    expect(resp.body).toEqual({ deleted: "u1" });
+    expect(resp.statusCode).toEqual(404);
   });
 
-  // Adding test to ensure that only logged in user can delete own profile
-  test("works for correct user logged in", async function () {
+  test("bad request for a non-integer job id", async function () {
     const resp = await request(app)
-        .delete(`/users/u1`)
+        .get(`/users/u1/applications/abc/history`)
         .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.body).toEqual({ deleted: "u1" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /users/:username/export */
+
+describe("GET /users/:username/export", function () {
+  test("works for same user, as a download", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/export`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-disposition"]).toEqual(
+        'attachment; filename="jobly-u1.json"');
+    expect(resp.body.export.profile).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "user1@user.com",
+      role: "user",
+      isAdmin: false,
+      emailVerified: false,
+      totpEnabled: false,
+    });
+    expect(resp.body.export).toEqual(expect.objectContaining({
+      applications: expect.any(Array),
+      sessions: expect.any(Array),
+      apiKeys: expect.any(Array),
+      identities: expect.any(Array),
+      companyMemberships: expect.any(Array),
+      auditEntries: expect.any(Array),
+    }));
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/export`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.export.profile.username).toEqual("u1");
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/export`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
   });
 
   test("unauth for anon", async function () {
     const resp = await request(app)
-        .delete(`/users/u1`);
+        .get(`/users/u1/export`);
     expect(resp.statusCode).toEqual(401);
   });
 
-  test("not found if user missing", async function () {
+  test("not found if user not found", async function () {
     const resp = await request(app)
-        .delete(`/users/nope`)
+        .get(`/users/nope/export`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+// /************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  async function lockOut(username) {
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username, password: "nope" });
+    }
+  }
+
+  test("works for admin", async function () {
+    await lockOut("u1");
+    const lockedResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(lockedResp.body.user.lock).toEqual({
+      failedAttempts: LOGIN_MAX_FAILURES,
+      lockedUntil: expect.any(String),
+      locked: true,
+    });
+
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "u1-passphrase" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("lock state is hidden from non-admins", async function () {
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user.lock).toBeUndefined();
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/unlock`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/2fa */
+
+describe("/users/:username/2fa", function () {
+  async function setUp() {
+    const resp = await request(app)
+        .post(`/users/u1/2fa/setup`)
+        .set("authorization", `Bearer ${u1Token}`);
+    return resp.body.secret;
+  }
+
+  test("works: setup, enable and disable", async function () {
+    const setupResp = await request(app)
+        .post(`/users/u1/2fa/setup`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(setupResp.statusCode).toEqual(201);
+    expect(setupResp.body).toEqual({
+      secret: expect.any(String),
+      otpauthUri: expect.stringMatching(/^otpauth:\/\/totp\//),
+    });
+    const { secret } = setupResp.body;
+
+    const enableResp = await request(app)
+        .post(`/users/u1/2fa/enable`)
+        .send({ code: totp(secret) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(enableResp.body).toEqual({ recoveryCodes: expect.any(Array) });
+
+    const disableResp = await request(app)
+        .delete(`/users/u1/2fa`)
+        .send({ code: enableResp.body.recoveryCodes[0] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(disableResp.body).toEqual({ disabled: "2fa" });
+  });
+
+  test("bad request enabling with wrong code", async function () {
+    await setUp();
+    const resp = await request(app)
+        .post(`/users/u1/2fa/enable`)
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request enabling with missing code", async function () {
+    await setUp();
+    const resp = await request(app)
+        .post(`/users/u1/2fa/enable`)
+        .send({})
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request disabling when not enabled", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/2fa`)
+        .send({ code: "123456" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/2fa/setup`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/2fa/setup`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/api-keys */
+
+describe("/users/:username/api-keys", function () {
+  async function mintKey(username, data) {
+    const resp = await request(app)
+        .post(`/users/${username}/api-keys`)
+        .send(data)
+        .set("authorization", `Bearer ${adminToken}`);
+    return resp.body.apiKey;
+  }
+
+  const newCompany = {
+    handle: "new",
+    name: "New",
+    logoUrl: "http://new.img",
+    description: "DescNew",
+    numEmployees: 10,
+  };
+
+  test("works: admin mints, user lists and revokes", async function () {
+    const mintResp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ats", scopes: ["companies:write"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(mintResp.statusCode).toEqual(201);
+    expect(mintResp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        username: "u1",
+        companyHandle: null,
+        name: "ats",
+        prefix: expect.any(String),
+        scopes: ["companies:write"],
+        createdAt: expect.any(String),
+        expiresAt: expect.any(String),
+        lastUsedAt: null,
+        key: expect.any(String),
+      },
+    });
+    const { id } = mintResp.body.apiKey;
+
+    const listResp = await request(app)
+        .get(`/users/u1/api-keys`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(listResp.body.apiKeys.map(k => k.id)).toEqual([id]);
+    expect(listResp.body.apiKeys[0].key).toBeUndefined();
+
+    const revokeResp = await request(app)
+        .delete(`/users/u1/api-keys/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(revokeResp.body).toEqual({ revoked: id });
+  });
+
+  test("key authenticates requests", async function () {
+    const { key } = await mintKey("u1", { name: "ats" });
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("revoked key stops working", async function () {
+    const { id, key } = await mintKey("u1", { name: "ats" });
+    await ApiKey.revoke("u1", id);
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth without the scope the route needs", async function () {
+    const { key } = await mintKey("testadmin", { name: "ats", scopes: ["jobs:write"] });
+    const resp = await request(app)
+        .post("/companies")
+        .send(newCompany)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("admin key gets the scopes it was given", async function () {
+    const { key } = await mintKey("testadmin", { name: "ats", scopes: ["companies:write"] });
+    const resp = await request(app)
+        .post("/companies")
+        .send(newCompany)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("company key has no admin rights", async function () {
+    const { key } = await mintKey("testadmin",
+        { name: "ats", companyHandle: "c1", scopes: ["companies:write"] });
+    const resp = await request(app)
+        .post("/companies")
+        .send(newCompany)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("forbidden managing the account with an API key", async function () {
+    const { key } = await mintKey("u1", { name: "ats", companyHandle: "c1" });
+    const attempts = [
+      request(app).patch(`/users/u1`).send({ password: "taken-over-passphrase" }),
+      request(app).delete(`/users/u1`),
+      request(app).post(`/users/u1/deletion`),
+      request(app).delete(`/users/u1/sessions`),
+      request(app).post(`/users/u1/2fa/setup`),
+      request(app).get(`/users/u1/api-keys`),
+      request(app).get(`/users/u1/export`),
+    ];
+    for (let attempt of attempts) {
+      const resp = await attempt.set("x-api-key", key);
+      expect(resp.statusCode).toEqual(403);
+    }
+
+    const user = await User.get("u1");
+    expect(user.deletionScheduledFor).toBeNull();
+  });
+
+  test("forbidden minting keys with an API key", async function () {
+    const { key } = await mintKey("testadmin", { name: "ats", scopes: ["api-keys:write"] });
+    const resp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "more" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth minting for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ats" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth listing for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/api-keys`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ats", scopes: ["everything"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found revoking unknown key", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/api-keys/0`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request revoking a non-integer key id", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/api-keys/abc`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /users/:username/impersonate */
+
+describe("POST /users/:username/impersonate", function () {
+  async function impersonate(username) {
+    const resp = await request(app)
+        .post(`/users/${username}/impersonate`)
+        .set("authorization", `Bearer ${adminToken}`);
+    return resp;
+  }
+
+  test("works: admin sees what the user sees", async function () {
+    const resp = await impersonate("u1");
+    expect(resp.body).toEqual({ token: expect.any(String) });
+
+    const userResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(200);
+    expect(userResp.body.user.lock).toBeUndefined();
+
+    const otherResp = await request(app)
+        .get(`/users/u2`)
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(otherResp.statusCode).toEqual(401);
+  });
+
+  test("works: user's own reads are allowed", async function () {
+    const { body: { token } } = await impersonate("u1");
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    await User.createApplication("u1", jobRes.rows[0].id);
+    const resp = await request(app)
+        .get(`/users/u1/applications/${jobRes.rows[0].id}/history`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("forbidden: acting on the user's applications", async function () {
+    const { body: { token } } = await impersonate("u1");
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'test1'`);
+    const jobId = jobRes.rows[0].id;
+
+    let resp = await request(app)
+        .post(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(403);
+
+    await User.createApplication("u1", jobId);
+    resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(403);
+    expect((await User.get("u1")).jobs[0].state).toEqual("applied");
+  });
+
+  test("forbidden: destructive actions", async function () {
+    const { body: { token } } = await impersonate("u1");
+    const attempts = [
+      request(app).patch(`/users/u1`).send({ firstName: "New" }),
+      request(app).delete(`/users/u1`),
+      request(app).delete(`/users/u1/sessions`),
+      request(app).post(`/users/u1/2fa/setup`),
+    ];
+    for (let attempt of attempts) {
+      const resp = await attempt.set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+    expect((await User.get("u1")).firstName).toEqual("U1F");
+  });
+
+  test("works: start and every request are audited", async function () {
+    const { body: { token } } = await impersonate("u1");
+    await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${token}`);
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${token}`);
+
+    const found = await db.query(
+        "SELECT actor, on_behalf_of, method, route FROM audit_log ORDER BY id");
+    expect(found.rows).toEqual([
+      { actor: "testadmin", on_behalf_of: null, method: "POST", route: "/users/u1/impersonate" },
+      { actor: "testadmin", on_behalf_of: "u1", method: "GET", route: "/users/u1" },
+      { actor: "testadmin", on_behalf_of: "u1", method: "DELETE", route: "/users/u1" },
+    ]);
+  });
+
+  test("token stops working when the admin loses admin rights", async function () {
+    const { body: { token } } = await impersonate("u1");
+    await User.update("testadmin", { isAdmin: false });
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("forbidden for admins", async function () {
+    await User.update("u1", { isAdmin: true });
+    const resp = await impersonate("u1");
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden for other staff", async function () {
+    await User.update("u1", { role: "support" });
+    const resp = await impersonate("u1");
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden with an API key", async function () {
+    const { key } = await ApiKey.create("testadmin", { name: "ats", scopes: ["users:impersonate"] });
+    const resp = await request(app)
+        .post(`/users/u1/impersonate`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/impersonate`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await impersonate("nope");
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/sessions */
+
+describe("/users/:username/sessions", function () {
+  async function login(userAgent) {
+    const resp = await request(app)
+        .post("/auth/token")
+        .set("user-agent", userAgent)
+        .send({ username: "u1", password: "u1-passphrase" });
+    return resp.body;
+  }
+
+  test("works: lists sessions, marking the current one", async function () {
+    const laptop = await login("laptop");
+    await login("phone");
+
+    const resp = await request(app)
+        .get(`/users/u1/sessions`)
+        .set("authorization", `Bearer ${laptop.token}`);
+    expect(resp.body.sessions).toHaveLength(2);
+    expect(resp.body.sessions).toContainEqual({
+      id: expect.any(Number),
+      userAgent: "laptop",
+      ip: expect.any(String),
+      createdAt: expect.any(String),
+      lastSeenAt: expect.any(String),
+      expiresAt: expect.any(String),
+      current: true,
+    });
+    expect(resp.body.sessions).toContainEqual(
+        expect.objectContaining({ userAgent: "phone", current: false }));
+  });
+
+  test("works: revoking a session logs that device out", async function () {
+    const laptop = await login("laptop");
+    const phone = await login("phone");
+    const listResp = await request(app)
+        .get(`/users/u1/sessions`)
+        .set("authorization", `Bearer ${laptop.token}`);
+    const { id } = listResp.body.sessions.find(s => s.userAgent === "phone");
+
+    const resp = await request(app)
+        .delete(`/users/u1/sessions/${id}`)
+        .set("authorization", `Bearer ${laptop.token}`);
+    expect(resp.body).toEqual({ revoked: id });
+
+    const phoneResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${phone.token}`);
+    expect(phoneResp.statusCode).toEqual(401);
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: phone.refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+
+    const laptopResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${laptop.token}`);
+    expect(laptopResp.statusCode).toEqual(200);
+  });
+
+  test("works: log out everywhere", async function () {
+    const laptop = await login("laptop");
+    const phone = await login("phone");
+
+    const resp = await request(app)
+        .delete(`/users/u1/sessions`)
+        .set("authorization", `Bearer ${laptop.token}`);
+    expect(resp.body).toEqual({ revoked: "all" });
+
+    for (let { token, refreshToken } of [laptop, phone]) {
+      const userResp = await request(app)
+          .get(`/users/u1`)
+          .set("authorization", `Bearer ${token}`);
+      expect(userResp.statusCode).toEqual(401);
+      const refreshResp = await request(app)
+          .post("/auth/refresh")
+          .send({ refreshToken });
+      expect(refreshResp.statusCode).toEqual(401);
+    }
+  });
+
+  test("works: refreshed token stays in the session", async function () {
+    const laptop = await login("laptop");
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: laptop.refreshToken });
+
+    const resp = await request(app)
+        .get(`/users/u1/sessions`)
+        .set("authorization", `Bearer ${refreshResp.body.token}`);
+    expect(resp.body.sessions).toEqual([
+      expect.objectContaining({ userAgent: "laptop", current: true }),
+    ]);
+  });
+
+  test("works for admin", async function () {
+    await login("laptop");
+    const resp = await request(app)
+        .get(`/users/u1/sessions`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.sessions).toEqual([
+      expect.objectContaining({ userAgent: "laptop", current: false }),
+    ]);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/sessions`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found revoking unknown session", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/sessions/0`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request revoking a non-integer session id", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/sessions/abc`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found logging out unknown user", async function () {
+    const resp = await request(app)
+        .delete(`/users/nope/sessions`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+// /************************************** PATCH /users/:username */
+
+describe("PATCH /users/:username", () => {
+  test("works for admin users", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          firstName: "New",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "New",
+        lastName: "U1L",
+        email: "user1@user.com",
+        role: "user",
+        isAdmin: false,
+      },
+    });
+  });
+
+  // Added test to ensure correct user is logged in when updating own profile
+  test("works for correct user logged in updating own profile", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          firstName: "New",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "New",
+        lastName: "U1L",
+        email: "user1@user.com",
+        role: "user",
+        isAdmin: false,
+      },
+    });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          firstName: "New",
+        });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .patch(`/users/nope`)
+        .send({
+          firstName: "Nope",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request if invalid data", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          firstName: 42,
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: set new password", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        role: "user",
+        isAdmin: false,
+      },
+    });
+    const isSuccessful = await User.authenticate("u1", "new-password");
+    expect(isSuccessful).toBeTruthy();
+  });
+});
+
+// /************************************** token revocation */
+
+describe("token revocation", function () {
+  test("old token stops working after isAdmin change", async function () {
+    await User.update("u2", { isAdmin: true });
+    const token = createToken({ username: "u2", role: "admin", tokenVersion: 1 });
+    const ok = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${token}`);
+    expect(ok.statusCode).toEqual(200);
+
+    await User.update("u2", { isAdmin: false });
+    const resp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("old token stops working after password change", async function () {
+    await request(app)
+        .patch(`/users/u1`)
+        .send({ password: "new-password" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("refresh token stops working after password change", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "u1-passphrase" });
+    const { token, refreshToken } = login.body;
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ password: "new-password" })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("refresh token stops working after isAdmin change", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "u1-passphrase" });
+
+    await User.update("u1", { isAdmin: true });
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("token stops working once user is deleted", async function () {
+    await User.remove("u1");
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+// /************************************** DELETE /users/:username */
+
+describe("DELETE /users/:username", function () {
+  test("works for admin users", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "u1" });
+  });
+
+  // Adding test to ensure that only logged in user can delete own profile
+  test("works for correct user logged in", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: "u1" });
+  });
+
+  test("deleted user can't log in or use their token", async function () {
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "u1-passphrase" });
+    expect(loginResp.statusCode).toEqual(401);
+
+    const getResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(getResp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .delete(`/users/nope`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/deletion */
+
+describe("POST /users/:username/deletion", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/deletion`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deletion: { scheduledFor: expect.any(String) } });
+
+    const getResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(getResp.body.user.deletionScheduledFor).toEqual(resp.body.deletion.scheduledFor);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/deletion`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/deletion`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/deletion`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/deletion */
+
+describe("DELETE /users/:username/deletion", function () {
+  test("works for same user", async function () {
+    await request(app)
+        .post(`/users/u1/deletion`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete(`/users/u1/deletion`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ cancelled: "u1" });
+
+    const getResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(getResp.body.user.deletionScheduledFor).toBeNull();
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/deletion`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if none scheduled", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/deletion`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/restore */
+
+describe("POST /users/:username/restore", function () {
+  test("works for admin", async function () {
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ restored: "u1" });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "u1-passphrase" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u2'");
+    const resp = await request(app)
+        .post(`/users/u2/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/purge */
+
+describe("DELETE /users/:username/purge", function () {
+  test("works for admin", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    const resp = await request(app)
+        .delete(`/users/u1/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ purged: "u1" });
+
+    const found = await db.query("SELECT username FROM users WHERE username = 'u1'");
+    expect(found.rows.length).toEqual(0);
+  });
+
+  test("unauth for non-admin", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u2'");
+    const resp = await request(app)
+        .delete(`/users/u2/purge`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted first", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/purge`)
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
@@ -1,8 +1,25 @@
 "use strict";
 
 const app = require("./app");
+const User = require("./models/user");
 const { PORT } = require("./config");
 
+const ANONYMISE_EVERY_MS = 60 * 60 * 1000;
+
 app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);
 });
+
+/** Anonymise accounts whose deletion grace period is over. */
+
+async function anonymiseDueUsers() {
+  try {
+    const count = await User.anonymiseDue();
+    if (count) console.log(`Anonymised ${count} deleted account(s)`);
+  } catch (err) {
+    console.error("Anonymising deleted accounts failed:", err);
+  }
+}
+
+anonymiseDueUsers();
+setInterval(anonymiseDueUsers, ANONYMISE_EVERY_MS);